@@ -0,0 +1,344 @@
+/* ============================================================
+   Whispers — provider adapters for extra API profiles
+   Nothing here touches SillyTavern, so the adapters can be run
+   under Node against a mock server (see tests/).
+   ============================================================ */
+
+// ── Provider Adapters ───────────────────────────────────────────
+// Each profile names a backend type. An adapter knows the endpoint, how to
+// shape the request body, how to read whole and streamed replies, where the
+// model list lives and how the backend reports errors. Everything goes through
+// fetch against profile.url, so any adapter can be pointed at a mock server.
+
+const SAMPLING_KEYS = ['temperature', 'top_p', 'max_tokens', 'stop', 'frequency_penalty', 'presence_penalty'];
+
+// Drops a known endpoint suffix so users may paste either the base URL or the full endpoint
+function apiBaseUrl(profile, suffixes = []) {
+    const url = new URL(profile.url);
+    let path = url.pathname.replace(/\/+$/, '');
+    const suffix = suffixes.find(x => path.endsWith(x));
+    if (suffix) path = path.slice(0, -suffix.length);
+    return `${url.origin}${path}`;
+}
+
+// Separates the shared sampling keys from extra body fields, which pass through untouched
+function splitSamplingParams(params) {
+    const known = {};
+    const extra = {};
+    for (const [key, val] of Object.entries(params || {})) {
+        (SAMPLING_KEYS.includes(key) ? known : extra)[key] = val;
+    }
+    return { known, extra };
+}
+
+// Text-completion backends get the same User:/Assistant: transcript as generateRaw
+function flattenMessages(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    const conv = messages.filter(m => m.role !== 'system').map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n');
+    return `${system ? `${system}\n\n` : ''}${conv}\nAssistant:`;
+}
+
+const bearerHeaders = (profile) => profile.key ? { 'Authorization': `Bearer ${profile.key}` } : {};
+
+const openAiAdapter = {
+    label: 'OpenAI-compatible',
+    placeholder: 'http://localhost:5001',
+    stream: 'sse',
+    endpoint(profile) {
+        const url = new URL(profile.url);
+        if (url.pathname.endsWith('/chat/completions')) return url.toString();
+        return `${apiBaseUrl(profile, ['/v1'])}/v1/chat/completions`;
+    },
+    headers: bearerHeaders,
+    buildBody(messages, params, profile, stream) {
+        const body = { messages, ...params };
+        if (profile.model) body.model = profile.model;
+        if (stream) {
+            body.stream = true;
+            // Without this, streamed replies carry no token counts and usage falls back to an estimate
+            body.stream_options = { include_usage: true };
+        }
+        return body;
+    },
+    applySchema(body, { name, schema }) {
+        body.response_format = { type: 'json_schema', json_schema: { name, schema, strict: false } };
+    },
+    parseResponse: (data) => extractCompletionText(data),
+    parseChunk(data) {
+        const choice = data.choices?.[0];
+        return choice?.delta?.content || choice?.text || '';
+    },
+    parseUsage: (data) => data.usage ? { prompt: data.usage.prompt_tokens, completion: data.usage.completion_tokens } : null,
+    modelsEndpoint: (profile) => `${apiBaseUrl(profile, ['/chat/completions', '/v1'])}/v1/models`,
+    parseModels: (data) => (data.data || data.models || []).map(m => m.id || m.name || m),
+    parseError: (data) => data.error?.message || data.error || data.detail || data.message,
+};
+
+export const API_ADAPTERS = {
+    openai: openAiAdapter,
+
+    textgen: {
+        ...openAiAdapter,
+        label: 'text-generation-webui',
+        placeholder: 'http://127.0.0.1:5000',
+        modelsEndpoint: (profile) => `${apiBaseUrl(profile, ['/chat/completions', '/v1'])}/v1/internal/model/list`,
+        parseModels: (data) => data.model_names || [],
+    },
+
+    kobold: {
+        label: 'KoboldCpp / KoboldAI',
+        placeholder: 'http://localhost:5001',
+        stream: 'sse',
+        endpoint(profile, stream) {
+            const base = apiBaseUrl(profile, ['/api/v1/generate', '/api/extra/generate/stream', '/api/v1', '/api']);
+            return stream ? `${base}/api/extra/generate/stream` : `${base}/api/v1/generate`;
+        },
+        headers: bearerHeaders,
+        buildBody(messages, params) {
+            const { known, extra } = splitSamplingParams(params);
+            const body = {
+                prompt: flattenMessages(messages),
+                max_length: known.max_tokens ?? 512,
+                // Without a stop sequence Kobold happily writes the user's next turn too
+                stop_sequence: [...(known.stop || []), '\nUser:'],
+            };
+            if (known.temperature !== undefined) body.temperature = known.temperature;
+            if (known.top_p !== undefined) body.top_p = known.top_p;
+            return { ...body, ...extra };
+        },
+        parseResponse: (data) => data.results?.[0]?.text ?? '',
+        parseChunk: (data) => data.token || '',
+        parseUsage: () => null,
+        modelsEndpoint: (profile) => `${apiBaseUrl(profile, ['/api/v1/generate', '/api/extra/generate/stream', '/api/v1', '/api'])}/api/v1/model`,
+        parseModels: (data) => data.result ? [data.result] : [],
+        parseError: (data) => data.detail?.msg || data.detail || data.error,
+    },
+
+    ollama: {
+        label: 'Ollama',
+        placeholder: 'http://localhost:11434',
+        stream: 'ndjson',
+        endpoint: (profile) => `${apiBaseUrl(profile, ['/api/chat', '/api/generate', '/api'])}/api/chat`,
+        headers: bearerHeaders,
+        buildBody(messages, params, profile, stream) {
+            const { known, extra } = splitSamplingParams(params);
+            const options = {};
+            if (known.temperature !== undefined) options.temperature = known.temperature;
+            if (known.top_p !== undefined) options.top_p = known.top_p;
+            if (known.max_tokens !== undefined) options.num_predict = known.max_tokens;
+            if (known.stop) options.stop = known.stop;
+            if (known.frequency_penalty !== undefined) options.frequency_penalty = known.frequency_penalty;
+            if (known.presence_penalty !== undefined) options.presence_penalty = known.presence_penalty;
+            return { model: profile.model, messages, stream: !!stream, options, ...extra };
+        },
+        applySchema(body, { schema }) {
+            body.format = schema;
+        },
+        parseResponse: (data) => data.message?.content ?? '',
+        parseChunk: (data) => data.message?.content || '',
+        parseUsage: (data) => data.done ? { prompt: data.prompt_eval_count, completion: data.eval_count } : null,
+        modelsEndpoint: (profile) => `${apiBaseUrl(profile, ['/api/chat', '/api/generate', '/api'])}/api/tags`,
+        parseModels: (data) => (data.models || []).map(m => m.name || m.model),
+        parseError: (data) => data.error,
+    },
+
+    anthropic: {
+        label: 'Anthropic Messages',
+        placeholder: 'https://api.anthropic.com',
+        stream: 'sse',
+        endpoint: (profile) => `${apiBaseUrl(profile, ['/v1/messages', '/v1'])}/v1/messages`,
+        headers: (profile) => ({
+            'x-api-key': profile.key || '',
+            'anthropic-version': '2023-06-01',
+            'anthropic-dangerous-direct-browser-access': 'true',
+        }),
+        buildBody(messages, params, profile, stream) {
+            const { known, extra } = splitSamplingParams(params);
+            const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+            // Roles must alternate, so consecutive turns of the same role are merged
+            const turns = [];
+            for (const m of messages) {
+                if (m.role === 'system') continue;
+                const role = m.role === 'assistant' ? 'assistant' : 'user';
+                const last = turns[turns.length - 1];
+                if (last?.role === role) last.content += `\n\n${m.content}`;
+                else turns.push({ role, content: m.content });
+            }
+            if (turns[0]?.role !== 'user') turns.unshift({ role: 'user', content: '(continue)' });
+
+            const body = { model: profile.model, max_tokens: known.max_tokens ?? 1024, messages: turns };
+            if (system) body.system = system;
+            if (known.temperature !== undefined) body.temperature = known.temperature;
+            if (known.top_p !== undefined) body.top_p = known.top_p;
+            if (known.stop) body.stop_sequences = known.stop;
+            if (stream) body.stream = true;
+            return { ...body, ...extra };
+        },
+        parseResponse: (data) => (data.content || []).filter(b => b.type === 'text').map(b => b.text).join(''),
+        parseChunk: (data) => data.type === 'content_block_delta' ? (data.delta?.text || '') : '',
+        // message_start carries the input count, message_delta the running output count
+        parseUsage(data) {
+            const usage = data.usage || data.message?.usage;
+            return usage ? { prompt: usage.input_tokens, completion: usage.output_tokens } : null;
+        },
+        modelsEndpoint: (profile) => `${apiBaseUrl(profile, ['/v1/messages', '/v1'])}/v1/models`,
+        parseModels: (data) => (data.data || []).map(m => m.id),
+        parseError: (data) => data.error?.message || data.error,
+    },
+};
+
+export function getApiAdapter(profile) {
+    return API_ADAPTERS[profile?.type] || API_ADAPTERS.openai;
+}
+
+// fetch wrapper that turns network failures and non-2xx replies into readable errors
+export async function fetchApi(adapter, url, init) {
+    let resp;
+    try {
+        resp = await fetch(url, init);
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        throw createApiError(`${adapter.label}: could not reach ${new URL(url).origin} (server down or blocked by CORS)`, { retryable: true });
+    }
+    if (!resp.ok) {
+        throw createApiError(`${adapter.label} error ${resp.status}: ${await readApiError(resp, adapter)}`, {
+            status: resp.status,
+            retryAfter: parseRetryAfter(resp.headers.get('retry-after')),
+            retryable: RETRYABLE_STATUSES.includes(resp.status) || resp.status >= 500,
+        });
+    }
+    return resp;
+}
+
+async function readApiError(resp, adapter) {
+    const raw = await resp.text().catch(() => '');
+    let message = '';
+    try {
+        message = adapter.parseError(JSON.parse(raw));
+    } catch {
+        // Not JSON, fall back to the raw body
+    }
+    if (message && typeof message !== 'string') message = JSON.stringify(message);
+    return (message || raw || resp.statusText || 'Request failed').slice(0, 300);
+}
+
+export async function fetchModelList(profile) {
+    const adapter = getApiAdapter(profile);
+    const resp = await fetchApi(adapter, adapter.modelsEndpoint(profile), { headers: adapter.headers(profile) });
+    return adapter.parseModels(await resp.json());
+}
+
+// ── Errors ──────────────────────────────────────────────────────
+// Errors carry the HTTP status, the server's Retry-After and whether the
+// retry loop in index.js may try again.
+
+const RETRYABLE_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+export const MAX_RETRY_DELAY = 60000;
+
+function createApiError(message, { status = null, retryAfter = null, retryable = false } = {}) {
+    return Object.assign(new Error(message), { status, retryAfter, retryable });
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+    return Number.isFinite(ms) ? Math.min(Math.max(ms, 0), MAX_RETRY_DELAY) : null;
+}
+
+export function isAbortError(err) {
+    return err?.name === 'AbortError';
+}
+
+// ── Requests ────────────────────────────────────────────────────
+
+// Sends one request through the profile's adapter. When opts.onToken is set
+// the request asks for a stream and onToken(fullText, delta) fires per chunk.
+export async function requestExtraApiOnce(messages, profile, params, opts = {}) {
+    const adapter = getApiAdapter(profile);
+    const stream = !!opts.onToken;
+    const headers = { 'Content-Type': 'application/json', ...adapter.headers(profile) };
+    const body = adapter.buildBody(messages, params, profile, stream);
+    if (opts.schema) adapter.applySchema?.(body, opts.schema);
+
+    const resp = await fetchApi(adapter, adapter.endpoint(profile, stream), {
+        method: 'POST', headers, body: JSON.stringify(body), signal: opts.signal,
+    });
+
+    // Servers that ignore `stream` still answer with plain JSON
+    const type = resp.headers.get('content-type') || '';
+    if (stream && resp.body && (type.includes('text/event-stream') || type.includes('ndjson'))) {
+        return await readApiStream(resp, adapter, opts.onToken, opts.usage);
+    }
+
+    let data;
+    try {
+        data = await resp.json();
+    } catch {
+        throw new Error(`${adapter.label}: response was not valid JSON`);
+    }
+    const text = adapter.parseResponse(data) || '';
+    mergeUsage(opts.usage, adapter.parseUsage(data));
+    if (opts.onToken && text) opts.onToken(text, text);
+    return text;
+}
+
+// ── Streaming ───────────────────────────────────────────────────
+
+async function readApiStream(resp, adapter, onToken, usage) {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const delta = parseStreamLine(line, adapter, usage);
+            if (!delta) continue;
+            text += delta;
+            onToken(text, delta);
+        }
+    }
+    const delta = parseStreamLine(buffer, adapter, usage);
+    if (delta) { text += delta; onToken(text, delta); }
+    return text;
+}
+
+// SSE lines carry JSON after "data:", NDJSON lines are JSON as they are
+function parseStreamLine(line, adapter, usage) {
+    let payload = line.trim();
+    if (adapter.stream === 'sse') {
+        if (!payload.startsWith('data:')) return '';
+        payload = payload.slice(5).trim();
+    }
+    if (!payload || payload === '[DONE]') return '';
+    let data;
+    try {
+        data = JSON.parse(payload);
+    } catch {
+        return '';
+    }
+    if (data.error) {
+        const message = adapter.parseError(data);
+        throw new Error(`${adapter.label}: ${typeof message === 'string' ? message : JSON.stringify(message)}`);
+    }
+    mergeUsage(usage, adapter.parseUsage(data));
+    return adapter.parseChunk(data);
+}
+
+function extractCompletionText(data) {
+    if (data.choices?.length > 0) return data.choices[0].message?.content || data.choices[0].text || '';
+    return data.response || data.content || data.result || JSON.stringify(data);
+}
+
+// Keeps the counts a backend reported; opts.usage collects them per request
+function mergeUsage(sink, usage) {
+    if (!sink || !usage) return;
+    if (Number.isFinite(usage.prompt)) sink.prompt = usage.prompt;
+    if (Number.isFinite(usage.completion)) sink.completion = usage.completion;
+}
@@ -4,6 +4,15 @@
        API key + model selector, collapsible panel
    ============================================================ */
 
+import {
+    API_ADAPTERS,
+    MAX_RETRY_DELAY,
+    fetchModelList,
+    getApiAdapter,
+    isAbortError,
+    requestExtraApiOnce,
+} from './api-adapters.js';
+
 const MODULE_NAME = 'whispers';
 
 // ── Default Settings ────────────────────────────────────────────
@@ -13,11 +22,36 @@ const defaultSettings = Object.freeze({
     folders: [],
     npcAssistants: [],
     npcFolders: [],
-    extraApiUrl: '',
-    extraApiKey: '',
-    extraApiModel: '',
-    messageLimit: 20,
-    useExtraApi: false,
+    apiProfiles: [],           // { id, name, type, url, key, model }
+    featureProfiles: { chat: 'st', proactive: 'st', feed: 'st', npcReply: 'st', dm: 'st', summary: 'st' },
+    tokenBudgets: { chat: 4096, proactive: 4096, feed: 4096, npcReply: 2048, dm: 3072, summary: 4096 },
+    // How main chat messages are cleaned up before any feature sees them
+    contextFilters: {
+        skipHidden: true,      // messages hidden with /hide
+        skipSystem: true,      // narrator and other system messages
+        skipPending: true,     // the reply SillyTavern is still streaming
+        stripHtml: false,
+        stripReasoning: true,  // <think>…</think> and similar blocks left in the text
+        stripImages: true,     // ![alt](url) markdown
+        patterns: '',          // extra regexes, one per line, removed from every message
+        maxChars: 0,           // longer messages keep their start and end; 0 = off
+        range: 'all',          // 'all' | 'whisper' (since my last whisper) | 'scene'
+        sceneMarker: '',       // regex of the message that opens a scene
+    },
+    summaryEnabled: false,     // rolling memory summary of older messages
+    summaryKeepRecent: 20,     // newest messages (each of whispers and main chat) left out of the summary
+    summaryInterval: 10,       // older messages that must pile up before the summary is updated
+    worldInfoScanDepth: 4,     // messages of main chat and of the conversation scanned for lorebook keys
+    queueConcurrency: 1,       // parallel backend requests
+    generationLogSize: 30,     // entries kept for the prompt inspector
+    usageStats: { features: {}, owners: {}, chats: {}, days: {}, models: {} },
+    priceTable: [],            // { model, input, output } in USD per 1M tokens
+    usageBudget: { dailyTokens: 0, dailyCost: 0 }, // 0 = no limit
+    retryCount: 2,             // extra attempts on 429/5xx/network errors
+    retryBaseDelay: 1000,      // ms, doubled per attempt unless Retry-After says otherwise
+    fallbackProfileId: '',     // '' | 'st' | profile id
+    promptPresets: [],         // { id, name, templates: { [templateKey]: source } }, defaults omitted
+    activePromptPreset: null,  // preset that template edits are saved into
     chatMode: true,
     twitterMode: false,
     chatAutoMode: 'button',    // 'every' | 'button' | 'custom'
@@ -33,7 +67,21 @@ Name — {{name}}
 Character — {{character}}
 Bans — {{bans}}
 
-Conversation context (last messages from the main chat):
+{{#if memory}}Memory (summary of the earlier conversation):
+{{memory}}
+
+{{/if}}{{#if notebook}}Your notebook (facts kept from earlier sessions):
+{{notebook}}
+
+{{/if}}{{#if remember}}{{remember}}
+
+{{/if}}{{#if card}}Who is in the story:
+{{card}}
+
+{{/if}}{{#if lore}}World info:
+{{lore}}
+
+{{/if}}Conversation context (last messages from the main chat):
 {{context}}
 
 Now respond to the user's message in the assistant chat.`,
@@ -41,13 +89,46 @@ Now respond to the user's message in the assistant chat.`,
 
 {{npc_cards}}
 
-Conversation context (latest events):
+{{#if card}}Who is in the story:
+{{card}}
+
+{{/if}}{{#if lore}}World info:
+{{lore}}
+
+{{/if}}Conversation context (latest events):
 {{context}}
 
 Generate exactly {{post_count}} short social media posts reacting to the latest events. Each post should be in-character, witty, and feel like a genuine social media reaction.
 
 RESPOND ONLY with a JSON array in this exact format, no other text:
 [{"name": "Display Name", "username": "handle", "content": "Post text here"}]`,
+    proactiveCommentPrompt: `[Instruction: React to the latest events in the main chat. Comment on what just happened — be witty or insightful. Respond naturally as the assistant, don't mention that you were prompted.]`,
+    proactiveAdvicePrompt: `[Instruction: Give the user a helpful suggestion or advice based on the current conversation context. Respond naturally as the assistant, don't mention that you were prompted.]`,
+    proactiveCheckinPrompt: `[Instruction: Check in on the user casually. Be friendly and ask how things are going. If something interesting happened recently, mention it. Respond naturally as the assistant, don't mention that you were prompted.]`,
+    summaryPrompt: `You keep the long-term memory of a side chat between the user and their assistant, who follow an ongoing roleplay together.
+
+{{#if summary}}Current summary:
+{{summary}}
+
+{{/if}}{{#if chat}}Earlier events of the main story:
+{{chat}}
+
+{{/if}}{{#if whispers}}Earlier messages of the assistant chat:
+{{whispers}}
+
+{{/if}}Write an updated summary that merges this material into the current one. Keep names, facts, decisions, promises and open questions; drop small talk. At most 300 words. Reply with the summary only.`,
+    tweetReplyPrompt: `{{#if known_npc}}You are {{npc_name}} (@{{npc_username}}).{{#if character}} Character: {{character}}.{{/if}}{{#if post_example}} Example of your style: "{{post_example}}".{{/if}}{{#if bans}} Never say: {{bans}}.{{/if}}{{else}}You are {{npc_name}} (@{{npc_username}}), a social media user.{{/if}}
+{{#if lore}}
+World info:
+{{lore}}
+{{/if}}
+You wrote this post on social media:
+"{{post_content}}"
+
+A user named {{reply_name}} (@{{reply_username}}) just replied to your post:
+"{{reply_content}}"
+
+Write a SHORT reply back to them (1-3 sentences). Stay in character. Be reactive — if they're being rude, you can be sassy or upset. If they're nice, be friendly. React naturally and emotionally. Do NOT use any JSON formatting, just write the reply text directly.`,
 });
 
 
@@ -60,7 +141,13 @@ const chirpDefaults = {
 NPC characters:
 {{npc_cards}}
 
-Recent story events:
+{{#if card}}Who is in the story:
+{{card}}
+
+{{/if}}{{#if lore}}World info:
+{{lore}}
+
+{{/if}}Recent story events:
 {{context}}
 
 Generate exactly {{post_count}} posts as a JSON array. Rules:
@@ -75,9 +162,23 @@ Personality: {{personality}}
 Post style: {{post_style}}
 
 {{user_name}} (@{{user_username}}) is DMing you.
-Story context: {{context}}
+{{#if card}}Who is in the story:
+{{card}}
+{{/if}}{{#if lore}}World info:
+{{lore}}
+{{/if}}Story context: {{context}}
 
 Reply in character. 1-3 short sentences. Stay in persona.`,
+    chirpReplyPrompt: `You are {{npc_name}} (@{{npc_username}}) on Deerly. Personality: {{personality}}.
+{{#if lore}}World info:
+{{lore}}
+{{/if}}@{{author_username}} wrote: "{{post_content}}"
+Write a short reply (max 200 chars). Plain text only.`,
+    chirpReactPrompt: `You are {{npc_name}} (@{{npc_username}}) on Deerly. {{personality}}
+{{#if lore}}World info:
+{{lore}}
+{{/if}}Reply to this post in max 220 chars. Just plain text:
+"{{post_content}}" — by @{{author_username}}`,
 };
 
 // ── Helpers ─────────────────────────────────────────────────────
@@ -86,12 +187,42 @@ function generateId() {
     return 'w_' + Date.now().toString(36) + '_' + Math.random().toString(36).slice(2, 8);
 }
 
+// navigator.clipboard only exists in secure contexts, and SillyTavern is often
+// reached over plain http on the LAN; a selected textarea still copies there
+async function copyToClipboard(text) {
+    try {
+        if (!navigator.clipboard) throw new Error('Clipboard API unavailable');
+        await navigator.clipboard.writeText(text);
+    } catch {
+        const area = document.createElement('textarea');
+        area.value = text;
+        area.style.position = 'fixed';
+        area.style.opacity = '0';
+        document.body.appendChild(area);
+        area.select();
+        let copied = false;
+        try {
+            copied = document.execCommand('copy');
+        } catch {
+            // Reported below
+        }
+        area.remove();
+        if (!copied) {
+            toastr.error('Could not copy to the clipboard');
+            return false;
+        }
+    }
+    toastr.success('Copied!');
+    return true;
+}
+
 function getSettings() {
     const { extensionSettings } = SillyTavern.getContext();
     if (!extensionSettings[MODULE_NAME]) {
         extensionSettings[MODULE_NAME] = structuredClone(defaultSettings);
     }
     const s = extensionSettings[MODULE_NAME];
+    if (!Object.hasOwn(s, 'apiProfiles')) migrateLegacyApiSettings(s);
     for (const key of Object.keys(defaultSettings)) {
         if (!Object.hasOwn(s, key)) {
             s[key] = structuredClone(defaultSettings[key]);
@@ -107,6 +238,23 @@ function getSettings() {
     return s;
 }
 
+// Pre-profile settings kept a single extraApiUrl/Key/Model triple behind a
+// global useExtraApi switch; turn it into a profile and route every feature to it.
+function migrateLegacyApiSettings(s) {
+    s.apiProfiles = [];
+    s.featureProfiles = structuredClone(defaultSettings.featureProfiles);
+    if (s.extraApiUrl) {
+        // The old request path sent OpenAI bodies everywhere; /generate URLs were meant for Kobold
+        const type = /\/generate\/?$/.test(s.extraApiUrl) ? 'kobold' : 'openai';
+        const profile = { id: generateId(), name: 'Default', type, url: s.extraApiUrl, key: s.extraApiKey || '', model: s.extraApiModel || '' };
+        s.apiProfiles.push(profile);
+        if (s.useExtraApi) {
+            for (const feature of Object.keys(s.featureProfiles)) s.featureProfiles[feature] = profile.id;
+        }
+    }
+    delete s.extraApiUrl; delete s.extraApiKey; delete s.extraApiModel; delete s.useExtraApi;
+}
+
 function saveSettings() {
     SillyTavern.getContext().saveSettingsDebounced();
 }
@@ -119,11 +267,251 @@ async function saveChatMeta() {
     await SillyTavern.getContext().saveMetadata();
 }
 
-function getWhispersHistory() {
+// ── Markdown ────────────────────────────────────────────────────
+// Whisper bubbles, Chirp posts and DMs and notes render markdown. The source
+// is escaped before any markup is added, so the only tags in the result are
+// the ones made here; links must be http(s) or mailto. Notes were HTML before, so with
+// opts.html a few formatting tags pass through, stripped of their attributes.
+
+const MD_SAFE_URL = /^(https?:\/\/|mailto:)/i;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_TABLE_RULE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const MD_RULE = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const MD_HTML_TAG = /<(\/?)(b|strong|i|em|u|s|del|small|sub|sup|mark|span|font|br)\b[^<>]*>/gi;
+
+// Unlike escapeHtml this also covers quotes, as the result may land in attributes
+function mdEscape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Kept tags stay balanced within a block: a closing tag with nothing open is
+// dropped, and one closing an outer tag closes the inner ones with it
+function keepHtmlTag(close, tag, open) {
+    tag = tag.toLowerCase();
+    if (tag === 'br') return '<br>';
+    if (!close) { open.push(tag); return `<${tag}>`; }
+    const at = open.lastIndexOf(tag);
+    return at === -1 ? '' : closeHtmlTags(open.splice(at));
+}
+
+function closeHtmlTags(open) {
+    return open.splice(0).reverse().map(tag => `</${tag}>`).join('');
+}
+
+/**
+ * @param {string} text - one line
+ * @param {{ html?: boolean, mentions?: boolean, openTags?: string[] }} [opts] - html keeps MD_HTML_TAG tags,
+ *   mentions marks @handles for Chirp; openTags carries the kept tags still open across the lines of a
+ *   paragraph, which renderMarkdown closes at its end. Without it the line closes its own.
+ */
+function renderMarkdownInline(text, opts = {}) {
+    const stash = [];
+    const keep = (html) => `\u0000${stash.push(html) - 1}\u0000`;
+    const open = opts.openTags || [];
+    let out = String(text ?? '').replace(/\u0000/g, '').replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${mdEscape(code)}</code>`));
+    if (opts.html) out = out.replace(MD_HTML_TAG, (_, close, tag) => keep(keepHtmlTag(close, tag, open)));
+    out = out.replace(/\[([^\]\n]+)\]\(([^)\s]+)\)/g, (whole, label, url) => MD_SAFE_URL.test(url)
+        ? keep(`<a href="${mdEscape(url)}" target="_blank" rel="noopener noreferrer">${renderMarkdownInline(label, { ...opts, openTags: undefined })}</a>`)
+        : whole);
+    out = out.replace(/(^|[\s(])(https?:\/\/[^\s<>()]+[^\s<>().,;:!?'"])/g, (_, lead, url) =>
+        lead + keep(`<a href="${mdEscape(url)}" target="_blank" rel="noopener noreferrer">${mdEscape(url)}</a>`));
+    if (opts.mentions) out = out.replace(/@(\w+)/g, (_, handle) => keep(`<span class="chirp-mention" data-mention="${handle}">@${handle}</span>`));
+    out = mdEscape(out)
+        .replace(/\|\|(.+?)\|\|/g, '<span class="whispers-md-spoiler" title="Show spoiler">$1</span>')
+        .replace(/\*\*\*(?=\S)(.+?)\*\*\*/g, '<strong><em>$1</em></strong>')
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?![*\w])/g, '$1<em>$2</em>')
+        .replace(/(^|\W)_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>');
+    out = out.replace(/\u0000(\d+)\u0000/g, (_, n) => stash[n]);
+    return opts.openTags ? out : out + closeHtmlTags(open);
+}
+
+function renderCodeBlock(code, lang) {
+    return `<div class="whispers-md-code">`
+        + `<div class="whispers-md-code-head"><span>${mdEscape(lang)}</span><button class="whispers-md-copy" title="Copy"><i class="fa-solid fa-copy"></i></button></div>`
+        + `<pre><code>${mdEscape(code)}</code></pre></div>`;
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+function renderTable(lines, opts) {
+    const aligns = splitTableRow(lines[1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : '';
+    });
+    const row = (line, tag) => '<tr>' + splitTableRow(line).map((cell, i) =>
+        `<${tag}${aligns[i] ? ` style="text-align:${aligns[i]}"` : ''}>${renderMarkdownInline(cell, opts)}</${tag}>`).join('') + '</tr>';
+    return `<div class="whispers-md-table"><table><thead>${row(lines[0], 'th')}</thead>`
+        + `<tbody>${lines.slice(2).map(line => row(line, 'td')).join('')}</tbody></table></div>`;
+}
+
+// Items at the first item's indent; deeper lines belong to the item above
+function renderList(lines, opts) {
+    const baseIndent = lines[0].match(MD_LIST_ITEM)[1].length;
+    const ordered = /\d/.test(lines[0].match(MD_LIST_ITEM)[2]);
+    const items = [];
+    for (const line of lines) {
+        const item = line.match(MD_LIST_ITEM);
+        if (item && item[1].length <= baseIndent) items.push({ text: item[3], rest: [] });
+        else items.at(-1).rest.push(line.slice(Math.min(baseIndent + 2, line.search(/\S|$/))));
+    }
+    const start = ordered ? parseInt(lines[0].match(MD_LIST_ITEM)[2], 10) : 1;
+    const tag = ordered ? 'ol' : 'ul';
+    return `<${tag}${start !== 1 ? ` start="${start}"` : ''}>`
+        + items.map(item => `<li>${renderMarkdownInline(item.text, opts)}${item.rest.length ? renderMarkdown(item.rest.join('\n'), opts) : ''}</li>`).join('')
+        + `</${tag}>`;
+}
+
+/**
+ * Markdown to safe HTML: paragraphs, headings, lists, blockquotes, fenced
+ * code with a copy button, tables, rules, links, **bold**, *italic*,
+ * ***both***, ~~strike~~, `code` and ||spoilers||. See bindMarkdownEvents for
+ * the clicks and renderMarkdownInline for opts.
+ */
+function renderMarkdown(text, opts = {}) {
+    const lines = String(text ?? '').replace(/\u0000/g, '').replace(/\r\n?/g, '\n').split('\n');
+    const out = [];
+    let i = 0;
+    const isBlockStart = (line) => /^\s*(```|~~~)/.test(line) || /^#{1,6}\s/.test(line) || /^\s*>/.test(line) || MD_LIST_ITEM.test(line) || MD_RULE.test(line);
+    while (i < lines.length) {
+        const line = lines[i];
+        if (!line.trim()) { i++; continue; }
+
+        const fence = line.match(/^\s*(```|~~~)\s*([\w+#.-]*)/);
+        if (fence) {
+            const body = [];
+            // An unclosed fence runs to the end, as while a reply streams
+            for (i++; i < lines.length && !lines[i].trim().startsWith(fence[1]); i++) body.push(lines[i]);
+            i++;
+            out.push(renderCodeBlock(body.join('\n'), fence[2]));
+            continue;
+        }
+
+        const heading = line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            out.push(`<h${heading[1].length}>${renderMarkdownInline(heading[2], opts)}</h${heading[1].length}>`);
+            i++;
+            continue;
+        }
+
+        if (MD_RULE.test(line)) { out.push('<hr>'); i++; continue; }
+
+        if (/^\s*>/.test(line)) {
+            const quote = [];
+            for (; i < lines.length && /^\s*>/.test(lines[i]); i++) quote.push(lines[i].replace(/^\s*>\s?/, ''));
+            out.push(`<blockquote>${renderMarkdown(quote.join('\n'), opts)}</blockquote>`);
+            continue;
+        }
+
+        if (line.includes('|') && lines[i + 1]?.includes('|') && MD_TABLE_RULE.test(lines[i + 1])) {
+            const table = [line, lines[i + 1]];
+            for (i += 2; i < lines.length && lines[i].includes('|') && lines[i].trim(); i++) table.push(lines[i]);
+            out.push(renderTable(table, opts));
+            continue;
+        }
+
+        if (MD_LIST_ITEM.test(line)) {
+            const list = [];
+            // Indented lines and list items continue the list; a blank line only if more follows
+            for (; i < lines.length; i++) {
+                const next = lines[i];
+                if (MD_LIST_ITEM.test(next) || (next.trim() && /^\s{2,}/.test(next))) list.push(next);
+                else if (!next.trim() && (MD_LIST_ITEM.test(lines[i + 1] || '') || /^\s{2,}\S/.test(lines[i + 1] || ''))) continue;
+                else break;
+            }
+            out.push(renderList(list, opts));
+            continue;
+        }
+
+        const para = [];
+        for (; i < lines.length && lines[i].trim() && (!para.length || !isBlockStart(lines[i])); i++) para.push(lines[i]);
+        const openTags = [];
+        const rendered = para.map(line => renderMarkdownInline(line, { ...opts, openTags }));
+        out.push(`<p>${rendered.join('<br>')}${closeHtmlTags(openTags)}</p>`);
+    }
+    return out.join('');
+}
+
+// Copy buttons and spoilers work wherever rendered markdown ends up
+function bindMarkdownEvents() {
+    document.addEventListener('click', (e) => {
+        const copy = e.target.closest('.whispers-md-copy');
+        if (copy) {
+            e.stopPropagation();
+            const code = copy.closest('.whispers-md-code')?.querySelector('code')?.textContent || '';
+            copyToClipboard(code);
+            return;
+        }
+        const spoiler = e.target.closest('.whispers-md-spoiler');
+        if (spoiler) {
+            e.stopPropagation();
+            spoiler.classList.toggle('revealed');
+        }
+    });
+}
+
+// ── Whisper Threads ─────────────────────────────────────────────
+// A chat holds named threads: chat_metadata.whispers_threads =
+// [{ id, name, assistantId, archived, createdAt, history, summary }], with
+// whispers_thread_id the open one. A thread's assistantId wins over the
+// usual binding rules; null follows them (see getActiveAssistant).
+
+function createThread(name, assistantId = null) {
+    return { id: generateId(), name, assistantId, archived: false, createdAt: Date.now(), history: [], summary: null };
+}
+
+function getThreads() {
+    return getChatMeta()?.whispers_threads || [];
+}
+
+// The open thread, or the first one not archived; null until prepareThreads ran
+function getActiveThread() {
+    const meta = getChatMeta();
+    if (!meta) return null;
+    const threads = getThreads();
+    return threads.find(t => t.id === meta.whispers_thread_id) || threads.find(t => !t.archived) || null;
+}
+
+// Returns the open thread, starting a new "Main" one when every thread is
+// archived or deleted. The caller saves.
+function ensureActiveThread() {
+    const meta = getChatMeta();
+    if (!meta) return null;
+    let thread = getActiveThread();
+    if (!thread) {
+        thread = createThread('Main');
+        meta.whispers_threads = [...getThreads(), thread];
+    }
+    meta.whispers_thread_id = thread.id;
+    return thread;
+}
+
+// Run once per chat load: moves the single history and summary of chats from
+// before threads into a "Main" thread and makes sure one thread is open
+async function prepareThreads() {
     const meta = getChatMeta();
-    if (!meta) return [];
-    if (!meta.whispers_history) meta.whispers_history = [];
-    return meta.whispers_history;
+    if (!meta) return;
+    const before = meta.whispers_thread_id;
+    if (!meta.whispers_threads) {
+        const thread = createThread('Main');
+        thread.history = meta.whispers_history || [];
+        thread.summary = meta.whispers_summary || null;
+        meta.whispers_threads = [thread];
+        delete meta.whispers_history;
+        delete meta.whispers_summary;
+    }
+    const hadThreads = meta.whispers_threads.length;
+    ensureActiveThread();
+    if (meta.whispers_thread_id !== before || meta.whispers_threads.length !== hadThreads) await saveChatMeta();
+}
+
+function getWhispersHistory() {
+    return getActiveThread()?.history || [];
 }
 
 function getCurrentCharName() {
@@ -145,11 +533,26 @@ function escapeHtml(text) {
 // binding: 'global' | 'character' | 'chat' | 'none'
 // bindingTarget: charName (for character binding) or null
 
+// Picked in the overlay header without pinning; lasts until the chat or
+// thread changes
+let sessionAssistantId = null;
+
 function getActiveAssistant() {
     const settings = getSettings();
     const meta = getChatMeta();
     const charName = getCurrentCharName();
 
+    // 0. Picked for this session, then the open thread's assistant
+    if (sessionAssistantId) {
+        const a = settings.assistants.find(a => a.id === sessionAssistantId);
+        if (a) return a;
+    }
+    const threadAssistantId = getActiveThread()?.assistantId;
+    if (threadAssistantId) {
+        const a = settings.assistants.find(a => a.id === threadAssistantId);
+        if (a) return a;
+    }
+
     // 1. Chat-bound assistant
     if (meta && meta.whispers_assistant_id) {
         const a = settings.assistants.find(a => a.id === meta.whispers_assistant_id);
@@ -170,26 +573,72 @@ function getActiveAssistant() {
     return settings.assistants.length > 0 ? settings.assistants[0] : null;
 }
 
-function buildSystemPrompt(assistant) {
-    const settings = getSettings();
-    let prompt = settings.mainPromptTemplate;
-    prompt = prompt.replace(/\{\{name\}\}/g, assistant.name || 'Assistant');
-    prompt = prompt.replace(/\{\{character\}\}/g, assistant.character || 'Helpful and friendly');
-    prompt = prompt.replace(/\{\{bans\}\}/g, assistant.bans || 'None');
+/**
+ * The assistant an @Name in the text calls on, if any. The earliest mention
+ * wins; at the same spot the longer name does, so "@Ann Lee" beats "@Ann".
+ */
+function findMentionedAssistant(text) {
+    let found = null;
+    let foundAt = Infinity;
+    for (const a of getSettings().assistants) {
+        if (!a.name) continue;
+        const name = a.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const match = new RegExp(`(^|\\s)@${name}(?![\\p{L}\\p{N}_])`, 'iu').exec(text);
+        if (!match) continue;
+        if (match.index < foundAt || (match.index === foundAt && a.name.length > found.name.length)) {
+            found = a;
+            foundAt = match.index;
+        }
+    }
+    return found;
+}
+
+// Replies by other assistants (see @mentions) are labelled so the model
+// doesn't take them for its own words
+function toApiHistory(history, assistant) {
+    const assistants = getSettings().assistants;
+    return history.map(m => {
+        const role = m.role === 'user' ? 'user' : 'assistant';
+        const other = role === 'assistant' && m.assistantId && m.assistantId !== assistant.id
+            ? assistants.find(a => a.id === m.assistantId) : null;
+        if (other) return { role, content: `[${other.name}] ${m.content}` };
+        return { role, content: role === 'user' ? whisperPromptText(m) : m.content };
+    });
+}
+
+// A whisper asked about a main chat message (see askAboutMessage) carries
+// that message verbatim ahead of the question
+function whisperPromptText(msg) {
+    const ref = msg.reference;
+    if (!ref) return msg.content;
+    return `About this message from the main chat, by ${ref.name}:\n"""\n${ref.text}\n"""\n\n${msg.content}`;
+}
+
+function assistantTemplateValues(assistant, { context = '', lore = '', memory = getActiveSummary()?.text || '' } = {}) {
+    return {
+        name: assistant.name || 'Assistant',
+        character: assistant.character || 'Helpful and friendly',
+        bans: assistant.bans || 'None',
+        example: assistant.messageExample || '',
+        memory,
+        notebook: formatNotebook(assistant),
+        remember: getNotebookScope(assistant) === 'off' ? '' : REMEMBER_INSTRUCTION,
+        card: buildCardContext([assistant]),
+        lore,
+        context,
+    };
+}
 
-    // Inject message example if present
-    if (assistant.messageExample) {
+function buildSystemPrompt(assistant, extras = {}) {
+    const source = getTemplateSource('mainPromptTemplate');
+    const values = assistantTemplateValues(assistant, extras);
+    let prompt = renderPrompt('mainPromptTemplate', values, source);
+
+    // Inject message example if present and the template doesn't place it itself
+    if (assistant.messageExample && !templateUses(source, 'example')) {
         prompt += '\n\nExample of how you should write:\n' + assistant.messageExample;
     }
-
-    const ctx = SillyTavern.getContext();
-    const chat = ctx.chat || [];
-    const limit = settings.messageLimit || 20;
-    const contextStr = chat.slice(-limit).map(m => {
-        const role = m.is_user ? 'User' : (m.name || 'Character');
-        return `${role}: ${m.mes}`;
-    }).join('\n');
-    prompt = prompt.replace(/\{\{context\}\}/g, contextStr);
+    if (values.remember && !templateUses(source, 'remember')) prompt += '\n\n' + values.remember;
 
     return prompt;
 }
@@ -429,193 +878,1931 @@ function crc32(buf) {
 
 // ── Generation ──────────────────────────────────────────────────
 
-async function generateResponse(userMessage) {
-    const settings = getSettings();
-    const assistant = getActiveAssistant();
+// opts.assistant answers instead of the active one (an @mention) and
+// opts.history replaces the thread history (a swipe of an older message);
+// the rest goes to callApi
+async function generateResponse(userMessage, { assistant = getActiveAssistant(), history = getWhispersHistory(), ...opts } = {}) {
     if (!assistant) throw new Error('No assistant configured');
 
-    const systemPrompt = buildSystemPrompt(assistant);
-    const history = getWhispersHistory();
-    const limit = settings.messageLimit || 20;
-    const recentHistory = history.slice(-limit);
+    // Swiping an older reply passes only the history before it; a summary that
+    // reaches past that would tell the assistant what happens later
+    const covered = summaryCoverage(getActiveSummary(), getWhispersHistory(), SillyTavern.getContext().chat || []);
+    const useMemory = covered.history <= history.length;
+    const starts = useMemory ? summaryStarts() : { history: 0, chat: 0 };
+    const memory = useMemory ? getActiveSummary()?.text || '' : '';
+    const { context, history: recentHistory, lore } = await buildBudgetedContext('chat', {
+        fixed: [
+            { label: 'System prompt', text: buildSystemPrompt(assistant, { memory }) },
+            { label: 'New message', text: userMessage },
+        ],
+        history: history.slice(starts.history),
+        chatStart: starts.chat,
+        lore: await gatherWorldInfo([assistant], [...history.map(m => m.content), userMessage]),
+    });
+    const systemPrompt = buildSystemPrompt(assistant, { context, lore, memory });
 
-    if (settings.useExtraApi && settings.extraApiUrl) {
-        return await generateViaExtraApi(systemPrompt, recentHistory, userMessage, settings);
-    } else {
-        return await generateViaST(systemPrompt, recentHistory, userMessage);
-    }
+    const messages = [{ role: 'system', content: systemPrompt }, ...toApiHistory(recentHistory, assistant)];
+    messages.push({ role: 'user', content: userMessage });
+    const response = await callApi(messages, { ...opts, feature: 'chat', owner: assistant, priority: 'user' });
+    return await takeRememberTags(assistant, response);
 }
 
-async function generateViaExtraApi(systemPrompt, history, userMessage, settings) {
-    const messages = [{ role: 'system', content: systemPrompt }];
-    for (const m of history) messages.push({ role: m.role === 'user' ? 'user' : 'assistant', content: m.content });
-    messages.push({ role: 'user', content: userMessage });
+// ── Connection Profiles ─────────────────────────────────────────
+// featureProfiles maps each feature to a profile id or 'st' (SillyTavern's
+// own connection). Assistants and NPCs may override it via apiProfileId.
+
+const API_FEATURES = [
+    { key: 'chat', label: 'Assistant chat', icon: 'fa-comments' },
+    { key: 'proactive', label: 'Proactive messages', icon: 'fa-comment-dots' },
+    { key: 'feed', label: 'Chirp feed', icon: 'fa-feather-pointed' },
+    { key: 'npcReply', label: 'NPC auto-replies', icon: 'fa-reply' },
+    { key: 'dm', label: 'Chirp DMs', icon: 'fa-envelope' },
+    { key: 'summary', label: 'Memory summaries', icon: 'fa-brain' },
+];
+
+function getApiProfile(id) {
+    return (getSettings().apiProfiles || []).find(p => p.id === id) || null;
+}
+
+// Returns the profile to use, or null for SillyTavern's connection
+function resolveApiProfile(feature, owner = null) {
+    const s = getSettings();
+    const id = owner?.apiProfileId || s.featureProfiles?.[feature] || 'st';
+    if (id === 'st') return null;
+    const profile = getApiProfile(id);
+    return profile?.url ? profile : null;
+}
 
-    const url = new URL(settings.extraApiUrl);
-    if (!url.pathname.endsWith('/generate') && !url.pathname.endsWith('/chat/completions')) {
-        url.pathname = url.pathname.replace(/\/$/, '') + '/v1/chat/completions';
+function buildProfileOptions(selected, defaultLabel = null) {
+    const opts = [];
+    if (defaultLabel) opts.push(`<option value="" ${!selected ? 'selected' : ''}>${escapeHtml(defaultLabel)}</option>`);
+    opts.push(`<option value="st" ${selected === 'st' ? 'selected' : ''}>SillyTavern connection</option>`);
+    for (const p of getSettings().apiProfiles || []) {
+        opts.push(`<option value="${escapeHtml(p.id)}" ${selected === p.id ? 'selected' : ''}>${escapeHtml(p.name || 'Unnamed')}</option>`);
     }
+    return opts.join('');
+}
 
-    const headers = { 'Content-Type': 'application/json' };
-    if (settings.extraApiKey) headers['Authorization'] = `Bearer ${settings.extraApiKey}`;
+// ── Sampling ────────────────────────────────────────────────────
+// Assistants and NPCs may carry a `sampling` object. Empty fields mean "use
+// the default": the hard-coded extra-API values or SillyTavern's own preset.
 
-    const body = { messages, temperature: 0.7, max_tokens: 1024 };
-    if (settings.extraApiModel) body.model = settings.extraApiModel;
+const SAMPLING_FIELDS = [
+    { key: 'temperature', label: 'Temperature', step: '0.05', min: '0', max: '2' },
+    { key: 'top_p', label: 'Top P', step: '0.01', min: '0', max: '1' },
+    { key: 'max_tokens', label: 'Max Tokens', step: '1', min: '1', max: '32768' },
+    { key: 'frequency_penalty', label: 'Freq. Penalty', step: '0.05', min: '-2', max: '2' },
+    { key: 'presence_penalty', label: 'Pres. Penalty', step: '0.05', min: '-2', max: '2' },
+];
 
-    const resp = await fetch(url.toString(), { method: 'POST', headers, body: JSON.stringify(body) });
-    if (!resp.ok) throw new Error(`API error: ${resp.status}`);
-    const data = await resp.json();
+// Fields the request builds itself; an extra body may not replace them
+const RESERVED_BODY_KEYS = [
+    'messages', 'prompt', 'model', 'stream', 'stream_options', 'json_schema',
+    'chat_completion_source', 'custom_url', 'reverse_proxy', 'proxy_password', 'api_type', 'api_server',
+];
 
-    if (data.choices?.length > 0) return data.choices[0].message?.content || data.choices[0].text || '';
-    return data.response || data.content || data.result || JSON.stringify(data);
+function parseExtraBody(raw) {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Expected a JSON object');
+    const reserved = Object.keys(parsed).filter(key => RESERVED_BODY_KEYS.includes(key));
+    for (const key of reserved) delete parsed[key];
+    return { params: parsed, reserved };
 }
 
-async function generateViaST(systemPrompt, history, userMessage) {
-    const { generateRaw } = SillyTavern.getContext();
-    let conv = '';
-    for (const m of history) conv += `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}\n`;
-    conv += `User: ${userMessage}\nAssistant:`;
-    return (await generateRaw({ systemPrompt, prompt: conv, prefill: '' })) || '';
+function parseStopStrings(raw) {
+    return String(raw || '').split('\n').map(x => x.replace(/\\n/g, '\n')).filter(x => x.length > 0);
 }
 
-// ── Generic Helpers for Twitter/NPC ─────────────────────────────
+// Only the fields the owner actually set, ready to spread into a request body
+function getSamplingOverrides(owner) {
+    const sp = owner?.sampling;
+    if (!sp) return {};
+    const params = {};
+    for (const { key } of SAMPLING_FIELDS) {
+        if (sp[key] === '' || sp[key] === null || sp[key] === undefined) continue;
+        const num = Number(sp[key]);
+        if (Number.isFinite(num)) params[key] = num;
+    }
+    const stop = parseStopStrings(sp.stop);
+    if (stop.length) params.stop = stop;
+    if (sp.extraBody?.trim()) {
+        try {
+            Object.assign(params, parseExtraBody(sp.extraBody).params);
+        } catch (err) {
+            console.warn('[Whispers] Ignoring invalid extra body JSON:', err);
+        }
+    }
+    return params;
+}
 
-function gatherContext() {
-    const settings = getSettings();
-    const ctx = SillyTavern.getContext();
-    const chat = ctx.chat || [];
-    const limit = settings.messageLimit || 20;
-    return chat.slice(-limit).map(m => {
-        const role = m.is_user ? 'User' : (m.name || 'Character');
-        return `${role}: ${m.mes}`;
-    }).join('\n');
+// generateRaw has no stop parameter, so cut the reply at the first stop string
+function applyStopStrings(text, stop) {
+    if (!stop?.length || !text) return text;
+    let end = text.length;
+    for (const s of stop) {
+        const i = text.indexOf(s);
+        if (i !== -1 && i < end) end = i;
+    }
+    return text.slice(0, end);
 }
 
-async function callApi(messages) {
-    const settings = getSettings();
-    if (settings.useExtraApi && settings.extraApiUrl) {
-        const url = new URL(settings.extraApiUrl);
-        if (!url.pathname.endsWith('/generate') && !url.pathname.endsWith('/chat/completions')) {
-            url.pathname = url.pathname.replace(/\/$/, '') + '/v1/chat/completions';
+function buildSamplingFieldsHtml(sampling = {}) {
+    const fields = SAMPLING_FIELDS.map(f => `
+        <div class="whispers-field-group">
+            <label>${f.label}</label>
+            <input type="number" class="w-sampling-${f.key}" step="${f.step}" min="${f.min}" max="${f.max}" value="${escapeHtml(sampling[f.key] ?? '')}" placeholder="Default">
+        </div>`).join('');
+    return `
+        <details class="whispers-sampling" ${Object.keys(getSamplingOverrides({ sampling })).length ? 'open' : ''}>
+            <summary><i class="fa-solid fa-sliders"></i> Generation Settings</summary>
+            <div class="whispers-sampling-grid">${fields}</div>
+            <div class="whispers-field-group">
+                <label><i class="fa-solid fa-hand"></i> Stop Strings <span style="font-size:0.75em;opacity:0.5;">(one per line, \\n for newline)</span></label>
+                <textarea class="w-sampling-stop" rows="2" placeholder="User:">${escapeHtml(sampling.stop || '')}</textarea>
+            </div>
+            <div class="whispers-field-group">
+                <label><i class="fa-solid fa-code"></i> Extra Body JSON <span style="font-size:0.75em;opacity:0.5;">(merged into the request)</span></label>
+                <textarea class="w-sampling-extra" rows="2" placeholder='{"top_k": 40}'>${escapeHtml(sampling.extraBody || '')}</textarea>
+            </div>
+        </details>`;
+}
+
+// Returns the sampling object from a popup, or null if the extra JSON is invalid
+function readSamplingFields(body) {
+    const sampling = {};
+    for (const { key } of SAMPLING_FIELDS) {
+        const val = body.querySelector(`.w-sampling-${key}`)?.value.trim() ?? '';
+        sampling[key] = val === '' ? '' : Number(val);
+    }
+    sampling.stop = body.querySelector('.w-sampling-stop')?.value || '';
+    sampling.extraBody = body.querySelector('.w-sampling-extra')?.value.trim() || '';
+    if (sampling.extraBody) {
+        try {
+            const { reserved } = parseExtraBody(sampling.extraBody);
+            if (reserved.length) toastr.warning(`Extra body JSON: ${reserved.join(', ')} ${reserved.length > 1 ? 'are' : 'is'} set by the request and will be ignored`);
+        } catch (err) {
+            toastr.error(`Extra body JSON: ${err.message}`);
+            return null;
         }
-        const headers = { 'Content-Type': 'application/json' };
-        if (settings.extraApiKey) headers['Authorization'] = `Bearer ${settings.extraApiKey}`;
-        const body = { messages, temperature: 0.8, max_tokens: 1500 };
-        if (settings.extraApiModel) body.model = settings.extraApiModel;
-        const resp = await fetch(url.toString(), { method: 'POST', headers, body: JSON.stringify(body) });
-        if (!resp.ok) throw new Error(`API error: ${resp.status}`);
-        const data = await resp.json();
-        if (data.choices?.length > 0) return data.choices[0].message?.content || data.choices[0].text || '';
-        return data.response || data.content || data.result || JSON.stringify(data);
-    } else {
-        const { generateRaw } = SillyTavern.getContext();
-        const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
-        const prompt = messages.filter(m => m.role !== 'system').map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n') + '\nAssistant:';
-        return (await generateRaw({ systemPrompt, prompt, prefill: '' })) || '';
     }
+    return sampling;
 }
 
+// ── Retry ───────────────────────────────────────────────────────
+// Rate limits, 5xx replies and network failures are retried with exponential
+// backoff (or the server's Retry-After). When retries run out the optional
+// fallback profile gets one go before the error reaches the caller.
 
+function retryDelay(err, attempt) {
+    if (err.retryAfter !== null && err.retryAfter !== undefined) return err.retryAfter;
+    const base = getSettings().retryBaseDelay || 1000;
+    return Math.min(base * 2 ** (attempt - 1), MAX_RETRY_DELAY);
+}
 
-async function fetchModels() {
-    const settings = getSettings();
-    if (!settings.extraApiUrl) { toastr.warning('Set API URL first'); return []; }
+function sleep(ms, signal) {
+    return abortable(new Promise(resolve => setTimeout(resolve, ms)), signal);
+}
 
-    const url = new URL(settings.extraApiUrl);
-    url.pathname = url.pathname.replace(/\/$/, '') + '/v1/models';
+// opts.onRetry(attempt, max) fires before each new attempt so callers can show it
+async function requestExtraApi(messages, profile, params, opts = {}) {
+    const s = getSettings();
+    const maxRetries = Math.max(0, s.retryCount ?? 2);
+    let streamed = false;
+    const onToken = opts.onToken && ((text, delta) => { streamed = true; opts.onToken(text, delta); });
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await requestExtraApiOnce(messages, profile, params, { ...opts, onToken });
+        } catch (err) {
+            if (isAbortError(err)) throw err;
+            // Half a streamed reply is already on screen; starting over would duplicate it
+            const canRetry = err.retryable && !streamed && attempt <= maxRetries;
+            if (!canRetry) {
+                // A bad request or key would fail the same way on the fallback, so only outages move there
+                if (streamed || opts.isFallback || !err.retryable) throw err;
+                return await requestFallback(messages, profile, opts, err);
+            }
+            const delay = retryDelay(err, attempt);
+            console.warn(`[Whispers] ${err.message}; retrying in ${delay}ms (${attempt}/${maxRetries})`);
+            opts.onRetry?.(attempt, maxRetries);
+            await sleep(delay, opts.signal);
+        }
+    }
+}
 
-    const headers = {};
-    if (settings.extraApiKey) headers['Authorization'] = `Bearer ${settings.extraApiKey}`;
+async function requestFallback(messages, profile, opts, err) {
+    const fallbackId = getSettings().fallbackProfileId;
+    if (!fallbackId || fallbackId === profile.id) throw err;
+    console.warn(`[Whispers] ${err.message}; falling back to profile "${fallbackId}"`);
+    opts.onRetry?.('fallback');
+    const sampling = getSamplingOverrides(opts.owner);
+    if (fallbackId === 'st') return await requestViaSTMessages(messages, sampling, opts);
+    const fallback = getApiProfile(fallbackId);
+    if (!fallback?.url) throw err;
+    return await requestExtraApi(messages, fallback, { ...getDefaultParams(opts.feature), ...sampling }, { ...opts, isFallback: true });
+}
 
-    try {
-        const resp = await fetch(url.toString(), { headers });
-        if (!resp.ok) throw new Error(`${resp.status}`);
-        const data = await resp.json();
-        return (data.data || data.models || []).map(m => m.id || m.name || m);
-    } catch (err) {
-        toastr.error(`Failed to fetch models: ${err.message}`);
-        return [];
+// Uses SillyTavern's own connection. Chat Completion and Text Completion
+// backends go through ChatCompletionService / TextCompletionService when this
+// ST version exposes them, which lets us stream and apply sampling overrides or
+// a JSON schema. Everything else (KoboldAI Classic, NovelAI, Horde) falls back
+// to generateRaw, which only honours max_tokens and the schema and delivers
+// the reply in one piece.
+async function requestViaST(systemPrompt, prompt, messages, sampling = {}, opts = {}) {
+    const ctx = SillyTavern.getContext();
+    const wantsService = opts.onToken || opts.schema || Object.keys(sampling).length > 0;
+    const jsonSchema = opts.schema ? { name: opts.schema.name, value: opts.schema.schema, strict: false } : undefined;
+    if (wantsService && ctx.mainApi === 'openai' && ctx.ChatCompletionService && ctx.chatCompletionSettings) {
+        const oai = ctx.chatCompletionSettings;
+        const result = await ctx.ChatCompletionService.processRequest({
+            stream: !!opts.onToken,
+            messages,
+            model: ctx.getChatCompletionModel?.() || oai.openai_model,
+            chat_completion_source: oai.chat_completion_source,
+            max_tokens: oai.openai_max_tokens,
+            temperature: oai.temp_openai,
+            top_p: oai.top_p_openai,
+            frequency_penalty: oai.freq_pen_openai,
+            presence_penalty: oai.pres_pen_openai,
+            custom_url: oai.custom_url,
+            reverse_proxy: oai.reverse_proxy,
+            proxy_password: oai.proxy_password,
+            json_schema: jsonSchema,
+            ...sampling,
+        }, {}, true, opts.signal);
+        return await readServiceResult(result, opts.onToken);
     }
+    if (wantsService && ctx.mainApi === 'textgenerationwebui' && ctx.TextCompletionService && ctx.textCompletionSettings) {
+        const tc = ctx.textCompletionSettings;
+        // With instruct mode on, ST formats the messages with the selected
+        // template; otherwise the plain transcript goes out as it is
+        const instruct = ctx.powerUserSettings?.instruct;
+        const instructName = instruct?.enabled ? instruct.preset : undefined;
+        const result = await ctx.TextCompletionService.processRequest({
+            stream: !!opts.onToken,
+            prompt: instructName ? messages : [systemPrompt, prompt].filter(Boolean).join('\n\n'),
+            api_type: tc.type,
+            api_server: tc.server_urls?.[tc.type],
+            // ST keeps each backend's model as <type>_model
+            model: tc[`${tc.type}_model`],
+            json_schema: opts.schema?.schema,
+            ...sampling,
+        }, {
+            // The selected preset supplies the samplers and response length
+            presetName: ctx.getPresetManager?.('textgenerationwebui')?.getSelectedPresetName?.(),
+            instructName,
+        }, true, opts.signal);
+        return await readServiceResult(result, opts.onToken);
+    }
+
+    const { generateRaw } = ctx;
+    const pending = generateRaw({ systemPrompt, prompt, prefill: '', responseLength: sampling.max_tokens, jsonSchema });
+    // SillyTavern keeps generating after we stop waiting, so the queue slot stays taken until it is done
+    opts.holdSlot?.(pending);
+    const raw = await abortable(pending, opts.signal);
+    const text = applyStopStrings(raw || '', sampling.stop);
+    if (opts.onToken && text) opts.onToken(text, text);
+    return text;
 }
 
-// ── State ───────────────────────────────────────────────────────
+// ChatCompletionService and TextCompletionService return the finished reply,
+// or with stream set a generator yielding the text so far
+async function readServiceResult(result, onToken) {
+    if (!onToken) return typeof result === 'string' ? result : (result?.content || '');
+    const iterator = typeof result === 'function' ? result() : result;
+    let text = '';
+    for await (const chunk of iterator) {
+        const next = chunk?.text ?? '';
+        if (next === text) continue;
+        const delta = next.startsWith(text) ? next.slice(text.length) : next;
+        text = next;
+        onToken(text, delta);
+    }
+    return text;
+}
 
-let editingAssistantId = null;
-let editingFolderId = null;
-let isGenerating = false;
+// ── Cancellation ────────────────────────────────────────────────
+// Every in-flight generation registers an AbortController under a key
+// ('chat', 'proactive', 'feed', 'dm:<npcId>', 'chirp-reply:<postId>') so the
+// UI can stop it and CHAT_CHANGED can drop whatever is still running.
 
-// ── Update Check ────────────────────────────────────────────────
+const activeRequests = new Map();
 
-async function checkForUpdate() {
-    try {
-        const { getRequestHeaders } = SillyTavern.getContext();
-        const resp = await fetch('/api/extensions/version', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ extensionName: `third-party/${MODULE_NAME}` }),
+function beginRequest(key) {
+    activeRequests.get(key)?.abort();
+    const controller = new AbortController();
+    controller.chatId = SillyTavern.getContext().getCurrentChatId?.();
+    activeRequests.set(key, controller);
+    return controller;
+}
+
+// A request aborted by a chat switch must not keep its partial output: it
+// would be saved into whatever chat is open now
+function isStaleRequest(controller) {
+    return controller.chatId !== SillyTavern.getContext().getCurrentChatId?.();
+}
+
+function endRequest(key, controller) {
+    if (activeRequests.get(key) === controller) activeRequests.delete(key);
+}
+
+function isRequestActive(key) {
+    return activeRequests.has(key);
+}
+
+function cancelRequest(key) {
+    activeRequests.get(key)?.abort();
+    activeRequests.delete(key);
+}
+
+function cancelAllRequests() {
+    for (const controller of activeRequests.values()) controller.abort();
+    activeRequests.clear();
+}
+
+// generateRaw cannot be interrupted, so a stopped request just stops waiting for it
+function abortable(promise, signal) {
+    if (!signal) return promise;
+    if (signal.aborted) return Promise.reject(new DOMException('Aborted', 'AbortError'));
+    return new Promise((resolve, reject) => {
+        const onAbort = () => reject(new DOMException('Aborted', 'AbortError'));
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// ── Generation Queue ────────────────────────────────────────────
+// Every backend call waits here so background Chirp and proactive work cannot
+// flood the API or hold up the user's own chat. User-initiated jobs run before
+// background ones; background jobs still waiting on a chat change are dropped.
+
+const QUEUE_PRIORITY = { user: 0, background: 1 };
+const generationQueue = { pending: [], running: [] };
+let queueSeq = 0;
+
+function enqueueGeneration(label, run, { priority = 'background', signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) { reject(new DOMException('Aborted', 'AbortError')); return; }
+        const job = { id: ++queueSeq, label, priority, run, resolve, reject, signal };
+        // A job stopped while it is still waiting simply leaves the queue
+        job.onAbort = () => dropPendingJob(job.id);
+        signal?.addEventListener('abort', job.onAbort, { once: true });
+        generationQueue.pending.push(job);
+        generationQueue.pending.sort((a, b) => QUEUE_PRIORITY[a.priority] - QUEUE_PRIORITY[b.priority] || a.id - b.id);
+        pumpGenerationQueue();
+    });
+}
+
+function pumpGenerationQueue() {
+    const limit = Math.max(1, getSettings().queueConcurrency || 1);
+    while (generationQueue.running.length < limit && generationQueue.pending.length) {
+        const job = generationQueue.pending.shift();
+        job.signal?.removeEventListener('abort', job.onAbort);
+        generationQueue.running.push(job);
+        // run(holdSlot): work that outlives an abort (see requestViaST) keeps the slot taken
+        const holdSlot = (promise) => { job.held = promise; };
+        Promise.resolve().then(() => job.run(holdSlot)).then(job.resolve, job.reject).finally(async () => {
+            await job.held?.catch(() => {});
+            generationQueue.running = generationQueue.running.filter(j => j !== job);
+            pumpGenerationQueue();
         });
-        if (!resp.ok) return;
-        const data = await resp.json();
-        const btn = document.getElementById('whispers-btn-update');
-        if (btn && data.isUpToDate === false) {
-            btn.style.display = '';
-            btn.title = 'Update available — click to update and reload';
+    }
+    renderQueuePanel();
+}
+
+function dropPendingJob(id) {
+    const job = generationQueue.pending.find(j => j.id === id);
+    if (!job) return;
+    generationQueue.pending = generationQueue.pending.filter(j => j !== job);
+    job.signal?.removeEventListener('abort', job.onAbort);
+    job.reject(new DOMException('Aborted', 'AbortError'));
+    renderQueuePanel();
+}
+
+function dropBackgroundJobs() {
+    for (const job of generationQueue.pending.filter(j => j.priority === 'background')) dropPendingJob(job.id);
+}
+
+function queueLabel(opts) {
+    const feature = API_FEATURES.find(f => f.key === (opts.feature || 'chat'));
+    return `${feature?.label || 'Request'}${opts.owner?.name ? ` · ${opts.owner.name}` : ''}`;
+}
+
+// ── Context Filters ─────────────────────────────────────────────
+// Every feature reads the main chat through getContextMessages, which drops
+// hidden, system and still-streaming messages, cleans up the text and cuts the
+// chat down to the configured range. Items are copies that keep their position
+// in the chat as `index`, so callers can map back to chat indexes.
+
+const REASONING_BLOCK = /<(think|thinking|reasoning)>[\s\S]*?<\/\1>/gi;
+
+function getContextFilters() {
+    return { ...defaultSettings.contextFilters, ...getSettings().contextFilters };
+}
+
+const warnedPatterns = new Set();
+
+// One regex per line, either /pattern/flags or a bare pattern
+function parseFilterPatterns(text) {
+    const patterns = [];
+    for (const line of (text || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+        const literal = line.match(/^\/(.+)\/([a-z]*)$/);
+        try {
+            const flags = literal ? literal[2] : 'i';
+            patterns.push(new RegExp(literal ? literal[1] : line, flags.includes('g') ? flags : flags + 'g'));
+        } catch (err) {
+            if (!warnedPatterns.has(line)) console.warn(`[Whispers] Ignoring context filter pattern ${line}:`, err.message);
+            warnedPatterns.add(line);
         }
-    } catch (e) {
-        console.log('[Whispers] Update check failed:', e);
     }
+    return patterns;
 }
 
-async function performUpdate() {
-    try {
-        const { getRequestHeaders } = SillyTavern.getContext();
-        toastr.info('Updating Whispers...');
-        const resp = await fetch('/api/extensions/update', {
-            method: 'POST',
-            headers: getRequestHeaders(),
-            body: JSON.stringify({ extensionName: `third-party/${MODULE_NAME}` }),
-        });
-        if (resp.ok) {
-            toastr.success('Updated! Reloading...');
-            setTimeout(() => location.reload(), 1500);
-        } else {
-            toastr.error('Update failed');
+function cleanContextText(text, filters, patterns) {
+    let out = text || '';
+    if (filters.stripReasoning) out = out.replace(REASONING_BLOCK, '');
+    if (filters.stripImages) out = out.replace(/!\[[^\]]*\]\([^)]*\)/g, '');
+    if (filters.stripHtml) {
+        out = out.replace(/<(style|script)\b[^>]*>[\s\S]*?<\/\1>/gi, '').replace(/<\/?[a-z][^>]*>/gi, '');
+    }
+    for (const pattern of patterns) out = out.replace(pattern, '');
+    out = out.replace(/\n{3,}/g, '\n\n').trim();
+    if (filters.maxChars > 0 && out.length > filters.maxChars) {
+        const head = Math.ceil(filters.maxChars * 2 / 3);
+        const tail = filters.maxChars - head;
+        out = `${out.slice(0, head).trimEnd()} […] ${tail > 0 ? out.slice(-tail).trimStart() : ''}`.trim();
+    }
+    return out;
+}
+
+// Hidden messages are system ones without a system message type
+function isSkippedMessage(m, filters) {
+    if (m.is_system && !m.extra?.type) return filters.skipHidden;
+    if (m.extra?.type || m.is_system) return filters.skipSystem;
+    return false;
+}
+
+// Where the configured range begins, as a chat index
+function contextRangeStart(chat, filters) {
+    if (filters.range === 'whisper') {
+        // The whisper being answered doesn't count; the one before it does
+        const history = getWhispersHistory();
+        let i = history.length - 1;
+        while (i >= 0 && history[i].role === 'user') i--;
+        for (; i >= 0; i--) {
+            if (history[i].role === 'user' && history[i].chatLength !== undefined) return Math.min(history[i].chatLength, chat.length);
+        }
+    } else if (filters.range === 'scene' && filters.sceneMarker) {
+        const [marker] = parseFilterPatterns(filters.sceneMarker);
+        if (marker) {
+            for (let i = chat.length - 1; i >= 0; i--) {
+                marker.lastIndex = 0;
+                if (marker.test(chat[i].mes || '')) return i;
+            }
         }
-    } catch (e) {
-        toastr.error('Update failed: ' + e.message);
     }
+    return 0;
 }
 
-// ── UI: Settings Panel HTML ─────────────────────────────────────
+/**
+ * Main chat messages as features should see them.
+ * @param {{ start?: number, useRange?: boolean }} opts - start skips messages
+ *   before that chat index; useRange false ignores the configured range
+ * @returns {{ name: string, is_user: boolean, mes: string, index: number }[]}
+ */
+function getContextMessages({ start = 0, useRange = true } = {}) {
+    const ctx = SillyTavern.getContext();
+    const chat = ctx.chat || [];
+    const filters = getContextFilters();
+    const patterns = parseFilterPatterns(filters.patterns);
+    let end = chat.length;
+    if (filters.skipPending && ctx.streamingProcessor && !ctx.streamingProcessor.isFinished && !chat.at(-1)?.is_user) end--;
+    const from = Math.max(start, useRange ? contextRangeStart(chat, filters) : 0);
+
+    const messages = [];
+    for (let index = from; index < end; index++) {
+        const m = chat[index];
+        if (!m || isSkippedMessage(m, filters)) continue;
+        const mes = cleanContextText(m.mes, filters, patterns);
+        if (mes) messages.push({ name: m.name, is_user: !!m.is_user, mes, index });
+    }
+    return messages;
+}
 
-function buildSettingsHtml() {
-    return `
-    <div class="inline-drawer">
-        <div class="inline-drawer-toggle inline-drawer-header">
-            <b><i class="fa-solid fa-ghost"></i> Whispers</b>
-            <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
-        </div>
-        <div class="inline-drawer-content" id="whispers-settings-panel">
-            <div class="whispers-settings">
+// ── Context Budget ──────────────────────────────────────────────
+// Prompts are fitted to a per-feature token budget rather than a message count.
+// Fixed parts (template, cards, the new message) are counted first; what is
+// left is shared between main-chat context and conversation history, filling
+// each from newest to oldest. The last breakdown per feature is kept for the UI.
 
-                <!-- Tab Switcher -->
-                <div class="whispers-tabs">
-                    <label class="whispers-tab active" data-tab="general">
-                        <input type="radio" name="whispers-tab" value="general" checked>
-                        <i class="fa-solid fa-house"></i> General
-                    </label>
-                    <label class="whispers-tab" data-tab="assistants">
-                        <input type="radio" name="whispers-tab" value="assistants">
+const budgetReports = {};
+
+async function countTokens(text) {
+    if (!text) return 0;
+    const ctx = SillyTavern.getContext();
+    try {
+        if (typeof ctx.getTokenCountAsync === 'function') return await ctx.getTokenCountAsync(text);
+        if (typeof ctx.getTokenCount === 'function') return ctx.getTokenCount(text);
+    } catch (err) {
+        console.warn('[Whispers] Tokenizer failed, estimating:', err);
+    }
+    return Math.ceil(text.length / 3.5);
+}
+
+function getTokenBudget(feature) {
+    const budget = getSettings().tokenBudgets?.[feature] ?? defaultSettings.tokenBudgets[feature];
+    return budget > 0 ? budget : 4096;
+}
+
+// Token counts of items from newest back, stopping once `cap` is exceeded
+async function countNewest(items, format, cap) {
+    const counts = [];
+    let sum = 0;
+    for (let i = items.length - 1; i >= 0 && sum <= cap; i--) {
+        const tokens = await countTokens(format(items[i]));
+        counts.push(tokens);
+        sum += tokens;
+    }
+    return counts;
+}
+
+// How many of the newest items fit into `budget`, and what they cost
+function fitCounts(counts, budget) {
+    let used = 0;
+    let n = 0;
+    while (n < counts.length && used + counts[n] <= budget) used += counts[n++];
+    return { n, used };
+}
+
+/**
+ * Splits a feature's budget across fixed parts and message pools.
+ * @param {string} feature - API_FEATURES key
+ * @param {{ label: string, text: string }[]} fixed - always sent, counted first
+ * @param {{ label: string, items: any[], format: (item: any) => string }[]} pools - filled newest first
+ * @returns {Promise<any[][]>} the kept items of each pool, oldest first
+ */
+async function assembleBudget(feature, fixed, pools) {
+    const budget = getTokenBudget(feature);
+    const parts = [];
+    let fixedUsed = 0;
+    for (const part of fixed) {
+        const tokens = await countTokens(part.text);
+        fixedUsed += tokens;
+        parts.push({ label: part.label, tokens });
+    }
+
+    const remaining = Math.max(0, budget - fixedUsed);
+    const counts = [];
+    for (const pool of pools) counts.push(await countNewest(pool.items, pool.format, remaining));
+
+    // Equal shares first, then whatever a pool left unused goes to the others
+    const share = pools.length ? Math.floor(remaining / pools.length) : 0;
+    const fits = counts.map(c => fitCounts(c, share));
+    let leftover = remaining - fits.reduce((sum, f) => sum + f.used, 0);
+    for (let i = 0; i < pools.length && leftover > 0; i++) {
+        if (fits[i].n === pools[i].items.length) continue;
+        const more = fitCounts(counts[i], fits[i].used + leftover);
+        leftover -= more.used - fits[i].used;
+        fits[i] = more;
+    }
+
+    pools.forEach((pool, i) => parts.push({
+        label: pool.label,
+        tokens: fits[i].used,
+        kept: fits[i].n,
+        dropped: pool.items.length - fits[i].n,
+    }));
+    budgetReports[feature] = { budget, used: parts.reduce((sum, p) => sum + p.tokens, 0), parts, at: Date.now() };
+    renderBudgetReports();
+
+    return pools.map((pool, i) => fits[i].n ? pool.items.slice(-fits[i].n) : []);
+}
+
+function formatChatLine(m) {
+    const role = m.is_user ? 'User' : (m.name || 'Character');
+    return `${role}: ${m.mes}`;
+}
+
+function formatHistoryLine(m) {
+    return `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`;
+}
+
+// Main-chat context plus an optional conversation history and lorebook
+// entries (see gatherWorldInfo), fitted to the feature's budget. chatStart
+// skips main chat messages the memory summary already covers; useChat false
+// leaves the main chat out for prompts that have no place for it.
+async function buildBudgetedContext(feature, { fixed = [], history = null, historyLabel = 'Whispers history', lore = [], chatStart = 0, useChat = true } = {}) {
+    const chatPool = useChat ? { label: 'Main chat', items: getContextMessages({ start: chatStart }), format: formatChatLine } : null;
+    const historyPool = history ? { label: historyLabel, items: history, format: formatHistoryLine } : null;
+    const lorePool = lore.length ? { label: 'World Info', items: lore, format: formatLoreEntry } : null;
+    const pools = [chatPool, historyPool, lorePool].filter(Boolean);
+    const kept = await assembleBudget(feature, fixed, pools);
+    const keptOf = (pool) => pool ? kept[pools.indexOf(pool)] : [];
+    return {
+        context: keptOf(chatPool).map(formatChatLine).join('\n'),
+        history: keptOf(historyPool),
+        lore: keptOf(lorePool).map(formatLoreEntry).join('\n\n'),
+    };
+}
+
+// NPC replies and reactions: the prompt plus whatever the NPC's lorebooks
+// activate for scanTexts, fitted to the npcReply budget
+async function renderNpcReplyPrompt(key, values, npc, scanTexts) {
+    const entries = await gatherWorldInfo([npc], scanTexts);
+    if (!entries.length) return renderPrompt(key, values);
+    const { lore } = await buildBudgetedContext('npcReply', {
+        fixed: [{ label: 'Reply prompt', text: renderPrompt(key, values) }],
+        lore: entries,
+        useChat: false,
+    });
+    return renderPrompt(key, { ...values, lore });
+}
+
+// ── World Info ──────────────────────────────────────────────────
+// Assistants and NPCs may bring lorebook entries into their prompts. Their
+// worldInfo is '' (off), WORLD_INFO_CHAT (the character's and the chat's
+// lorebooks) or the name of one lorebook. Activation is our own keyword scan,
+// because SillyTavern's only looks at the main chat and we also want the
+// whispers/DM conversation to trigger entries.
+
+const WORLD_INFO_CHAT = '@chat';
+const WI_LOGIC = { AND_ANY: 0, NOT_ALL: 1, NOT_ANY: 2, AND_ALL: 3 };
+
+// SillyTavern keeps the lorebook list in memory; older versions only show it
+// in the global World Info select
+function getWorldNames() {
+    const names = SillyTavern.getContext().world_names;
+    if (Array.isArray(names)) return names;
+    return [...document.querySelectorAll('#world_info option')].map(o => o.textContent.trim()).filter(Boolean);
+}
+
+function buildWorldInfoOptions(selected, names = getWorldNames()) {
+    const all = selected && selected !== WORLD_INFO_CHAT && !names.includes(selected) ? [selected, ...names] : names;
+    return `<option value="">None</option>
+        <option value="${WORLD_INFO_CHAT}" ${selected === WORLD_INFO_CHAT ? 'selected' : ''}>Active for this chat (character + chat lorebooks)</option>
+        ${all.map(n => `<option value="${escapeHtml(n)}" ${n === selected ? 'selected' : ''}>${escapeHtml(n)}</option>`).join('')}`;
+}
+
+function getChatWorldNames() {
+    const ctx = SillyTavern.getContext();
+    const names = [];
+    const charWorld = ctx.characters?.[ctx.characterId]?.data?.extensions?.world;
+    if (charWorld) names.push(charWorld);
+    const chatWorld = ctx.chatMetadata?.world_info;
+    if (chatWorld && !names.includes(chatWorld)) names.push(chatWorld);
+    return names;
+}
+
+async function loadWorldEntries(names) {
+    const ctx = SillyTavern.getContext();
+    if (typeof ctx.loadWorldInfo !== 'function') return [];
+    const entries = [];
+    for (const name of names) {
+        try {
+            const data = await ctx.loadWorldInfo(name);
+            entries.push(...Object.values(data?.entries || {}));
+        } catch (err) {
+            console.warn(`[Whispers] Could not load lorebook "${name}":`, err);
+        }
+    }
+    return entries;
+}
+
+// An entry's caseSensitive / matchWholeWords of null means SillyTavern's
+// global World Info setting
+function worldMatchOptions(entry) {
+    const ctx = SillyTavern.getContext();
+    const global = (name) => ctx[name] ?? !!document.getElementById(name)?.checked;
+    return {
+        caseSensitive: entry.caseSensitive ?? global('world_info_case_sensitive'),
+        matchWholeWords: entry.matchWholeWords ?? global('world_info_match_whole_words'),
+    };
+}
+
+// Keys are plain text or /regex/flags, as in SillyTavern
+function matchWorldKey(key, text, match) {
+    const k = String(key).trim();
+    if (!k) return false;
+    const regex = k.match(/^\/([\s\S]+)\/([a-z]*)$/);
+    if (regex) {
+        try { return new RegExp(regex[1], regex[2]).test(text); } catch { return false; }
+    }
+    const hay = match.caseSensitive ? text : text.toLowerCase();
+    const needle = match.caseSensitive ? k : k.toLowerCase();
+    if (!match.matchWholeWords) return hay.includes(needle);
+    return new RegExp(`(?:^|\\W)${needle.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?:$|\\W)`).test(hay);
+}
+
+function isWorldEntryActive(entry, text) {
+    if (entry.disable || !entry.content?.trim()) return false;
+    if (entry.constant) return true;
+    const match = worldMatchOptions(entry);
+    if (!(entry.key || []).some(k => matchWorldKey(k, text, match))) return false;
+    const secondary = (entry.keysecondary || []).filter(k => String(k).trim());
+    if (!entry.selective || !secondary.length) return true;
+    const hits = secondary.filter(k => matchWorldKey(k, text, match)).length;
+    switch (entry.selectiveLogic ?? WI_LOGIC.AND_ANY) {
+        case WI_LOGIC.AND_ALL: return hits === secondary.length;
+        case WI_LOGIC.NOT_ANY: return hits === 0;
+        case WI_LOGIC.NOT_ALL: return hits < secondary.length;
+        default: return hits > 0;
+    }
+}
+
+/**
+ * Lorebook entries activated for one or more owners (the feeds pass every
+ * active NPC). Sorted by ascending order, so the budget, which keeps the
+ * tail of a pool, drops the least important entries first.
+ * @param {object[]} owners - assistants / NPCs with a worldInfo setting
+ * @param {string[]} scanTexts - the conversation at hand, oldest first
+ */
+async function gatherWorldInfo(owners, scanTexts = []) {
+    const names = new Set();
+    for (const owner of owners) {
+        if (owner?.worldInfo === WORLD_INFO_CHAT) getChatWorldNames().forEach(n => names.add(n));
+        else if (owner?.worldInfo) names.add(owner.worldInfo);
+    }
+    if (!names.size) return [];
+
+    const depth = getSettings().worldInfoScanDepth ?? defaultSettings.worldInfoScanDepth;
+    const recent = (items) => depth > 0 ? items.slice(-depth) : [];
+    const text = [...recent(getContextMessages()).map(m => m.mes), ...recent(scanTexts)].join('\n');
+    return (await loadWorldEntries([...names]))
+        .filter(entry => isWorldEntryActive(entry, text))
+        .sort((a, b) => (a.order ?? 100) - (b.order ?? 100));
+}
+
+function formatLoreEntry(entry) {
+    return entry.content.trim();
+}
+
+// ── Character Card ──────────────────────────────────────────────
+// Opt-in per assistant/NPC through cardFields: parts of the active
+// character's card (every member's, in a group) and the user's persona.
+
+const CARD_FIELDS = [
+    { key: 'description', label: 'Description' },
+    { key: 'personality', label: 'Personality' },
+    { key: 'scenario', label: 'Scenario' },
+    { key: 'persona', label: 'Your persona' },
+];
+
+function getStoryCharacters() {
+    const ctx = SillyTavern.getContext();
+    if (ctx.groupId) {
+        const group = (ctx.groups || []).find(g => g.id === ctx.groupId);
+        return (group?.members || []).map(avatar => ctx.characters.find(c => c.avatar === avatar)).filter(Boolean);
+    }
+    const char = ctx.characters?.[ctx.characterId];
+    return char ? [char] : [];
+}
+
+/**
+ * Card text for the union of the owners' cardFields ('' when none opted in).
+ * Card macros such as {{user}} are resolved by SillyTavern.
+ * @param {object[]} owners - assistants / NPCs
+ */
+function buildCardContext(owners) {
+    const fields = new Set(owners.flatMap(o => o?.cardFields || []));
+    if (!fields.size) return '';
+    const ctx = SillyTavern.getContext();
+    const blocks = [];
+    for (const char of getStoryCharacters()) {
+        const lines = [];
+        for (const { key, label } of CARD_FIELDS) {
+            if (key === 'persona' || !fields.has(key)) continue;
+            const value = String(char[key] || char.data?.[key] || '').trim();
+            if (value) lines.push(`${label}: ${value}`);
+        }
+        if (lines.length) blocks.push([`Name: ${char.name}`, ...lines].join('\n'));
+    }
+    if (fields.has('persona')) {
+        const persona = String(ctx.powerUserSettings?.persona_description || '').trim();
+        if (persona) blocks.push(`Name: ${getUserName()} (the user)\nPersona: ${persona}`);
+    }
+    const text = blocks.join('\n\n');
+    return text && typeof ctx.substituteParams === 'function' ? ctx.substituteParams(text) : text;
+}
+
+function buildCardFieldsHtml(selected = []) {
+    return `
+        <div class="whispers-field-group">
+            <label><i class="fa-solid fa-id-card"></i> Story Knowledge <span style="font-size:0.75em;opacity:0.5;">(from the character card)</span></label>
+            <div class="whispers-card-fields">
+                ${CARD_FIELDS.map(f => `<label class="whispers-card-field"><input type="checkbox" class="w-edit-card" value="${f.key}" ${selected.includes(f.key) ? 'checked' : ''}> ${f.label}</label>`).join('')}
+            </div>
+        </div>`;
+}
+
+function readCardFields(body) {
+    return [...body.querySelectorAll('.w-edit-card:checked')].map(cb => cb.value);
+}
+
+// ── Memory ──────────────────────────────────────────────────────
+// Optional rolling summary per thread. Whispers history and main chat messages
+// older than the newest summaryKeepRecent are folded into the open thread's
+// summary ({ text, historyUntil, chatKey, historyCount, chatCount, updatedAt })
+// and reach the assistant through {{memory}} instead of as raw lines.
+
+let summaryRunning = false;
+
+function getChatSummary() {
+    return getActiveThread()?.summary || null;
+}
+
+// The summary the prompts should use, or null while memory is off
+function getActiveSummary() {
+    return getSettings().summaryEnabled ? getChatSummary() : null;
+}
+
+// Main chat messages have no id; send date, author and the start of the text
+// find one again after messages before it were deleted
+function chatMessageKey(m) {
+    return m ? `${m.send_date}|${m.name}|${String(m.mes ?? '').slice(0, 80)}` : '';
+}
+
+/**
+ * How many leading messages of history and chat a summary covers, as they
+ * stand now. Coverage is anchored on the timestamp of the last whisper and the
+ * key of the last main chat message folded in, so deletes don't shift it; the
+ * counts are only used for summaries saved before the anchors existed.
+ */
+function summaryCoverage(summary, history, chat) {
+    if (!summary) return { history: 0, chat: 0 };
+    let historyEnd = Math.min(summary.historyCount || 0, history.length);
+    if (Number.isFinite(summary.historyUntil)) {
+        const next = history.findIndex(m => !(m.timestamp <= summary.historyUntil));
+        historyEnd = next === -1 ? history.length : next;
+    }
+    let chatEnd = Math.min(summary.chatCount || 0, chat.length);
+    if (summary.chatKey && chatEnd > 0) {
+        let found = chatEnd - 1;
+        while (found >= 0 && chatMessageKey(chat[found]) !== summary.chatKey) found--;
+        // The last covered message itself was deleted (or edited): cover one less
+        chatEnd = found >= 0 ? found + 1 : chatEnd - 1;
+    }
+    return { history: historyEnd, chat: chatEnd };
+}
+
+// Where the not-yet-summarized part of whispers history and main chat begins
+function summaryStarts() {
+    return summaryCoverage(getActiveSummary(), getWhispersHistory(), SillyTavern.getContext().chat || []);
+}
+
+function summaryBacklog() {
+    const keep = getSettings().summaryKeepRecent ?? defaultSettings.summaryKeepRecent;
+    const starts = summaryStarts();
+    const chat = SillyTavern.getContext().chat || [];
+    return {
+        history: Math.max(0, getWhispersHistory().length - keep - starts.history),
+        chat: Math.max(0, chat.length - keep - starts.chat),
+    };
+}
+
+/**
+ * Folds the next batch of older messages into the summary. A batch is what
+ * fits the summary feature's budget, oldest first, so a long backlog takes
+ * several calls. Resolves to whether more is left to summarize.
+ * @param {{ rebuild?: boolean, priority?: string }} opts - rebuild starts over from the first message
+ */
+async function updateChatSummary({ rebuild = false, priority = 'background' } = {}) {
+    const meta = getChatMeta();
+    const thread = getActiveThread();
+    if (!meta || !thread || summaryRunning) return false;
+    const keep = getSettings().summaryKeepRecent ?? defaultSettings.summaryKeepRecent;
+    const history = thread.history;
+    const chat = SillyTavern.getContext().chat || [];
+    const previous = rebuild ? null : thread.summary;
+    const from = summaryCoverage(previous, history, chat);
+    const lastCovered = history[from.history - 1];
+    const chatEnd = Math.max(from.chat, chat.length - keep);
+    const pending = {
+        history: history.slice(from.history, Math.max(from.history, history.length - keep)),
+        // The whole story, not just the context range, but filtered the same way
+        chat: getContextMessages({ start: from.chat, useRange: false }).filter(m => m.index < chatEnd),
+    };
+    if (!pending.history.length && !pending.chat.length) return false;
+
+    summaryRunning = true;
+    try {
+        const summary = previous?.text || '';
+        // Reversed, because the budget keeps the tail of a pool and we want the oldest messages
+        const [chatKept, historyKept] = await assembleBudget('summary', [
+            { label: 'Summary prompt', text: renderPrompt('summaryPrompt', { summary }) },
+        ], [
+            { label: 'Main chat', items: [...pending.chat].reverse(), format: formatChatLine },
+            { label: 'Whispers history', items: [...pending.history].reverse(), format: formatHistoryLine },
+        ]);
+        let newChat = [...chatKept].reverse();
+        let newHistory = [...historyKept].reverse();
+        // An oversized message goes alone rather than blocking the summary forever
+        if (!newChat.length && !newHistory.length) {
+            if (pending.chat.length) newChat = pending.chat.slice(0, 1);
+            else newHistory = pending.history.slice(0, 1);
+        }
+
+        const prompt = renderPrompt('summaryPrompt', {
+            summary,
+            chat: newChat.map(formatChatLine).join('\n'),
+            whispers: newHistory.map(formatHistoryLine).join('\n'),
+        });
+        const log = {};
+        const text = (await callApi([{ role: 'system', content: prompt }], { feature: 'summary', priority, log })).trim();
+        noteGenerationParse(log, text);
+        // Nothing usable, or the user switched chats while we waited
+        if (!text || getChatMeta() !== meta) return false;
+
+        // Filtered-out messages count as covered once everything before them is
+        let chatCount = chatEnd;
+        if (newChat.length < pending.chat.length) chatCount = newChat.length ? newChat.at(-1).index + 1 : from.chat;
+        // The thread may no longer be open; the summary is still its own
+        thread.summary = {
+            text,
+            historyUntil: (newHistory.at(-1) || lastCovered)?.timestamp ?? null,
+            chatKey: chatMessageKey(chat[chatCount - 1]),
+            historyCount: from.history + newHistory.length,
+            chatCount,
+            updatedAt: Date.now(),
+        };
+        await saveChatMeta();
+        renderMemoryPopup();
+        return newHistory.length < pending.history.length || newChat.length < pending.chat.length;
+    } finally {
+        summaryRunning = false;
+    }
+}
+
+// Called after new messages land; summarizes once enough older ones piled up
+function maybeUpdateChatSummary() {
+    const s = getSettings();
+    if (!s.enabled || !s.summaryEnabled || summaryRunning) return;
+    const interval = s.summaryInterval || defaultSettings.summaryInterval;
+    const backlog = summaryBacklog();
+    if (backlog.history < interval && backlog.chat < interval) return;
+    updateChatSummary().catch(err => {
+        if (!isAbortError(err)) console.error('[Whispers] Summary update failed:', err);
+    });
+}
+
+async function rebuildChatSummary() {
+    let more = await updateChatSummary({ rebuild: true, priority: 'user' });
+    while (more) more = await updateChatSummary({ priority: 'user' });
+}
+
+// ── Notebook ────────────────────────────────────────────────────
+// Facts an assistant keeps across sessions: { id, text, by, at }. Entries sit
+// on the assistant (asst.notebook, every chat) or in
+// chat_metadata.whispers_notebook[assistantId] (this chat only). The assistant
+// adds entries by wrapping them in <remember>…</remember>; asst.notebookScope
+// ('assistant' | 'chat' | 'off') decides where those go.
+
+const REMEMBER_TAG = /<remember>([\s\S]*?)<\/remember>/gi;
+
+const REMEMBER_INSTRUCTION = 'When you learn something worth keeping for later sessions (a preference of the user, a plot thread, a decision), add it to your reply as <remember>one short fact</remember>. The user does not see these tags.';
+
+function getNotebookScope(assistant) {
+    return assistant.notebookScope || 'assistant';
+}
+
+function getChatNotebook(assistant, create = false) {
+    const meta = getChatMeta();
+    if (!meta) return null;
+    if (!meta.whispers_notebook?.[assistant.id]) {
+        if (!create) return null;
+        meta.whispers_notebook ??= {};
+        meta.whispers_notebook[assistant.id] = [];
+    }
+    return meta.whispers_notebook[assistant.id];
+}
+
+function getNotebookList(assistant, scope, create = false) {
+    if (scope === 'chat') return getChatNotebook(assistant, create);
+    if (!assistant.notebook && create) assistant.notebook = [];
+    return assistant.notebook || null;
+}
+
+// Both notebooks, every-chat entries first
+function getNotebookEntries(assistant) {
+    return [
+        ...(assistant.notebook || []).map(entry => ({ ...entry, scope: 'assistant' })),
+        ...(getChatNotebook(assistant) || []).map(entry => ({ ...entry, scope: 'chat' })),
+    ];
+}
+
+function formatNotebook(assistant) {
+    return getNotebookEntries(assistant).map(entry => `- ${entry.text}`).join('\n');
+}
+
+async function saveNotebook(scope) {
+    if (scope === 'chat') await saveChatMeta();
+    else saveSettings();
+}
+
+// Returns false when the same fact is already written down
+async function addNotebookEntry(assistant, text, scope, by = 'user') {
+    const clean = text.replace(/\s+/g, ' ').trim();
+    if (!clean) return false;
+    const known = getNotebookEntries(assistant).some(entry => entry.text.toLowerCase() === clean.toLowerCase());
+    if (known) return false;
+    const list = getNotebookList(assistant, scope, true);
+    if (!list) return false;
+    list.push({ id: generateId(), text: clean, by, at: Date.now() });
+    await saveNotebook(scope);
+    renderNotebookPopup();
+    return true;
+}
+
+// Hides <remember> tags, including one still streaming in
+function stripRememberTags(text) {
+    return text.replace(REMEMBER_TAG, '').replace(/<remember>[\s\S]*$/i, '').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+// Files the reply's <remember> facts and returns the reply without them
+async function takeRememberTags(assistant, text) {
+    const scope = getNotebookScope(assistant);
+    if (scope !== 'off') {
+        for (const [, fact] of text.matchAll(REMEMBER_TAG)) {
+            if (await addNotebookEntry(assistant, fact, scope, 'assistant')) toastr.info(fact.trim(), `${assistant.name || 'Assistant'} noted`);
+        }
+    }
+    return stripRememberTags(text);
+}
+
+// ── Generation Log ──────────────────────────────────────────────
+// Every dispatched request is kept in memory, newest first, with what was sent,
+// what came back and how long it took. The prompt inspector reads from here.
+
+const generationLog = [];
+
+function createLogEntry({ feature, owner, profile, messages, params, replayOf = null }) {
+    return {
+        id: generateId(),
+        at: Date.now(),
+        feature,
+        owner: owner ? { id: owner.id, name: owner.name } : null,
+        // Never keep the API key in the log; it gets copied and exported
+        profile: profile
+            ? { id: profile.id, name: profile.name, type: profile.type || 'openai', model: profile.model || '' }
+            : { id: 'st', name: 'SillyTavern' },
+        messages: structuredClone(messages),
+        params: structuredClone(params),
+        replayOf,
+        status: 'pending',
+        response: null,
+        parsed: null,
+        error: null,
+        latency: null,
+        usage: null,
+    };
+}
+
+// opts.log, when given, receives the entry so callers can attach a parse result later
+async function recordGeneration(meta, opts, run) {
+    const entry = createLogEntry(meta);
+    generationLog.unshift(entry);
+    generationLog.splice(Math.max(1, getSettings().generationLogSize || 30));
+    if (opts.log) opts.log.entry = entry;
+    renderGenerationLog();
+
+    const started = performance.now();
+    let text;
+    try {
+        text = await run();
+        entry.response = text;
+        entry.status = 'ok';
+    } catch (err) {
+        entry.error = err.message;
+        entry.status = isAbortError(err) ? 'aborted' : 'error';
+        throw err;
+    } finally {
+        entry.latency = Math.round(performance.now() - started);
+        renderGenerationLog();
+    }
+
+    // The reply is good either way; broken stats must not turn it into a failure
+    try {
+        await accountUsage(entry, meta.usage);
+        renderGenerationLog();
+    } catch (err) {
+        console.error('[Whispers] Could not record usage:', err);
+    }
+    return text;
+}
+
+function noteGenerationParse(log, parsed) {
+    if (!log?.entry) return;
+    log.entry.parsed = parsed;
+    renderGenerationLog();
+}
+
+async function replayGeneration(entry) {
+    const profile = entry.profile.id === 'st' ? null : getApiProfile(entry.profile.id);
+    if (entry.profile.id !== 'st' && !profile?.url) { toastr.error('The connection profile of this request no longer exists'); return; }
+    const meta = { ...entry, profile, replayOf: entry.id, usage: {} };
+    const run = () => recordGeneration(meta, {}, () => profile
+        ? requestExtraApi(entry.messages, profile, entry.params, { usage: meta.usage })
+        : requestViaSTMessages(entry.messages, entry.params, { usage: meta.usage }));
+    try {
+        await enqueueGeneration(`Replay · ${queueLabel({ feature: entry.feature, owner: entry.owner })}`, run, { priority: 'user' });
+        toastr.success('Replay finished');
+    } catch (err) {
+        if (!isAbortError(err)) toastr.error(`Replay failed: ${err.message}`);
+    }
+}
+
+// ── Structured Output ───────────────────────────────────────────
+// Callers that need JSON pass opts.schema ({ name, schema }). Backends that can
+// enforce it get it via their adapter (response_format, Ollama's format) or
+// ST's json_schema; every reply still goes through tolerant extraction, since
+// many backends silently ignore the schema.
+
+// Pulls the first JSON value out of model chatter: code fences, prose around
+// it, trailing commas and a reply cut off mid-array are all tolerated.
+function extractJson(text) {
+    if (!text) return null;
+    const cleaned = String(text).replace(/```(?:json)?/gi, '').trim();
+    try {
+        return JSON.parse(cleaned);
+    } catch {
+        // Not bare JSON, look for it inside the text
+    }
+    const start = cleaned.search(/[[{]/);
+    if (start === -1) return null;
+    const candidate = sliceBalanced(cleaned, start);
+    for (const attempt of [candidate, repairJson(candidate)]) {
+        try {
+            return JSON.parse(attempt);
+        } catch {
+            // Try the next candidate
+        }
+    }
+    return null;
+}
+
+// Walks brackets outside of strings; onClose(i, stillOpen) fires after each closing bracket
+function scanJson(text, start, onClose) {
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    for (let i = start; i < text.length; i++) {
+        const ch = text[i];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '"') inString = true;
+        else if (ch === '[' || ch === '{') stack.push(ch);
+        else if (ch === ']' || ch === '}') {
+            stack.pop();
+            if (onClose(i, stack) === false) return;
+        }
+    }
+}
+
+// Text from `start` up to its matching bracket, or to the end if it never closes
+function sliceBalanced(text, start) {
+    let end = text.length;
+    scanJson(text, start, (i, stack) => {
+        if (stack.length) return true;
+        end = i + 1;
+        return false;
+    });
+    return text.slice(start, end);
+}
+
+// Cuts a truncated reply back to its last complete value and closes what is still open
+function repairJson(str) {
+    let cut = 0;
+    let open = [];
+    scanJson(str, 0, (i, stack) => { cut = i + 1; open = [...stack]; });
+    let fixed = str;
+    const trailing = str.slice(cut).trim();
+    if (trailing && trailing !== ']' && trailing !== '}') {
+        const closers = open.reverse().map(ch => ch === '[' ? ']' : '}').join('');
+        fixed = str.slice(0, cut) + closers;
+    }
+    return fixed.replace(/,\s*([\]}])/g, '$1');
+}
+
+// ── Usage & Cost ────────────────────────────────────────────────
+// Token usage comes from the backend's reply when it reports any, otherwise
+// from SillyTavern's tokenizer. Totals are kept in settings per feature,
+// assistant/NPC, chat, day and model; old days and long-unused chats and models
+// are pruned. Prices are USD per million tokens and are matched against the
+// model name; soft budgets only pause background Chirp work.
+
+const CHIRP_FEATURES = ['feed', 'npcReply', 'dm'];
+const USAGE_KEEP_DAYS = 90;
+const USAGE_KEEP_CHATS = 100;
+const USAGE_KEEP_MODELS = 50;
+const USAGE_UPDATE_DELAY = 2000;
+let budgetNoticeDay = null;
+let usageUpdateTimer = null;
+
+function usageDayKey(ts = Date.now()) {
+    const d = new Date(ts);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function findModelPrice(model) {
+    const name = String(model || '').toLowerCase();
+    if (!name) return null;
+    return (getSettings().priceTable || []).find(p => p.model && name.includes(p.model.toLowerCase())) || null;
+}
+
+function usageModelName(profile) {
+    if (profile.model) return profile.model;
+    if (profile.id !== 'st') return profile.name;
+    const ctx = SillyTavern.getContext();
+    return ctx.getChatCompletionModel?.() || ctx.chatCompletionSettings?.openai_model || 'SillyTavern';
+}
+
+async function accountUsage(entry, reported = {}) {
+    const estimated = !Number.isFinite(reported.prompt) || !Number.isFinite(reported.completion);
+    const prompt = Number.isFinite(reported.prompt) ? reported.prompt : await countTokens(entry.messages.map(m => m.content).join('\n'));
+    const completion = Number.isFinite(reported.completion) ? reported.completion : await countTokens(entry.response || '');
+    const model = usageModelName(entry.profile);
+    const price = findModelPrice(model);
+    const cost = price ? (prompt * (Number(price.input) || 0) + completion * (Number(price.output) || 0)) / 1e6 : 0;
+    entry.usage = { prompt, completion, estimated, model, cost };
+
+    const s = getSettings();
+    if (!s.usageStats) s.usageStats = structuredClone(defaultSettings.usageStats);
+    const stats = s.usageStats;
+    const add = (group, key, label) => {
+        if (!stats[group]) stats[group] = {};
+        const bucket = stats[group][key] || (stats[group][key] = { label, requests: 0, prompt: 0, completion: 0, cost: 0 });
+        if (label) bucket.label = label;
+        bucket.last = entry.at || Date.now();
+        bucket.requests++;
+        bucket.prompt += prompt;
+        bucket.completion += completion;
+        bucket.cost += cost;
+    };
+    add('features', entry.feature, API_FEATURES.find(f => f.key === entry.feature)?.label || entry.feature);
+    if (entry.owner) add('owners', entry.owner.id, entry.owner.name);
+    const chatId = SillyTavern.getContext().getCurrentChatId?.();
+    if (chatId) add('chats', chatId, chatId);
+    add('days', usageDayKey(entry.at), usageDayKey(entry.at));
+    add('models', model, model);
+    pruneUsageStats(stats);
+    scheduleUsageUpdate();
+}
+
+function pruneUsageStats(stats) {
+    const byLastUse = (group) => (a, b) => (group[b].last || 0) - (group[a].last || 0);
+    pruneUsageGroup(stats.days, USAGE_KEEP_DAYS, (a, b) => b.localeCompare(a));
+    pruneUsageGroup(stats.chats, USAGE_KEEP_CHATS, byLastUse(stats.chats || {}));
+    pruneUsageGroup(stats.models, USAGE_KEEP_MODELS, byLastUse(stats.models || {}));
+}
+
+// Drops every key past the first `keep` in newest-first order
+function pruneUsageGroup(group, keep, newestFirst) {
+    const keys = Object.keys(group || {});
+    if (keys.length <= keep) return;
+    for (const key of keys.sort(newestFirst).slice(keep)) delete group[key];
+}
+
+// Busy Chirp bursts would otherwise save settings and redraw the Usage tab per request
+function scheduleUsageUpdate() {
+    if (usageUpdateTimer) return;
+    usageUpdateTimer = setTimeout(() => {
+        usageUpdateTimer = null;
+        saveSettings();
+        renderUsageStats();
+    }, USAGE_UPDATE_DELAY);
+}
+
+function isUsageBudgetExceeded() {
+    const s = getSettings();
+    const budget = s.usageBudget || {};
+    const today = s.usageStats?.days?.[usageDayKey()];
+    if (!today) return false;
+    if (budget.dailyTokens > 0 && today.prompt + today.completion >= budget.dailyTokens) return true;
+    if (budget.dailyCost > 0 && today.cost >= budget.dailyCost) return true;
+    return false;
+}
+
+// Background Chirp calls are skipped (as an abort) once today's budget is spent
+function checkUsageBudget(opts) {
+    if (opts.priority === 'user' || !CHIRP_FEATURES.includes(opts.feature) || !isUsageBudgetExceeded()) return;
+    if (budgetNoticeDay !== usageDayKey()) {
+        budgetNoticeDay = usageDayKey();
+        toastr.info('Daily usage budget reached. Background Chirp activity is paused until tomorrow.');
+    }
+    throw new DOMException('Usage budget reached', 'AbortError');
+}
+
+// ── Prompt Templates ────────────────────────────────────────────
+// Every prompt template goes through one engine. {{var}} inserts a value,
+// {{#if var}}…{{else}}…{{/if}} and {{#unless var}}…{{/unless}} branch on it, and
+// {{#each npcs}}…{{/each}} repeats once per active NPC with that NPC's fields in
+// scope. Any other {{…}} is left to SillyTavern's macros ({{char}}, {{user}}, …).
+
+const NPC_TEMPLATE_FIELDS = {
+    id: 'NPC id',
+    name: 'Display name',
+    username: 'Handle, without @',
+    character: 'Personality / character notes',
+    post_example: 'Example post',
+    bans: 'Things the NPC never says',
+    '@index': 'Position in the loop, from 0',
+    '@first': 'True on the first NPC',
+    '@last': 'True on the last NPC',
+};
+
+// Available in every template
+const COMMON_TEMPLATE_VARS = {
+    npcs: 'Active NPCs, for {{#each npcs}}',
+    npc_count: 'Number of active NPCs',
+};
+
+const PROMPT_TEMPLATES = {
+    mainPromptTemplate: {
+        label: 'Assistant system prompt',
+        vars: {
+            name: 'Assistant name',
+            character: 'Assistant character',
+            bans: 'Assistant bans',
+            example: 'Message example; appended at the end when the template does not use it',
+            memory: 'Rolling summary of the earlier conversation, when memory is on; appended at the end when the template does not use it',
+            notebook: "The assistant's notebook entries, one per line; appended at the end when the template does not use it",
+            remember: 'How to add notebook entries with <remember> tags, unless the notebook is off; appended at the end when the template does not use it',
+            card: 'Character card and persona, if enabled for the assistant; appended at the end when the template does not use it',
+            lore: 'Activated World Info entries; appended at the end when the template does not use it',
+            context: 'Recent main chat messages',
+        },
+        required: ['context'],
+    },
+    proactiveCommentPrompt: {
+        label: 'Proactive: comment',
+        vars: { name: 'Assistant name' },
+    },
+    proactiveAdvicePrompt: {
+        label: 'Proactive: advice',
+        vars: { name: 'Assistant name' },
+    },
+    proactiveCheckinPrompt: {
+        label: 'Proactive: check-in',
+        vars: { name: 'Assistant name' },
+    },
+    summaryPrompt: {
+        label: 'Memory summary',
+        vars: {
+            summary: 'The summary so far (empty on the first run)',
+            chat: 'Main chat messages to fold in',
+            whispers: 'Assistant chat messages to fold in',
+        },
+    },
+    twitterPromptTemplate: {
+        label: 'Twitter feed prompt',
+        vars: {
+            npc_cards: 'NPC list with casting instructions',
+            card: 'Character card and persona, if enabled for any active NPC',
+            lore: 'World Info entries activated for the active NPCs',
+            context: 'Recent main chat messages',
+            post_count: 'Number of posts to write',
+        },
+        required: ['context'],
+    },
+    tweetReplyPrompt: {
+        label: 'Twitter reply',
+        vars: {
+            known_npc: 'True when the post belongs to a configured NPC',
+            npc_name: 'Post author name',
+            npc_username: 'Post author handle',
+            character: 'NPC character',
+            post_example: 'NPC example post',
+            bans: 'NPC bans',
+            post_content: 'The original post',
+            reply_name: 'Your name',
+            reply_username: 'Your handle',
+            reply_content: 'Your reply',
+            lore: 'World Info entries activated for this NPC; appended at the end when the template does not use it',
+        },
+    },
+    chirpFeedPrompt: {
+        label: 'Chirp feed prompt',
+        vars: {
+            npc_cards: 'NPC list with ids, handles and personalities',
+            card: 'Character card and persona, if enabled for any active NPC',
+            lore: 'World Info entries activated for the active NPCs',
+            context: 'Recent main chat messages',
+            post_count: 'Number of posts to write',
+            user_handle: 'Your Chirp handle',
+        },
+        required: ['context'],
+    },
+    chirpDmPrompt: {
+        label: 'Chirp DM prompt',
+        vars: {
+            npc_name: 'NPC display name',
+            npc_username: 'NPC handle',
+            personality: 'NPC personality',
+            post_style: 'NPC post style',
+            user_name: 'Your Chirp name',
+            user_username: 'Your Chirp handle',
+            card: 'Character card and persona, if enabled for this NPC',
+            lore: 'World Info entries activated for this NPC',
+            context: 'Recent main chat messages',
+        },
+        required: ['context'],
+    },
+    chirpReplyPrompt: {
+        label: 'Chirp NPC reply to you',
+        vars: {
+            npc_name: 'NPC display name',
+            npc_username: 'NPC handle',
+            personality: 'NPC personality',
+            author_username: 'Handle of the post author',
+            post_content: 'The post being replied to',
+            lore: 'World Info entries activated for this NPC; appended at the end when the template does not use it',
+        },
+    },
+    chirpReactPrompt: {
+        label: 'Chirp NPC react',
+        vars: {
+            npc_name: 'NPC display name',
+            npc_username: 'NPC handle',
+            personality: 'NPC personality',
+            author_username: 'Handle of the post author',
+            post_content: 'The post being reacted to',
+            lore: 'World Info entries activated for this NPC; appended at the end when the template does not use it',
+        },
+    },
+};
+
+const PROACTIVE_TEMPLATES = { comment: 'proactiveCommentPrompt', advice: 'proactiveAdvicePrompt', checkin: 'proactiveCheckinPrompt' };
+
+// SillyTavern macros the validator accepts without a warning; arguments after ':' are ignored
+const ST_MACROS = new Set([
+    'char', 'user', 'persona', 'description', 'personality', 'scenario', 'mesexamples', 'mesexamplesraw',
+    'charprompt', 'charinstruction', 'charjailbreak', 'charversion', 'group', 'groupnotmuted', 'notchar',
+    'charifnotgroup', 'original', 'input', 'lastmessage', 'lastmessageid', 'lastcharmessage',
+    'lastusermessage', 'firstincludedmessageid', 'currentswipeid', 'lastswipeid', 'model', 'maxprompt',
+    'time', 'date', 'weekday', 'isotime', 'isodate', 'datetimeformat', 'time_utc', 'timediff',
+    'idle_duration', 'newline', 'trim', 'noop', 'random', 'pick', 'roll', 'banned', 'reverse',
+    'getvar', 'setvar', 'addvar', 'incvar', 'decvar', 'getglobalvar', 'setglobalvar', 'addglobalvar',
+    'incglobalvar', 'decglobalvar', 'summary', 'authorsnote', '//',
+]);
+
+function getDefaultTemplate(key) {
+    return defaultSettings[key] ?? chirpDefaults[key] ?? '';
+}
+
+function getTemplateSource(key) {
+    return getSettings()[key] || getDefaultTemplate(key);
+}
+
+function parseTemplate(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const lineAt = (i) => source.slice(0, i).split('\n').length;
+    const fail = (msg, i) => { throw new Error(`${msg} (line ${lineAt(i)})`); };
+    let target = root.children;
+    let last = 0;
+
+    for (const m of source.matchAll(/\{\{([\s\S]*?)\}\}/g)) {
+        if (m.index > last) target.push({ type: 'text', text: source.slice(last, m.index) });
+        last = m.index + m[0].length;
+        const tag = m[1].trim();
+        const top = stack[stack.length - 1];
+
+        const open = tag.match(/^#(if|unless|each)\s+(!?)\s*([\w@.]+)$/);
+        if (open) {
+            const node = { type: open[1], name: open[3], negate: !!open[2], index: m.index, children: [], otherwise: null };
+            if (node.type === 'each' && node.negate) fail(`{{#each}} cannot be negated`, m.index);
+            target.push(node);
+            stack.push(node);
+            target = node.children;
+        } else if (tag.startsWith('#')) {
+            fail(`Unknown block {{${tag}}}`, m.index);
+        } else if (tag === 'else') {
+            if (top.type !== 'if' && top.type !== 'unless') fail('{{else}} outside of {{#if}}', m.index);
+            if (top.otherwise) fail('Second {{else}} in one block', m.index);
+            top.otherwise = [];
+            target = top.otherwise;
+        } else if (/^\/\w/.test(tag)) {
+            const close = tag.slice(1);
+            if (top.type !== close) {
+                fail(top.type === 'root' ? `{{/${close}}} without an opening {{#${close}}}` : `{{/${close}}} closes {{#${top.type} ${top.name}}}`, m.index);
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            target = parent.otherwise || parent.children;
+        } else {
+            target.push({ type: 'var', name: tag, raw: m[0], index: m.index });
+        }
+    }
+
+    const rest = source.slice(last);
+    if (rest.includes('{{')) fail('Unclosed {{', last + rest.indexOf('{{'));
+    if (rest) target.push({ type: 'text', text: rest });
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1];
+        fail(`Unclosed {{#${open.type} ${open.name}}}`, open.index);
+    }
+    return root.children;
+}
+
+function lookupTemplateVar(name, scopes) {
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        if (Object.hasOwn(scopes[i], name)) return { found: true, value: scopes[i][name] };
+    }
+    return { found: false, value: undefined };
+}
+
+function isTemplateTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : !!value;
+}
+
+function substituteStMacro(raw) {
+    const ctx = SillyTavern.getContext();
+    if (typeof ctx.substituteParams === 'function') return ctx.substituteParams(raw);
+    const name = raw.slice(2, -2).trim().toLowerCase();
+    if (name === 'char') return getCurrentCharName() || raw;
+    if (name === 'user') return getUserName();
+    return raw;
+}
+
+function renderTemplateNodes(nodes, scopes) {
+    let out = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            out += node.text;
+        } else if (node.type === 'var') {
+            const { found, value } = lookupTemplateVar(node.name, scopes);
+            if (!found) out += substituteStMacro(node.raw);
+            else if (value != null) out += Array.isArray(value) ? value.map(v => v?.name ?? v).join(', ') : String(value);
+        } else if (node.type === 'each') {
+            const items = lookupTemplateVar(node.name, scopes).value;
+            if (!Array.isArray(items)) continue;
+            items.forEach((item, i) => {
+                const loop = { ...item, '@index': i, '@first': i === 0, '@last': i === items.length - 1 };
+                out += renderTemplateNodes(node.children, [...scopes, loop]);
+            });
+        } else {
+            let pass = isTemplateTruthy(lookupTemplateVar(node.name, scopes).value);
+            if (node.negate !== (node.type === 'unless')) pass = !pass;
+            out += renderTemplateNodes(pass ? node.children : (node.otherwise || []), scopes);
+        }
+    }
+    return out;
+}
+
+function npcTemplateItem(npc) {
+    return {
+        id: npc.id,
+        name: npc.name || '',
+        username: npc.username || '',
+        character: npc.character || '',
+        post_example: npc.postExample || '',
+        bans: npc.bans || '',
+    };
+}
+
+/**
+ * Fills a prompt template. `values` are the template's own variables; the
+ * common ones (npcs, npc_count) are added here. Throws with the template's
+ * label when the stored source does not parse.
+ */
+function renderTemplate(key, values = {}, source = getTemplateSource(key)) {
+    let nodes;
+    try {
+        nodes = parseTemplate(source);
+    } catch (err) {
+        throw new Error(`${PROMPT_TEMPLATES[key]?.label || key}: ${err.message}`);
+    }
+    const npcs = getActiveNpcs().map(npcTemplateItem);
+    return renderTemplateNodes(nodes, [{ npcs, npc_count: npcs.length, ...values }]);
+}
+
+// Story material that templates written before its variable existed still
+// receive, appended at the end
+const PROMPT_EXTRAS = [
+    { name: 'memory', heading: 'Memory (summary of the earlier conversation)' },
+    { name: 'notebook', heading: 'Your notebook (facts kept from earlier sessions)' },
+    { name: 'card', heading: 'Who is in the story' },
+    { name: 'lore', heading: 'World info' },
+];
+
+function renderPrompt(key, values = {}, source = getTemplateSource(key)) {
+    let prompt = renderTemplate(key, values, source);
+    for (const { name, heading } of PROMPT_EXTRAS) {
+        if (values[name] && !templateUses(source, name)) prompt += `\n\n${heading}:\n${values[name]}`;
+    }
+    return prompt;
+}
+
+function collectTemplateNames(nodes, inLoop, found) {
+    for (const node of nodes) {
+        if (node.type === 'text') continue;
+        found.push({ name: node.name, index: node.index, type: node.type, inLoop });
+        if (node.children) collectTemplateNames(node.children, inLoop || node.type === 'each', found);
+        if (node.otherwise) collectTemplateNames(node.otherwise, inLoop, found);
+    }
+    return found;
+}
+
+function templateUses(source, name) {
+    try {
+        return collectTemplateNames(parseTemplate(source), false, []).some(n => n.name === name);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks a template before it is saved. Errors (bad block structure, loops
+ * over something that isn't a list) make it unusable; warnings (unknown
+ * names, a missing {{context}}) are worth a look but still render.
+ */
+function validateTemplate(key, source) {
+    const spec = PROMPT_TEMPLATES[key];
+    const errors = [];
+    const warnings = [];
+    let nodes;
+    try {
+        nodes = parseTemplate(source);
+    } catch (err) {
+        errors.push(err.message);
+        return { errors, warnings };
+    }
+
+    const lineAt = (i) => source.slice(0, i).split('\n').length;
+    const used = collectTemplateNames(nodes, false, []);
+    for (const { name, index, type, inLoop } of used) {
+        if (type === 'each') {
+            if (name !== 'npcs') errors.push(`{{#each ${name}}} — only npcs can be looped over (line ${lineAt(index)})`);
+            continue;
+        }
+        if (Object.hasOwn(spec.vars, name) || Object.hasOwn(COMMON_TEMPLATE_VARS, name)) continue;
+        if (inLoop && Object.hasOwn(NPC_TEMPLATE_FIELDS, name)) continue;
+        const macro = name.startsWith('//') ? '//' : name.split(':')[0].trim().toLowerCase();
+        if (type === 'var' && ST_MACROS.has(macro)) continue;
+        warnings.push(`Unknown variable {{${name}}} (line ${lineAt(index)})`);
+    }
+    for (const name of spec.required || []) {
+        if (!used.some(u => u.name === name)) warnings.push(`{{${name}}} is not used — ${spec.vars[name].toLowerCase()} will not be sent`);
+    }
+    return { errors, warnings };
+}
+
+function showTemplateFeedback(key, field, { errors, warnings }) {
+    field?.classList.toggle('whispers-template-invalid', errors.length > 0);
+    const box = document.querySelector(`.whispers-template-feedback[data-template="${key}"]`);
+    if (!box) return;
+    box.innerHTML = [
+        ...errors.map(e => `<div class="whispers-template-error"><i class="fa-solid fa-circle-exclamation"></i> ${escapeHtml(e)}</div>`),
+        ...warnings.map(w => `<div class="whispers-template-warning"><i class="fa-solid fa-triangle-exclamation"></i> ${escapeHtml(w)}</div>`),
+    ].join('');
+}
+
+// Validates and stores an edited template. A template with errors is not
+// saved, so generation keeps using the last good one.
+function saveTemplateSetting(key, source, field = null) {
+    const result = source.trim() ? validateTemplate(key, source) : { errors: [], warnings: [] };
+    showTemplateFeedback(key, field, result);
+    if (result.errors.length) return false;
+    const s = getSettings();
+    s[key] = source;
+    const preset = getPromptPreset(s.activePromptPreset);
+    if (preset) {
+        if (source.trim() && source !== getDefaultTemplate(key)) preset.templates[key] = source;
+        else delete preset.templates[key];
+    }
+    saveSettings();
+    return true;
+}
+
+function buildTemplateVarsHtml(key) {
+    const row = (name, desc) => `<li><code>{{${escapeHtml(name)}}}</code> ${escapeHtml(desc)}</li>`;
+    const vars = { ...PROMPT_TEMPLATES[key].vars, ...COMMON_TEMPLATE_VARS };
+    return `
+        <details class="whispers-template-vars">
+            <summary>Variables</summary>
+            <ul>${Object.entries(vars).map(([n, d]) => row(n, d)).join('')}</ul>
+            <div>Inside <code>{{#each npcs}}…{{/each}}</code>:</div>
+            <ul>${Object.entries(NPC_TEMPLATE_FIELDS).map(([n, d]) => row(n, d)).join('')}</ul>
+            <div><code>{{#if name}}…{{else}}…{{/if}}</code>, <code>{{#unless name}}</code> and <code>{{#if !name}}</code> branch on a value.
+            SillyTavern macros such as <code>{{char}}</code>, <code>{{user}}</code> and <code>{{persona}}</code> work too; a variable above wins over a macro of the same name.</div>
+        </details>
+        <div class="whispers-template-feedback" data-template="${key}"></div>`;
+}
+
+// ── Prompt Presets ──────────────────────────────────────────────
+// The templates in use live on the settings object itself; a preset is a
+// named copy of the ones that differ from the defaults. While a preset is
+// active, every template edit is written into it as well.
+
+const PROMPT_PRESET_FORMAT = 'whispers-prompts';
+
+function getPromptPreset(id) {
+    return (getSettings().promptPresets || []).find(p => p.id === id) || null;
+}
+
+function snapshotTemplates() {
+    const s = getSettings();
+    const templates = {};
+    for (const key of Object.keys(PROMPT_TEMPLATES)) {
+        if (s[key] && s[key] !== getDefaultTemplate(key)) templates[key] = s[key];
+    }
+    return templates;
+}
+
+function applyPromptPreset(preset) {
+    const s = getSettings();
+    for (const key of Object.keys(PROMPT_TEMPLATES)) s[key] = preset?.templates[key] || getDefaultTemplate(key);
+    s.activePromptPreset = preset?.id || null;
+    saveSettings();
+}
+
+function uniquePresetName(name) {
+    const taken = new Set(getSettings().promptPresets.map(p => p.name));
+    let candidate = name;
+    for (let i = 2; taken.has(candidate); i++) candidate = `${name} (${i})`;
+    return candidate;
+}
+
+function exportPromptPreset() {
+    const preset = getPromptPreset(getSettings().activePromptPreset);
+    const name = preset?.name || 'Current prompts';
+    const data = { type: PROMPT_PRESET_FORMAT, version: 1, name, templates: preset ? preset.templates : snapshotTemplates() };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `whispers-prompts-${name.replace(/[^\w-]+/g, '_')}.json`;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
+// Reads an exported preset file into a new preset. Templates that fail
+// validation are dropped (the default is used instead) and reported.
+async function importPromptPreset(file) {
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch {
+        toastr.error('Not a valid JSON file');
+        return null;
+    }
+    if (data?.type !== PROMPT_PRESET_FORMAT || !data.templates || typeof data.templates !== 'object') {
+        toastr.error('This file is not a Whispers prompt preset');
+        return null;
+    }
+
+    const templates = {};
+    const rejected = [];
+    for (const [key, source] of Object.entries(data.templates)) {
+        if (!PROMPT_TEMPLATES[key] || typeof source !== 'string') continue;
+        if (validateTemplate(key, source).errors.length) rejected.push(PROMPT_TEMPLATES[key].label);
+        else templates[key] = source;
+    }
+    if (rejected.length) toastr.warning(`Skipped invalid templates: ${rejected.join(', ')}`);
+
+    const preset = { id: generateId(), name: uniquePresetName(String(data.name || file.name.replace(/\.json$/i, ''))), templates };
+    getSettings().promptPresets.push(preset);
+    saveSettings();
+    return preset;
+}
+
+// ── Generic Helpers for Twitter/NPC ─────────────────────────────
+
+// opts.feature picks the routed profile; opts.owner (assistant or NPC) may override it.
+// opts.priority is 'user' for things the user clicked, 'background' otherwise.
+async function callApi(messages, opts = {}) {
+    checkUsageBudget(opts);
+    return await enqueueGeneration(queueLabel(opts), (holdSlot) => dispatchApi(messages, { ...opts, holdSlot }), opts);
+}
+
+async function dispatchApi(messages, opts) {
+    const feature = opts.feature || 'chat';
+    const profile = resolveApiProfile(feature, opts.owner);
+    const sampling = getSamplingOverrides(opts.owner);
+    // SillyTavern's own preset supplies the defaults on its path; only overrides are sent
+    const params = profile ? { ...getDefaultParams(feature), ...sampling } : sampling;
+    const runOpts = { ...opts, usage: {} };
+    return await recordGeneration({ feature, owner: opts.owner, profile, messages, params, usage: runOpts.usage }, opts, () => profile
+        ? requestExtraApi(messages, profile, params, runOpts)
+        : requestViaSTMessages(messages, sampling, runOpts));
+}
+
+// Assistant chat keeps its shorter, cooler defaults and summaries stay close
+// to the source; everything else writes longer
+function getDefaultParams(feature) {
+    if (feature === 'chat') return { temperature: 0.7, max_tokens: 1024 };
+    if (feature === 'summary') return { temperature: 0.3, max_tokens: 800 };
+    return { temperature: 0.8, max_tokens: 1500 };
+}
+
+function requestViaSTMessages(messages, sampling, opts) {
+    const systemPrompt = messages.find(m => m.role === 'system')?.content || '';
+    const prompt = messages.filter(m => m.role !== 'system').map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`).join('\n') + '\nAssistant:';
+    return requestViaST(systemPrompt, prompt, messages, sampling, opts);
+}
+
+
+
+async function fetchModels(profile) {
+    if (!profile?.url) { toastr.warning('Set API URL first'); return []; }
+
+    try {
+        return await fetchModelList(profile);
+    } catch (err) {
+        toastr.error(`Failed to fetch models: ${err.message}`);
+        return [];
+    }
+}
+
+// ── State ───────────────────────────────────────────────────────
+
+let editingAssistantId = null;
+let editingFolderId = null;
+let editingProfileId = null;
+let isGenerating = false;
+
+// ── Update Check ────────────────────────────────────────────────
+
+async function checkForUpdate() {
+    try {
+        const { getRequestHeaders } = SillyTavern.getContext();
+        const resp = await fetch('/api/extensions/version', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ extensionName: `third-party/${MODULE_NAME}` }),
+        });
+        if (!resp.ok) return;
+        const data = await resp.json();
+        const btn = document.getElementById('whispers-btn-update');
+        if (btn && data.isUpToDate === false) {
+            btn.style.display = '';
+            btn.title = 'Update available — click to update and reload';
+        }
+    } catch (e) {
+        console.log('[Whispers] Update check failed:', e);
+    }
+}
+
+async function performUpdate() {
+    try {
+        const { getRequestHeaders } = SillyTavern.getContext();
+        toastr.info('Updating Whispers...');
+        const resp = await fetch('/api/extensions/update', {
+            method: 'POST',
+            headers: getRequestHeaders(),
+            body: JSON.stringify({ extensionName: `third-party/${MODULE_NAME}` }),
+        });
+        if (resp.ok) {
+            toastr.success('Updated! Reloading...');
+            setTimeout(() => location.reload(), 1500);
+        } else {
+            toastr.error('Update failed');
+        }
+    } catch (e) {
+        toastr.error('Update failed: ' + e.message);
+    }
+}
+
+// ── UI: Settings Panel HTML ─────────────────────────────────────
+
+function buildSettingsHtml() {
+    return `
+    <div class="inline-drawer">
+        <div class="inline-drawer-toggle inline-drawer-header">
+            <b><i class="fa-solid fa-ghost"></i> Whispers</b>
+            <div class="inline-drawer-icon fa-solid fa-circle-chevron-down down"></div>
+        </div>
+        <div class="inline-drawer-content" id="whispers-settings-panel">
+            <div class="whispers-settings">
+
+                <!-- Tab Switcher -->
+                <div class="whispers-tabs">
+                    <label class="whispers-tab active" data-tab="general">
+                        <input type="radio" name="whispers-tab" value="general" checked>
+                        <i class="fa-solid fa-house"></i> General
+                    </label>
+                    <label class="whispers-tab" data-tab="assistants">
+                        <input type="radio" name="whispers-tab" value="assistants">
                         <i class="fa-solid fa-users"></i> Assistants
                     </label>
                     <label class="whispers-tab" data-tab="api">
                         <input type="radio" name="whispers-tab" value="api">
                         <i class="fa-solid fa-server"></i> API
                     </label>
+                    <label class="whispers-tab" data-tab="usage">
+                        <input type="radio" name="whispers-tab" value="usage">
+                        <i class="fa-solid fa-chart-simple"></i> Usage
+                    </label>
                     <label class="whispers-tab" data-tab="settings">
                         <input type="radio" name="whispers-tab" value="settings">
                         <i class="fa-solid fa-sliders"></i> Settings
                     </label>
+                    <label class="whispers-tab" data-tab="prompts">
+                        <input type="radio" name="whispers-tab" value="prompts">
+                        <i class="fa-solid fa-scroll"></i> Prompts
+                    </label>
                     <label class="whispers-tab" data-tab="social">
                         <input type="radio" name="whispers-tab" value="social">
                         <i class="fa-solid fa-feather-pointed"></i> Social
@@ -678,1744 +2865,2795 @@ function buildSettingsHtml() {
                     </div>
                 </div>
 
-                <!-- ═══ Tab: API ═══ -->
-                <div class="whispers-tab-content" id="whispers-tab-api" style="display:none;">
-                    <div class="whispers-toggle-row">
-                        <label><i class="fa-solid fa-plug"></i> Use External API</label>
-                        <input type="checkbox" id="whispers-use-extra-api">
-                    </div>
-                    <div id="whispers-api-section" style="display:none;">
-                        <div class="whispers-field-group" style="margin-bottom:6px;">
-                            <label>API URL</label>
-                            <input type="url" id="whispers-api-url" placeholder="http://localhost:5001">
-                        </div>
-                        <div class="whispers-field-group" style="margin-bottom:6px;">
-                            <label><i class="fa-solid fa-key"></i> API Key</label>
-                            <input type="password" id="whispers-api-key" placeholder="sk-... (optional)">
-                        </div>
-                        <div class="whispers-field-group">
-                            <label><i class="fa-solid fa-microchip"></i> Model</label>
-                            <div class="whispers-model-row">
-                                <select id="whispers-model-select"><option value="">Default</option></select>
-                                <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-refresh-models" title="Refresh models">
-                                    <i class="fa-solid fa-arrows-rotate"></i>
-                                </button>
+                <!-- ═══ Tab: API ═══ -->
+                <div class="whispers-tab-content" id="whispers-tab-api" style="display:none;">
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-plug"></i> Connection Profiles</div>
+                        <div class="whispers-model-row">
+                            <select id="whispers-profile-select"></select>
+                            <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-new-profile" title="New profile">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                            <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-delete-profile" title="Delete profile">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                        </div>
+                        <div id="whispers-api-section" style="display:none;">
+                            <div class="whispers-field-group" style="margin-bottom:6px;">
+                                <label><i class="fa-solid fa-signature"></i> Profile Name</label>
+                                <input type="text" id="whispers-profile-name" placeholder="My API">
+                            </div>
+                            <div class="whispers-field-group" style="margin-bottom:6px;">
+                                <label><i class="fa-solid fa-server"></i> Backend</label>
+                                <select id="whispers-profile-type">
+                                    ${Object.entries(API_ADAPTERS).map(([key, a]) => `<option value="${key}">${a.label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="whispers-field-group" style="margin-bottom:6px;">
+                                <label>API URL</label>
+                                <input type="url" id="whispers-api-url" placeholder="http://localhost:5001">
+                            </div>
+                            <div class="whispers-field-group" style="margin-bottom:6px;">
+                                <label><i class="fa-solid fa-key"></i> API Key</label>
+                                <input type="password" id="whispers-api-key" placeholder="sk-... (optional)">
+                            </div>
+                            <div class="whispers-field-group">
+                                <label><i class="fa-solid fa-microchip"></i> Model</label>
+                                <div class="whispers-model-row">
+                                    <select id="whispers-model-select"><option value="">Default</option></select>
+                                    <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-refresh-models" title="Refresh models">
+                                        <i class="fa-solid fa-arrows-rotate"></i>
+                                    </button>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-route"></i> Routing</div>
+                        <div id="whispers-feature-routing"></div>
+                        <div style="font-size:0.75em;opacity:0.5;">SillyTavern's connection streams with Chat Completion and Text Completion APIs; KoboldAI Classic, NovelAI and Horde reply in one piece.</div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-coins"></i> Context Budget (tokens)</div>
+                        <div id="whispers-budget-list"></div>
+                        <div class="whispers-row" style="margin-top:6px;">
+                            <label style="flex:1;"><i class="fa-solid fa-book-atlas"></i> World Info scan depth <span style="font-size:0.75em;opacity:0.5;">(messages)</span></label>
+                            <input type="number" class="whispers-inline-number" id="whispers-wi-scan-depth" min="0" max="100" value="4">
+                        </div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-subsection" id="whispers-context-filters">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-filter"></i> Main Chat Filters</div>
+                        <div class="whispers-mode-toggles">
+                            <label class="whispers-toggle-row"><span>Skip hidden messages</span><input type="checkbox" data-ctx-filter="skipHidden"></label>
+                            <label class="whispers-toggle-row"><span>Skip system &amp; narrator messages</span><input type="checkbox" data-ctx-filter="skipSystem"></label>
+                            <label class="whispers-toggle-row"><span>Skip the reply still generating</span><input type="checkbox" data-ctx-filter="skipPending"></label>
+                            <label class="whispers-toggle-row"><span>Strip reasoning blocks</span><input type="checkbox" data-ctx-filter="stripReasoning"></label>
+                            <label class="whispers-toggle-row"><span>Strip images</span><input type="checkbox" data-ctx-filter="stripImages"></label>
+                            <label class="whispers-toggle-row"><span>Strip HTML tags</span><input type="checkbox" data-ctx-filter="stripHtml"></label>
+                        </div>
+                        <div class="whispers-field-group">
+                            <label>Also remove <span style="font-size:0.75em;opacity:0.5;">(one regex per line, /pattern/flags or plain)</span></label>
+                            <textarea id="whispers-ctx-patterns" rows="2" placeholder="/\\[OOC:.*?\\]/gi"></textarea>
+                        </div>
+                        <div class="whispers-row">
+                            <label style="flex:1;">Shorten messages over <span style="font-size:0.75em;opacity:0.5;">(characters, 0 = never)</span></label>
+                            <input type="number" class="whispers-inline-number" id="whispers-ctx-max-chars" min="0" max="100000" step="100" value="0">
+                        </div>
+                        <div class="whispers-field-group">
+                            <label>Range</label>
+                            <select id="whispers-ctx-range">
+                                <option value="all">Whole chat (as far as the budget allows)</option>
+                                <option value="whisper">Since my last whisper</option>
+                                <option value="scene">Only this scene</option>
+                            </select>
+                        </div>
+                        <div class="whispers-field-group" id="whispers-ctx-scene-row">
+                            <label>Scene starts at <span style="font-size:0.75em;opacity:0.5;">(regex; the last matching message opens the scene)</span></label>
+                            <input type="text" id="whispers-ctx-scene-marker" placeholder="^(\\*\\*\\*|Scene \\d+)">
+                        </div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-field-group">
+                        <label><i class="fa-solid fa-layer-group"></i> Parallel Requests</label>
+                        <input type="number" id="whispers-queue-concurrency" min="1" max="8" value="1">
+                    </div>
+                    <div class="whispers-row">
+                        <div class="whispers-field-group" style="flex:1;">
+                            <label><i class="fa-solid fa-rotate-right"></i> Retries</label>
+                            <input type="number" id="whispers-retry-count" min="0" max="10" value="2">
+                        </div>
+                        <div class="whispers-field-group" style="flex:1;">
+                            <label><i class="fa-solid fa-stopwatch"></i> Backoff (ms)</label>
+                            <input type="number" id="whispers-retry-delay" min="100" max="60000" step="100" value="1000">
+                        </div>
+                    </div>
+                    <div class="whispers-field-group">
+                        <label><i class="fa-solid fa-life-ring"></i> Fallback Connection</label>
+                        <select id="whispers-fallback-profile"></select>
+                    </div>
+                </div>
+
+                <!-- ═══ Tab: Usage ═══ -->
+                <div class="whispers-tab-content" id="whispers-tab-usage" style="display:none;">
+                    <div class="whispers-usage-today" id="whispers-usage-today"></div>
+                    <div class="whispers-row">
+                        <select id="whispers-usage-group">
+                            <option value="features">By feature</option>
+                            <option value="owners">By assistant / NPC</option>
+                            <option value="chats">By chat</option>
+                            <option value="days">By day</option>
+                            <option value="models">By model</option>
+                        </select>
+                        <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-usage-reset" title="Reset statistics">
+                            <i class="fa-solid fa-rotate-left"></i>
+                        </button>
+                    </div>
+                    <table class="whispers-usage-table" id="whispers-usage-table"></table>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-gauge"></i> Daily Soft Budget</div>
+                        <div class="whispers-row">
+                            <div class="whispers-field-group" style="flex:1;">
+                                <label>Tokens (0 = off)</label>
+                                <input type="number" id="whispers-budget-tokens" min="0" step="1000" value="0">
+                            </div>
+                            <div class="whispers-field-group" style="flex:1;">
+                                <label>Cost, USD (0 = off)</label>
+                                <input type="number" id="whispers-budget-cost" min="0" step="0.1" value="0">
+                            </div>
+                        </div>
+                        <span style="font-size:0.75em;opacity:0.5;">When reached, background Chirp posts and replies pause until tomorrow.</span>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-tags"></i> Prices (USD per 1M tokens)</div>
+                        <div id="whispers-price-table"></div>
+                        <button class="menu_button whispers-btn-small" id="whispers-btn-add-price"><i class="fa-solid fa-plus"></i> Add Price</button>
+                    </div>
+                </div>
+
+                <div class="whispers-tab-content" id="whispers-tab-settings" style="display:none;">
+                    <div class="whispers-field-group">
+                        <label><i class="fa-solid fa-palette"></i> Chat Theme</label>
+                        <div class="whispers-theme-cards">
+                            <label class="whispers-theme-card" data-theme-value="light">
+                                <input type="radio" name="whispers-overlay-theme" value="light">
+                                <div class="whispers-theme-preview whispers-theme-preview-light">
+                                    <div class="wtp-header"></div>
+                                    <div class="wtp-body">
+                                        <div class="wtp-bubble wtp-bubble-left"></div>
+                                        <div class="wtp-bubble wtp-bubble-right"></div>
+                                        <div class="wtp-bubble wtp-bubble-left wtp-short"></div>
+                                    </div>
+                                    <div class="wtp-footer"></div>
+                                </div>
+                                <span class="whispers-theme-label">Light</span>
+                            </label>
+                            <label class="whispers-theme-card" data-theme-value="dark">
+                                <input type="radio" name="whispers-overlay-theme" value="dark">
+                                <div class="whispers-theme-preview whispers-theme-preview-dark">
+                                    <div class="wtp-header"></div>
+                                    <div class="wtp-body">
+                                        <div class="wtp-bubble wtp-bubble-left"></div>
+                                        <div class="wtp-bubble wtp-bubble-right"></div>
+                                        <div class="wtp-bubble wtp-bubble-left wtp-short"></div>
+                                    </div>
+                                    <div class="wtp-footer"></div>
+                                </div>
+                                <span class="whispers-theme-label">Dark</span>
+                            </label>
+                            <label class="whispers-theme-card" data-theme-value="custom">
+                                <input type="radio" name="whispers-overlay-theme" value="custom" checked>
+                                <div class="whispers-theme-preview whispers-theme-preview-custom">
+                                    <div class="wtp-header"></div>
+                                    <div class="wtp-body">
+                                        <div class="wtp-bubble wtp-bubble-left"></div>
+                                        <div class="wtp-bubble wtp-bubble-right"></div>
+                                        <div class="wtp-bubble wtp-bubble-left wtp-short"></div>
+                                    </div>
+                                    <div class="wtp-footer"></div>
+                                </div>
+                                <span class="whispers-theme-label">Auto</span>
+                            </label>
+                        </div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-field-group">
+                        <label><i class="fa-solid fa-toggle-on"></i> Active Modes</label>
+                        <div class="whispers-mode-toggles">
+                            <label class="whispers-toggle-row"><span><i class="fa-solid fa-comments"></i> Chat Assistant</span><input type="checkbox" id="whispers-mode-chat" checked></label>
+                            <label class="whispers-toggle-row"><span><i class="fa-brands fa-twitter"></i> Twitter Feed</span><input type="checkbox" id="whispers-mode-twitter"></label>
+                        </div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-field-group" id="whispers-chat-auto-section">
+                        <label><i class="fa-solid fa-robot"></i> Chat Automation</label>
+                        <div class="whispers-radio-group">
+                            <label><input type="radio" name="whispers-chat-auto" value="every"> Every message</label>
+                            <label><input type="radio" name="whispers-chat-auto" value="button" checked> Button only</label>
+                            <label class="whispers-radio-with-input"><input type="radio" name="whispers-chat-auto" value="custom"> Custom: <input type="number" id="whispers-chat-interval" min="1" max="100" value="3" class="whispers-inline-number"> msgs</label>
+                        </div>
+                    </div>
+                    <div class="whispers-field-group" id="whispers-chat-proactive-section">
+                        <label><i class="fa-solid fa-comment-dots"></i> Assistant Initiates</label>
+                        <div class="whispers-radio-group">
+                            <label><input type="radio" name="whispers-chat-proactive" value="none" checked> Disabled</label>
+                            <label><input type="radio" name="whispers-chat-proactive" value="comment"> Comment on situation</label>
+                            <label><input type="radio" name="whispers-chat-proactive" value="advice"> Give advice</label>
+                            <label><input type="radio" name="whispers-chat-proactive" value="checkin"> Check in</label>
+                        </div>
+                    </div>
+                    <div class="whispers-field-group" id="whispers-memory-section">
+                        <label><i class="fa-solid fa-brain"></i> Memory</label>
+                        <div class="whispers-mode-toggles">
+                            <label class="whispers-toggle-row"><span>Summarize older messages</span><input type="checkbox" id="whispers-summary-enabled"></label>
+                        </div>
+                        <div class="whispers-row">
+                            <label style="flex:1;">Keep verbatim <span style="font-size:0.75em;opacity:0.5;">(newest messages)</span></label>
+                            <input type="number" class="whispers-inline-number" id="whispers-summary-keep" min="2" max="500" value="20">
+                        </div>
+                        <div class="whispers-row">
+                            <label style="flex:1;">Update every <span style="font-size:0.75em;opacity:0.5;">(older messages)</span></label>
+                            <input type="number" class="whispers-inline-number" id="whispers-summary-interval" min="1" max="200" value="10">
+                        </div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-field-group" id="whispers-twitter-auto-section">
+                        <label><i class="fa-brands fa-twitter"></i> Twitter Automation</label>
+                        <div class="whispers-radio-group">
+                            <label><input type="radio" name="whispers-twitter-auto" value="every"> Every message</label>
+                            <label><input type="radio" name="whispers-twitter-auto" value="button" checked> Button only</label>
+                            <label class="whispers-radio-with-input"><input type="radio" name="whispers-twitter-auto" value="custom"> Custom: <input type="number" id="whispers-twitter-interval" min="1" max="100" value="5" class="whispers-inline-number"> msgs</label>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- ═══ Tab: Prompts ═══ -->
+                <div class="whispers-tab-content" id="whispers-tab-prompts" style="display:none;">
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-layer-group"></i> Prompt Presets</div>
+                        <div class="whispers-model-row">
+                            <select id="whispers-prompt-preset"></select>
+                            <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-new-prompt-preset" title="Save current templates as a new preset">
+                                <i class="fa-solid fa-plus"></i>
+                            </button>
+                            <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-delete-prompt-preset" title="Delete preset">
+                                <i class="fa-solid fa-trash"></i>
+                            </button>
+                            <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-import-prompts" title="Import preset (JSON)">
+                                <i class="fa-solid fa-file-import"></i>
+                            </button>
+                            <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-export-prompts" title="Export preset (JSON)">
+                                <i class="fa-solid fa-file-export"></i>
+                            </button>
+                        </div>
+                        <input type="file" accept=".json,application/json" class="whispers-hidden-input" id="whispers-prompt-import-file">
+                        <div class="whispers-field-group" id="whispers-prompt-preset-name-row" style="display:none;">
+                            <label><i class="fa-solid fa-signature"></i> Preset Name</label>
+                            <input type="text" id="whispers-prompt-preset-name" placeholder="My prompts">
+                        </div>
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-scroll"></i> Templates</div>
+                        <div class="whispers-model-row">
+                            <select id="whispers-prompt-key"></select>
+                            <button class="menu_button whispers-btn-small whispers-btn-icon" id="whispers-btn-reset-prompt" title="Reset this template to default">
+                                <i class="fa-solid fa-rotate-left"></i>
+                            </button>
+                        </div>
+                        <textarea id="whispers-prompt-editor" class="whispers-prompt-editor" rows="10"></textarea>
+                        <div id="whispers-prompt-vars"></div>
+                        <div class="whispers-field-group">
+                            <label><i class="fa-solid fa-eye"></i> Preview <span id="whispers-prompt-preview-tokens" style="font-size:0.75em;opacity:0.5;"></span></label>
+                            <pre id="whispers-prompt-preview" class="whispers-prompt-preview"></pre>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- ═══ Tab: Social / Chirp ═══ -->
+                <div class="whispers-tab-content" id="whispers-tab-social" style="display:none;">
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-user-circle"></i> Your Chirp Profile</div>
+                        <div class="chirp-user-profile-row">
+                            <div class="chirp-settings-av" id="chirp-st-av" title="Click to upload avatar" style="cursor:pointer;">
+                                <i class="fa-solid fa-user"></i>
+                            </div>
+                            <div style="flex:1;display:flex;flex-direction:column;gap:5px;">
+                                <input type="text" id="chirp-st-name" placeholder="Display Name" style="padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-size:0.87em;width:100%;box-sizing:border-box;">
+                                <input type="text" id="chirp-st-handle" placeholder="handle (no @)" style="padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-size:0.87em;width:100%;box-sizing:border-box;">
+                                <textarea id="chirp-st-bio" placeholder="Bio" rows="2" style="padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-size:0.87em;width:100%;box-sizing:border-box;resize:vertical;font-family:inherit;"></textarea>
+                            </div>
+                        </div>
+                        <input type="file" accept="image/*" id="chirp-st-av-file" style="display:none;">
+                    </div>
+                    <div class="whispers-divider"></div>
+                    <div class="whispers-subsection">
+                        <div class="whispers-subsection-header"><i class="fa-solid fa-feather-pointed"></i> Feed Settings</div>
+                        <div class="whispers-field-group">
+                            <label>Posts per batch</label>
+                            <input type="number" id="chirp-st-count" min="1" max="20" value="4" style="width:70px;padding:5px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);">
+                        </div>
+                        <div class="whispers-row">
+                            <button class="menu_button whispers-btn-small" id="chirp-st-edit-prompts" title="Feed, DM and reply prompts live in the Prompts tab"><i class="fa-solid fa-scroll"></i> Edit Prompts</button>
+                        </div>
+                    </div>
+                </div>
+
+            </div>
+        </div>
+    </div>`;
+}
+
+function buildChatOverlayHtml() {
+    return `
+    <div class="whispers-overlay" id="whispers-overlay">
+        <div class="whispers-chat-window">
+            <div class="whispers-chat-header">
+                <div class="whispers-chat-header-avatar-placeholder" id="whispers-chat-avatar" title="Switch assistant">
+                    <i class="fa-solid fa-ghost"></i>
+                </div>
+                <div class="whispers-chat-header-info" id="whispers-chat-header-info" title="Switch assistant">
+                    <div class="whispers-chat-header-name" id="whispers-chat-name">Whispers</div>
+                    <div class="whispers-chat-header-status" id="whispers-chat-status">Online</div>
+                </div>
+                <button class="whispers-chat-log" id="whispers-chat-log" title="Generation log">
+                    <i class="fa-solid fa-scroll"></i>
+                </button>
+                <button class="whispers-chat-threads" id="whispers-chat-threads" title="Threads">
+                    <i class="fa-solid fa-layer-group"></i>
+                </button>
+                <button class="whispers-chat-notebook" id="whispers-chat-notebook" title="Notebook">
+                    <i class="fa-solid fa-book"></i>
+                </button>
+                <button class="whispers-chat-memory" id="whispers-chat-memory" title="Memory">
+                    <i class="fa-solid fa-brain"></i>
+                </button>
+                <button class="whispers-chat-queue" id="whispers-chat-queue" title="Pending generations">
+                    <i class="fa-solid fa-list-check"></i>
+                    <span class="whispers-queue-badge" id="whispers-queue-badge" style="display:none;"></span>
+                </button>
+                <button class="whispers-chat-clear" id="whispers-chat-clear" title="Clear this thread">
+                    <i class="fa-solid fa-broom"></i>
+                </button>
+                <button class="whispers-chat-close" id="whispers-chat-close" title="Close">
+                    <i class="fa-solid fa-xmark"></i>
+                </button>
+            </div>
+
+            <div class="whispers-queue-panel" id="whispers-queue-panel" style="display:none;"></div>
+            <div class="whispers-queue-panel whispers-thread-panel" id="whispers-thread-panel" style="display:none;"></div>
+            <div class="whispers-queue-panel whispers-picker-panel" id="whispers-assistant-picker" style="display:none;"></div>
+
+            <!-- Mode tabs (visible when both chat + twitter are active) -->
+            <div class="whispers-overlay-tabs" id="whispers-overlay-tabs" style="display:none;">
+                <button class="whispers-overlay-tab active" data-panel="chat"><i class="fa-solid fa-comments"></i> Chat</button>
+                <button class="whispers-overlay-tab" data-panel="twitter"><span class="deerly-tab-icon"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" fill="currentColor" width="16" height="16" style="display:inline-block;vertical-align:middle;"><path d="M50,62 C44,62 38,58 36,52 C34,46 36,40 40,38 C38,34 32,28 28,20 C30,20 34,22 36,26 C36,22 34,16 32,10 C36,12 40,18 40,24 C42,20 44,14 46,10 C46,18 44,26 46,30 C47,28 48,24 50,22 C52,24 53,28 54,30 C56,26 54,18 54,10 C56,14 58,20 60,24 C60,18 64,12 68,10 C66,16 64,22 64,26 C66,22 70,20 72,20 C68,28 62,34 60,38 C64,40 66,46 64,52 C62,58 56,62 50,62 Z M50,64 C46,64 43,66 42,70 L42,88 C42,90 44,92 46,92 L48,92 L48,80 L52,80 L52,92 L54,92 C56,92 58,90 58,88 L58,70 C57,66 54,64 50,64 Z"/></svg></span> Deerly</button>
+            </div>
+
+            <!-- Chat panel -->
+            <div class="whispers-panel" id="whispers-panel-chat">
+                <div class="whispers-messages" id="whispers-messages">
+                    <div class="whispers-empty-state" id="whispers-empty-state">
+                        <i class="fa-solid fa-ghost"></i>
+                        <span>Start a conversation with your assistant</span>
+                    </div>
+                </div>
+                <div class="whispers-reference" id="whispers-reference" style="display:none;"></div>
+                <div class="whispers-mention-list" id="whispers-mention-list" style="display:none;"></div>
+                <div class="whispers-input-bar">
+                    <textarea class="whispers-input-field" id="whispers-input" placeholder="Type a message... (@Name asks another assistant)" rows="1"></textarea>
+                    <button class="whispers-send-btn" id="whispers-send" title="Send">
+                        <i class="fa-solid fa-paper-plane"></i>
+                    </button>
+                </div>
+            </div>
+
+            <!-- Twitter / Chirp Social panel - full sub-app -->
+            <div class="whispers-panel" id="whispers-panel-twitter" style="display:none;">
+                <div class="chirp-sub-panel active" id="chirp-sp-home">
+                    <div class="chirp-compose-bar">
+                        <div class="chirp-compose-av" id="chirp-compose-av-el" style="cursor:pointer;"><i class="fa-solid fa-user"></i></div>
+                        <div class="chirp-compose-right">
+                            <textarea class="chirp-compose-input" id="chirp-compose-input" placeholder="What's happening?" rows="1" maxlength="280"></textarea>
+                            <div class="chirp-compose-footer">
+                                <span class="chirp-char-count" id="chirp-char-count">280</span>
+                                <button class="chirp-post-btn" id="chirp-post-btn" disabled>Post</button>
                             </div>
                         </div>
                     </div>
-                    <div class="whispers-field-group">
-                        <label><i class="fa-solid fa-list-ol"></i> Message Limit (context)</label>
-                        <input type="number" id="whispers-msg-limit" min="1" max="100" value="20">
+                    <div class="chirp-feed-toolbar">
+                        <span class="chirp-feed-label"><span class="deerly-fox-logo"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 157" fill="currentColor" width="20" height="13"><path d="M253.823,41.499l-0.325,0.734c-2.41,5.503-8.319,9.204-14.332,9.204h-16.73v3.936c0,19.682-8.442,43.562-31.479,50.726l-3.909,41.513c2.862,1.12,4.892,3.898,4.892,7.156h-11.96l-4.781-51.275l-39-6.766c-10.755,13.121-27.175,23.474-44.585,26.549l-3.695,24.37c2.811,1.144,4.795,3.899,4.795,7.121H80.756l0.001-44.671c10.414-6.433,18.847-17.179,20.897-29.737c0,0-43.871,42.034-56.708,49.933c-5.012,3.084-10.609,4.676-16.121,4.676c-6.622,0-13.123-2.296-18.348-7.06c-9.654-8.802-11.272-23.402-3.78-34.105l0.722-1.035c5.007,5.223,11.765,7.918,18.623,7.918c4.441,0,8.925-1.131,13.003-3.438c12.878-7.285,33.765-21.585,41.987-26.531c5.561-3.345,13.409-6.095,19.728-7.581c15.761-3.706,67.877-8.57,67.877-8.57l53.797-52.336v16.513c0.079,0.006,0.411,0.059,1.616,0.298c4.89,0.973,9.251,3.723,12.227,7.723l5.686,7.642l10.742,4.341C253.79,39.186,254.295,40.431,253.823,41.499z M151.684,105.406l-13.191-2.288c-4.227,4.708-9.067,8.946-14.301,12.598l13.93,39.052h11.96c0-4.146-3.284-7.517-7.392-7.673l-5.613-27.44C142.607,115.672,147.418,110.796,151.684,105.406z M215.871,147.169l-6.906-44.331c-3.616,3.299-8.228,6.044-12.473,7.63l13.996,44.3h11.96C222.447,150.9,219.589,147.709,215.871,147.169z"/></svg></span></span>
+                        <button class="chirp-gen-btn" id="chirp-gen-btn"><i class="fa-solid fa-wand-magic-sparkles"></i> Generate</button>
+                    </div>
+                    <div class="chirp-feed-scroll" id="chirp-feed-scroll">
+                        <div class="chirp-empty-state" id="chirp-feed-empty"><i class="fa-solid fa-feather-pointed"></i><div class="chirp-empty-title">Nothing here yet</div><div class="chirp-empty-sub">Hit Generate or write a post!</div></div>
                     </div>
                 </div>
-
-                <!-- ═══ Tab: Settings ═══ -->
-                <div class="whispers-tab-content" id="whispers-tab-settings" style="display:none;">
-                    <div class="whispers-field-group">
-                        <label><i class="fa-solid fa-palette"></i> Chat Theme</label>
-                        <div class="whispers-theme-cards">
-                            <label class="whispers-theme-card" data-theme-value="light">
-                                <input type="radio" name="whispers-overlay-theme" value="light">
-                                <div class="whispers-theme-preview whispers-theme-preview-light">
-                                    <div class="wtp-header"></div>
-                                    <div class="wtp-body">
-                                        <div class="wtp-bubble wtp-bubble-left"></div>
-                                        <div class="wtp-bubble wtp-bubble-right"></div>
-                                        <div class="wtp-bubble wtp-bubble-left wtp-short"></div>
-                                    </div>
-                                    <div class="wtp-footer"></div>
-                                </div>
-                                <span class="whispers-theme-label">Light</span>
-                            </label>
-                            <label class="whispers-theme-card" data-theme-value="dark">
-                                <input type="radio" name="whispers-overlay-theme" value="dark">
-                                <div class="whispers-theme-preview whispers-theme-preview-dark">
-                                    <div class="wtp-header"></div>
-                                    <div class="wtp-body">
-                                        <div class="wtp-bubble wtp-bubble-left"></div>
-                                        <div class="wtp-bubble wtp-bubble-right"></div>
-                                        <div class="wtp-bubble wtp-bubble-left wtp-short"></div>
-                                    </div>
-                                    <div class="wtp-footer"></div>
-                                </div>
-                                <span class="whispers-theme-label">Dark</span>
-                            </label>
-                            <label class="whispers-theme-card" data-theme-value="custom">
-                                <input type="radio" name="whispers-overlay-theme" value="custom" checked>
-                                <div class="whispers-theme-preview whispers-theme-preview-custom">
-                                    <div class="wtp-header"></div>
-                                    <div class="wtp-body">
-                                        <div class="wtp-bubble wtp-bubble-left"></div>
-                                        <div class="wtp-bubble wtp-bubble-right"></div>
-                                        <div class="wtp-bubble wtp-bubble-left wtp-short"></div>
-                                    </div>
-                                    <div class="wtp-footer"></div>
-                                </div>
-                                <span class="whispers-theme-label">Auto</span>
-                            </label>
-                        </div>
+                <div class="chirp-sub-panel" id="chirp-sp-notifs">
+                    <div class="chirp-divider-label">Notifications</div>
+                    <div class="chirp-feed-scroll" id="chirp-notifs-scroll">
+                        <div class="chirp-empty-state"><i class="fa-regular fa-bell"></i><div class="chirp-empty-title">All caught up!</div></div>
                     </div>
-                    <div class="whispers-divider"></div>
-                    <div class="whispers-field-group">
-                        <label><i class="fa-solid fa-toggle-on"></i> Active Modes</label>
-                        <div class="whispers-mode-toggles">
-                            <label class="whispers-toggle-row"><span><i class="fa-solid fa-comments"></i> Chat Assistant</span><input type="checkbox" id="whispers-mode-chat" checked></label>
-                            <label class="whispers-toggle-row"><span><i class="fa-brands fa-twitter"></i> Twitter Feed</span><input type="checkbox" id="whispers-mode-twitter"></label>
+                </div>
+                <div class="chirp-sub-panel" id="chirp-sp-dms">
+                    <div class="chirp-dm-layout">
+                        <div class="chirp-dm-sidebar">
+                            <div class="chirp-dm-sidebar-hdr">Messages</div>
+                            <div class="chirp-dm-list" id="chirp-dm-list-el"></div>
                         </div>
-                    </div>
-                    <div class="whispers-divider"></div>
-                    <div class="whispers-field-group" id="whispers-chat-auto-section">
-                        <label><i class="fa-solid fa-robot"></i> Chat Automation</label>
-                        <div class="whispers-radio-group">
-                            <label><input type="radio" name="whispers-chat-auto" value="every"> Every message</label>
-                            <label><input type="radio" name="whispers-chat-auto" value="button" checked> Button only</label>
-                            <label class="whispers-radio-with-input"><input type="radio" name="whispers-chat-auto" value="custom"> Custom: <input type="number" id="whispers-chat-interval" min="1" max="100" value="3" class="whispers-inline-number"> msgs</label>
+                        <div class="chirp-dm-chat" id="chirp-dm-chat-area">
+                            <div class="chirp-empty-state" style="padding:20px;"><i class="fa-regular fa-comment-dots" style="font-size:1.8em;opacity:0.3;"></i><div style="font-weight:700;">Select a conversation</div></div>
                         </div>
                     </div>
-                    <div class="whispers-field-group" id="whispers-chat-proactive-section">
-                        <label><i class="fa-solid fa-comment-dots"></i> Assistant Initiates</label>
-                        <div class="whispers-radio-group">
-                            <label><input type="radio" name="whispers-chat-proactive" value="none" checked> Disabled</label>
-                            <label><input type="radio" name="whispers-chat-proactive" value="comment"> Comment on situation</label>
-                            <label><input type="radio" name="whispers-chat-proactive" value="advice"> Give advice</label>
-                            <label><input type="radio" name="whispers-chat-proactive" value="checkin"> Check in</label>
-                        </div>
+                </div>
+                <div class="chirp-sub-panel" id="chirp-sp-profile">
+                    <div class="chirp-profile-scroll" id="chirp-profile-content"></div>
+                </div>
+                <div id="chirp-modal-layer" style="display:none;position:absolute;inset:0;z-index:50;flex-direction:column;background:var(--SmartThemeChatTintColor,var(--SmartThemeBlurTintColor));">
+                    <div class="chirp-modal-topbar">
+                        <button class="chirp-modal-back" id="chirp-modal-back"><i class="fa-solid fa-arrow-left"></i></button>
+                        <span class="chirp-modal-title" id="chirp-modal-title">Profile</span>
                     </div>
-                    <div class="whispers-divider"></div>
-                    <div class="whispers-field-group" id="whispers-twitter-auto-section">
-                        <label><i class="fa-brands fa-twitter"></i> Twitter Automation</label>
-                        <div class="whispers-radio-group">
-                            <label><input type="radio" name="whispers-twitter-auto" value="every"> Every message</label>
-                            <label><input type="radio" name="whispers-twitter-auto" value="button" checked> Button only</label>
-                            <label class="whispers-radio-with-input"><input type="radio" name="whispers-twitter-auto" value="custom"> Custom: <input type="number" id="whispers-twitter-interval" min="1" max="100" value="5" class="whispers-inline-number"> msgs</label>
-                        </div>
+                    <div class="chirp-modal-scroll" id="chirp-modal-scroll"></div>
+                </div>
+                <!-- Bookmarks sub-panel -->
+                <div class="chirp-sub-panel" id="chirp-sp-bookmarks">
+                    <div class="chirp-divider-label">Bookmarks</div>
+                    <div class="chirp-feed-scroll" id="chirp-bm-scroll">
+                        <div class="chirp-empty-state"><i class="fa-regular fa-bookmark"></i><div class="chirp-empty-title">No bookmarks yet</div></div>
                     </div>
                 </div>
+                <nav class="chirp-bottom-nav">
+                    <button class="chirp-nav-btn active" data-sp="home"><div class="chirp-nav-badge" data-sp="home"></div><i class="fa-solid fa-house"></i><span>Home</span></button>
+                    <button class="chirp-nav-btn" data-sp="notifs"><div class="chirp-nav-badge" data-sp="notifs"></div><i class="fa-regular fa-bell"></i><span>Notifs</span></button>
+                    <button class="chirp-nav-btn" data-sp="dms"><div class="chirp-nav-badge" data-sp="dms"></div><i class="fa-regular fa-envelope"></i><span>DMs</span></button>
+                    <button class="chirp-nav-btn" data-sp="bookmarks"><div class="chirp-nav-badge" data-sp="bookmarks"></div><i class="fa-regular fa-bookmark"></i><span>Saved</span></button>
+                    <button class="chirp-nav-btn" data-sp="profile"><div class="chirp-nav-badge" data-sp="profile"></div><i class="fa-regular fa-user"></i><span>Profile</span></button>
+                </nav>
+            </div>
+        </div>
+    </div>`
+}
+
+function buildChatBarButton() {
+    return `<div id="whispers-chat-btn" title="Open Whispers" class="interactable">
+        <i class="fa-solid fa-ghost"></i>
+        <div class="whispers-notif-dot" id="whispers-notif-dot"></div>
+    </div>`;
+}
+
+// ── NPC Helpers ─────────────────────────────────────────────────
+
+function getActiveNpcs() {
+    const s = getSettings();
+    const charName = getCurrentCharName();
+    const meta = getChatMeta();
+    return (s.npcAssistants || []).filter(npc => {
+        if (npc.binding === 'global') return true;
+        if (npc.binding === 'character' && npc.bindingTarget === charName) return true;
+        if (npc.binding === 'chat' && meta && meta.whispers_npc_ids && meta.whispers_npc_ids.includes(npc.id)) return true;
+        return false;
+    });
+}
+
+function getTwitterPosts() {
+    const meta = getChatMeta();
+    return meta ? (meta.whispers_twitter_posts || []) : [];
+}
+
+function setTwitterPosts(posts) {
+    const meta = getChatMeta();
+    if (!meta) return;
+    meta.whispers_twitter_posts = posts;
+    saveChatMeta();
+}
+
+function getMsgCounter() {
+    const meta = getChatMeta();
+    return meta ? (meta.whispers_msg_counter || 0) : 0;
+}
+
+function incrementMsgCounter() {
+    const meta = getChatMeta();
+    if (!meta) return 0;
+    meta.whispers_msg_counter = (meta.whispers_msg_counter || 0) + 1;
+    saveChatMeta();
+    return meta.whispers_msg_counter;
+}
+
+// ── NPC Render List ─────────────────────────────────────────────
+
+function renderNpcList() {
+    const settings = getSettings();
+    const list = document.getElementById('whispers-npc-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    const npcFolders = settings.npcFolders || [];
+    const npcAssistants = settings.npcAssistants || [];
+
+    // Render folders
+    for (const folder of npcFolders) {
+        const folderNpcs = npcAssistants.filter(n => n.folderId === folder.id);
+        const folderEl = document.createElement('div');
+        folderEl.className = 'whispers-folder';
+        folderEl.dataset.id = folder.id;
+        folderEl.style.setProperty('--folder-color', folder.color || '#888');
+
+        const _folderOn = folder.enabled !== false;
+        if (!_folderOn) folderEl.classList.add('disabled');
+        folderEl.innerHTML = `
+            <div class="whispers-folder-header">
+                <span class="whispers-folder-icon" style="color:${folder.color || 'inherit'}">
+                    <i class="fa-solid ${folder.icon || 'fa-folder'}"></i>
+                </span>
+                <span class="whispers-folder-name">${escapeHtml(folder.name || 'Folder')}</span>
+                <span class="whispers-folder-count">${folderNpcs.length}</span>
+                <span class="whispers-folder-actions">
+                    <button class="toggle-folder-en" title="${_folderOn ? 'Выключить' : 'Включить'} папку"><i class="fa-solid ${_folderOn ? 'fa-toggle-on' : 'fa-toggle-off'}" style="color:${_folderOn ? '#00ba7c' : 'inherit'}"></i></button>
+                    <button class="edit-folder-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
+                    <button class="export-folder-btn" title="Export"><i class="fa-solid fa-file-export"></i></button>
+                    <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
+                </span>
+                <i class="fa-solid fa-chevron-right whispers-folder-chevron"></i>
+            </div>
+            <div class="whispers-folder-children"></div>
+        `;
+
+        const header = folderEl.querySelector('.whispers-folder-header');
+        header.addEventListener('click', (e) => {
+            if (e.target.closest('.whispers-folder-actions')) return;
+            folderEl.classList.toggle('open');
+        });
+
+        folderEl.querySelector('.toggle-folder-en').addEventListener('click', (e) => {
+            e.stopPropagation();
+            folder.enabled = (folder.enabled === false) ? true : false;
+            saveSettings();
+            renderNpcList();
+        });
+        folderEl.querySelector('.edit-folder-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showNpcFolderEditPopup(folder);
+        });
 
-                <!-- ═══ Tab: Social / Chirp ═══ -->
-                <div class="whispers-tab-content" id="whispers-tab-social" style="display:none;">
-                    <div class="whispers-subsection">
-                        <div class="whispers-subsection-header"><i class="fa-solid fa-user-circle"></i> Your Chirp Profile</div>
-                        <div class="chirp-user-profile-row">
-                            <div class="chirp-settings-av" id="chirp-st-av" title="Click to upload avatar" style="cursor:pointer;">
-                                <i class="fa-solid fa-user"></i>
-                            </div>
-                            <div style="flex:1;display:flex;flex-direction:column;gap:5px;">
-                                <input type="text" id="chirp-st-name" placeholder="Display Name" style="padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-size:0.87em;width:100%;box-sizing:border-box;">
-                                <input type="text" id="chirp-st-handle" placeholder="handle (no @)" style="padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-size:0.87em;width:100%;box-sizing:border-box;">
-                                <textarea id="chirp-st-bio" placeholder="Bio" rows="2" style="padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-size:0.87em;width:100%;box-sizing:border-box;resize:vertical;font-family:inherit;"></textarea>
-                            </div>
-                        </div>
-                        <input type="file" accept="image/*" id="chirp-st-av-file" style="display:none;">
-                    </div>
-                    <div class="whispers-divider"></div>
-                    <div class="whispers-subsection">
-                        <div class="whispers-subsection-header"><i class="fa-solid fa-feather-pointed"></i> Feed Settings</div>
-                        <div class="whispers-field-group">
-                            <label>Posts per batch</label>
-                            <input type="number" id="chirp-st-count" min="1" max="20" value="4" style="width:70px;padding:5px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);">
-                        </div>
-                        <div class="whispers-field-group">
-                            <label>Feed Prompt</label>
-                            <textarea id="chirp-st-feed-prompt" rows="4" style="width:100%;box-sizing:border-box;padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-family:inherit;font-size:0.82em;resize:vertical;"></textarea>
-                        </div>
-                        <div class="whispers-field-group">
-                            <label>DM Prompt</label>
-                            <textarea id="chirp-st-dm-prompt" rows="3" style="width:100%;box-sizing:border-box;padding:6px 8px;border:1px solid var(--SmartThemeBorderColor);border-radius:8px;background:var(--SmartThemeBlurTintColor);color:var(--SmartThemeBodyColor);font-family:inherit;font-size:0.82em;resize:vertical;"></textarea>
-                        </div>
-                        <div class="whispers-row">
-                            <button class="menu_button whispers-btn-small" id="chirp-st-reset-prompts" title="Reset prompts to default"><i class="fa-solid fa-rotate-left"></i> Reset Prompts</button>
-                        </div>
-                    </div>
-                </div>
+        folderEl.querySelector('.export-folder-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            exportNpcFolderToPng(folder, folderNpcs);
+        });
+
+        folderEl.querySelector('.delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showConfirmationPopup(`Delete NPC folder "${folder.name}" and all NPCs inside?`, () => {
+                settings.npcFolders = settings.npcFolders.filter(f => f.id !== folder.id);
+                settings.npcAssistants = settings.npcAssistants.filter(n => n.folderId !== folder.id);
+                saveSettings();
+                renderNpcList();
+                toastr.success('NPC folder deleted');
+            });
+        });
+
+        const children = folderEl.querySelector('.whispers-folder-children');
+        for (const npc of folderNpcs) {
+            children.appendChild(buildNpcItem(npc));
+        }
+
+        list.appendChild(folderEl);
+    }
+
+    // Render unfoldered NPCs
+    const unfoldered = npcAssistants.filter(n => !n.folderId);
+    for (const npc of unfoldered) {
+        list.appendChild(buildNpcItem(npc));
+    }
+}
+
+function buildNpcItem(npc) {
+    const container = document.createElement('div');
+    const avatarHtml = npc.avatar
+        ? `<img src="${npc.avatar}" alt="" class="whispers-avatar-mini">`
+        : '<i class="fa-solid fa-user-ninja"></i>';
 
+    container.innerHTML = `
+        <div class="whispers-assistant-item" data-id="${npc.id}">
+            <div class="whispers-avatar-mini-wrap">${avatarHtml}</div>
+            <div class="whispers-assistant-info">
+                <span class="whispers-assistant-name">${escapeHtml(npc.name || 'NPC')}</span>
+                <span class="whispers-assistant-sub">@${escapeHtml(npc.username || 'unknown')}</span>
+            </div>
+            <div class="whispers-assistant-actions">
+                <button class="edit-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
+                <button class="export-btn" title="Export"><i class="fa-solid fa-file-export"></i></button>
+                <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
             </div>
         </div>
-    </div>`;
+    `;
+
+    const item = container.firstElementChild;
+
+    item.querySelector('.edit-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showNpcEditPopup(npc);
+    });
+
+    item.querySelector('.export-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportNpcToPng(npc);
+    });
+
+    item.querySelector('.delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showConfirmationPopup(`Delete NPC "${npc.name}"?`, () => {
+            const s = getSettings();
+            s.npcAssistants = s.npcAssistants.filter(n => n.id !== npc.id);
+            saveSettings();
+            renderNpcList();
+            toastr.success('NPC deleted');
+        });
+    });
+
+    container.appendChild(item);
+    return container;
 }
 
-function buildChatOverlayHtml() {
-    return `
-    <div class="whispers-overlay" id="whispers-overlay">
-        <div class="whispers-chat-window">
-            <div class="whispers-chat-header">
-                <div class="whispers-chat-header-avatar-placeholder" id="whispers-chat-avatar">
-                    <i class="fa-solid fa-ghost"></i>
-                </div>
-                <div class="whispers-chat-header-info">
-                    <div class="whispers-chat-header-name" id="whispers-chat-name">Whispers</div>
-                    <div class="whispers-chat-header-status" id="whispers-chat-status">Online</div>
-                </div>
-                <button class="whispers-chat-clear" id="whispers-chat-clear" title="Clear history">
-                    <i class="fa-solid fa-broom"></i>
-                </button>
-                <button class="whispers-chat-close" id="whispers-chat-close" title="Close">
-                    <i class="fa-solid fa-xmark"></i>
-                </button>
-            </div>
+// ── NPC Edit Popup ──────────────────────────────────────────────
 
-            <!-- Mode tabs (visible when both chat + twitter are active) -->
-            <div class="whispers-overlay-tabs" id="whispers-overlay-tabs" style="display:none;">
-                <button class="whispers-overlay-tab active" data-panel="chat"><i class="fa-solid fa-comments"></i> Chat</button>
-                <button class="whispers-overlay-tab" data-panel="twitter"><span class="deerly-tab-icon"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 100 100" fill="currentColor" width="16" height="16" style="display:inline-block;vertical-align:middle;"><path d="M50,62 C44,62 38,58 36,52 C34,46 36,40 40,38 C38,34 32,28 28,20 C30,20 34,22 36,26 C36,22 34,16 32,10 C36,12 40,18 40,24 C42,20 44,14 46,10 C46,18 44,26 46,30 C47,28 48,24 50,22 C52,24 53,28 54,30 C56,26 54,18 54,10 C56,14 58,20 60,24 C60,18 64,12 68,10 C66,16 64,22 64,26 C66,22 70,20 72,20 C68,28 62,34 60,38 C64,40 66,46 64,52 C62,58 56,62 50,62 Z M50,64 C46,64 43,66 42,70 L42,88 C42,90 44,92 46,92 L48,92 L48,80 L52,80 L52,92 L54,92 C56,92 58,90 58,88 L58,70 C57,66 54,64 50,64 Z"/></svg></span> Deerly</button>
-            </div>
+function showNpcEditPopup(npc) {
+    closeAllPopups();
+    const charName = getCurrentCharName();
 
-            <!-- Chat panel -->
-            <div class="whispers-panel" id="whispers-panel-chat">
-                <div class="whispers-messages" id="whispers-messages">
-                    <div class="whispers-empty-state" id="whispers-empty-state">
-                        <i class="fa-solid fa-ghost"></i>
-                        <span>Start a conversation with your assistant</span>
+    const overlay = document.createElement('div');
+    overlay.className = 'whispers-edit-popup-overlay';
+    overlay.innerHTML = `
+        <div class="whispers-edit-popup">
+            <div class="whispers-edit-popup-header">
+                <i class="fa-solid fa-user-ninja"></i>
+                <strong>Edit NPC</strong>
+                <span style="flex:1"></span>
+                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="whispers-edit-popup-body">
+                <div class="whispers-avatar-upload">
+                    <div class="whispers-avatar-preview-placeholder" id="whispers-npc-popup-avatar" title="Click to set avatar" style="cursor:pointer;">
+                        ${npc.avatar ? `<img class="whispers-avatar-preview" src="${npc.avatar}" alt="">` : '<i class="fa-solid fa-user-ninja"></i>'}
                     </div>
+                    <span style="font-size:0.8em;opacity:0.6;">Click to set avatar</span>
                 </div>
-                <div class="whispers-input-bar">
-                    <textarea class="whispers-input-field" id="whispers-input" placeholder="Type a message..." rows="1"></textarea>
-                    <button class="whispers-send-btn" id="whispers-send" title="Send">
-                        <i class="fa-solid fa-paper-plane"></i>
-                    </button>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-signature"></i> Name</label>
+                    <input type="text" class="w-edit-name" value="${escapeHtml(npc.name || '')}" placeholder="Display Name">
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-at"></i> Username</label>
+                    <input type="text" class="w-edit-username" value="${escapeHtml(npc.username || '')}" placeholder="handle (without @)">
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-masks-theater"></i> Character</label>
+                    <textarea class="w-edit-character" rows="3" placeholder="Personality, tone, style...">${escapeHtml(npc.character || '')}</textarea>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-comment-dots"></i> Post Example</label>
+                    <textarea class="w-edit-example" rows="2" placeholder="Example tweet...">${escapeHtml(npc.postExample || '')}</textarea>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-ban"></i> Bans</label>
+                    <textarea class="w-edit-bans" rows="2" placeholder="Never mention...">${escapeHtml(npc.bans || '')}</textarea>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-folder"></i> Folder</label>
+                    <select class="w-edit-folder">
+                        <option value="">— No folder —</option>
+                        ${(getSettings().npcFolders||[]).map(f=>`<option value="${escapeHtml(f.id)}" ${npc.folderId===f.id?'selected':''}>${escapeHtml(f.name)}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-link"></i> Binding</label>
+                    <select class="w-edit-binding">
+                        <option value="none" ${npc.binding === 'none' || !npc.binding ? 'selected' : ''}>None</option>
+                        <option value="global" ${npc.binding === 'global' ? 'selected' : ''}>Global (all chats)</option>
+                        <option value="character" ${npc.binding === 'character' ? 'selected' : ''}>Character${charName ? ` (${charName})` : ''}</option>
+                        <option value="chat" ${npc.binding === 'chat' ? 'selected' : ''}>This Chat</option>
+                    </select>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-plug"></i> Connection</label>
+                    <select class="w-edit-profile">${buildProfileOptions(npc.apiProfileId || '', 'Use routing default')}</select>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-book-atlas"></i> World Info</label>
+                    <select class="w-edit-worldinfo">${buildWorldInfoOptions(npc.worldInfo || '')}</select>
+                </div>
+                ${buildCardFieldsHtml(npc.cardFields)}
+                ${buildSamplingFieldsHtml(npc.sampling)}
+                <div class="whispers-row">
+                    <button class="menu_button w-save-btn"><i class="fa-solid fa-floppy-disk"></i> Save</button>
                 </div>
             </div>
+        </div>
+    `;
+
+    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
+    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+
+    const body = overlay.querySelector('.whispers-edit-popup-body');
+
+    // Avatar click
+    body.querySelector('#whispers-npc-popup-avatar').addEventListener('click', () => {
+        const fileInput = document.getElementById('whispers-npc-avatar-file');
+        fileInput.dataset.targetNpc = npc.id;
+        fileInput.click();
+    });
+
+    // Save
+    body.querySelector('.w-save-btn').addEventListener('click', () => {
+        const sampling = readSamplingFields(body);
+        if (!sampling) return;
+
+        npc.name = body.querySelector('.w-edit-name').value || 'NPC';
+        npc.username = body.querySelector('.w-edit-username').value.replace(/^@/, '') || 'npc';
+        npc.character = body.querySelector('.w-edit-character').value || '';
+        npc.postExample = body.querySelector('.w-edit-example').value || '';
+        npc.bans = body.querySelector('.w-edit-bans').value || '';
+
+        npc.apiProfileId = body.querySelector('.w-edit-profile').value || '';
+        npc.worldInfo = body.querySelector('.w-edit-worldinfo').value || '';
+        npc.cardFields = readCardFields(body);
+        npc.sampling = sampling;
+
+        const _folderVal = body.querySelector('.w-edit-folder')?.value || '';
+        npc.folderId = _folderVal || null;
+
+        const newBinding = body.querySelector('.w-edit-binding').value;
+        npc.binding = newBinding;
+        if (newBinding === 'character') {
+            npc.bindingTarget = getCurrentCharName();
+        } else if (newBinding === 'chat') {
+            const meta = getChatMeta();
+            if (meta) {
+                if (!meta.whispers_npc_ids) meta.whispers_npc_ids = [];
+                if (!meta.whispers_npc_ids.includes(npc.id)) meta.whispers_npc_ids.push(npc.id);
+                saveChatMeta();
+            }
+        } else {
+            npc.bindingTarget = null;
+        }
+
+        saveSettings();
+        renderNpcList();
+        overlay.remove();
+        toastr.success('NPC saved');
+    });
+
+    document.body.appendChild(overlay);
+}
 
-            <!-- Twitter / Chirp Social panel - full sub-app -->
-            <div class="whispers-panel" id="whispers-panel-twitter" style="display:none;">
-                <div class="chirp-sub-panel active" id="chirp-sp-home">
-                    <div class="chirp-compose-bar">
-                        <div class="chirp-compose-av" id="chirp-compose-av-el" style="cursor:pointer;"><i class="fa-solid fa-user"></i></div>
-                        <div class="chirp-compose-right">
-                            <textarea class="chirp-compose-input" id="chirp-compose-input" placeholder="What's happening?" rows="1" maxlength="280"></textarea>
-                            <div class="chirp-compose-footer">
-                                <span class="chirp-char-count" id="chirp-char-count">280</span>
-                                <button class="chirp-post-btn" id="chirp-post-btn" disabled>Post</button>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="chirp-feed-toolbar">
-                        <span class="chirp-feed-label"><span class="deerly-fox-logo"><svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 157" fill="currentColor" width="20" height="13"><path d="M253.823,41.499l-0.325,0.734c-2.41,5.503-8.319,9.204-14.332,9.204h-16.73v3.936c0,19.682-8.442,43.562-31.479,50.726l-3.909,41.513c2.862,1.12,4.892,3.898,4.892,7.156h-11.96l-4.781-51.275l-39-6.766c-10.755,13.121-27.175,23.474-44.585,26.549l-3.695,24.37c2.811,1.144,4.795,3.899,4.795,7.121H80.756l0.001-44.671c10.414-6.433,18.847-17.179,20.897-29.737c0,0-43.871,42.034-56.708,49.933c-5.012,3.084-10.609,4.676-16.121,4.676c-6.622,0-13.123-2.296-18.348-7.06c-9.654-8.802-11.272-23.402-3.78-34.105l0.722-1.035c5.007,5.223,11.765,7.918,18.623,7.918c4.441,0,8.925-1.131,13.003-3.438c12.878-7.285,33.765-21.585,41.987-26.531c5.561-3.345,13.409-6.095,19.728-7.581c15.761-3.706,67.877-8.57,67.877-8.57l53.797-52.336v16.513c0.079,0.006,0.411,0.059,1.616,0.298c4.89,0.973,9.251,3.723,12.227,7.723l5.686,7.642l10.742,4.341C253.79,39.186,254.295,40.431,253.823,41.499z M151.684,105.406l-13.191-2.288c-4.227,4.708-9.067,8.946-14.301,12.598l13.93,39.052h11.96c0-4.146-3.284-7.517-7.392-7.673l-5.613-27.44C142.607,115.672,147.418,110.796,151.684,105.406z M215.871,147.169l-6.906-44.331c-3.616,3.299-8.228,6.044-12.473,7.63l13.996,44.3h11.96C222.447,150.9,219.589,147.709,215.871,147.169z"/></svg></span></span>
-                        <button class="chirp-gen-btn" id="chirp-gen-btn"><i class="fa-solid fa-wand-magic-sparkles"></i> Generate</button>
-                    </div>
-                    <div class="chirp-feed-scroll" id="chirp-feed-scroll">
-                        <div class="chirp-empty-state" id="chirp-feed-empty"><i class="fa-solid fa-feather-pointed"></i><div class="chirp-empty-title">Nothing here yet</div><div class="chirp-empty-sub">Hit Generate or write a post!</div></div>
-                    </div>
-                </div>
-                <div class="chirp-sub-panel" id="chirp-sp-notifs">
-                    <div class="chirp-divider-label">Notifications</div>
-                    <div class="chirp-feed-scroll" id="chirp-notifs-scroll">
-                        <div class="chirp-empty-state"><i class="fa-regular fa-bell"></i><div class="chirp-empty-title">All caught up!</div></div>
-                    </div>
-                </div>
-                <div class="chirp-sub-panel" id="chirp-sp-dms">
-                    <div class="chirp-dm-layout">
-                        <div class="chirp-dm-sidebar">
-                            <div class="chirp-dm-sidebar-hdr">Messages</div>
-                            <div class="chirp-dm-list" id="chirp-dm-list-el"></div>
-                        </div>
-                        <div class="chirp-dm-chat" id="chirp-dm-chat-area">
-                            <div class="chirp-empty-state" style="padding:20px;"><i class="fa-regular fa-comment-dots" style="font-size:1.8em;opacity:0.3;"></i><div style="font-weight:700;">Select a conversation</div></div>
-                        </div>
-                    </div>
+function showNpcFolderEditPopup(folder) {
+    closeAllPopups();
+    const overlay = document.createElement('div');
+    overlay.className = 'whispers-edit-popup-overlay';
+    overlay.innerHTML = `
+        <div class="whispers-edit-popup">
+            <div class="whispers-edit-popup-header">
+                <span style="color:${folder.color || 'inherit'}"><i class="fa-solid ${folder.icon || 'fa-folder'}"></i></span>
+                <strong>Edit NPC Folder</strong>
+                <span style="flex:1"></span>
+                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="whispers-edit-popup-body">
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-pen"></i> Name</label>
+                    <input type="text" class="wf-name" value="${escapeHtml(folder.name || '')}">
                 </div>
-                <div class="chirp-sub-panel" id="chirp-sp-profile">
-                    <div class="chirp-profile-scroll" id="chirp-profile-content"></div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-icons"></i> Icon</label>
+                    <div class="whispers-icon-picker" id="wf-npc-icon-picker"></div>
                 </div>
-                <div id="chirp-modal-layer" style="display:none;position:absolute;inset:0;z-index:50;flex-direction:column;background:var(--SmartThemeChatTintColor,var(--SmartThemeBlurTintColor));">
-                    <div class="chirp-modal-topbar">
-                        <button class="chirp-modal-back" id="chirp-modal-back"><i class="fa-solid fa-arrow-left"></i></button>
-                        <span class="chirp-modal-title" id="chirp-modal-title">Profile</span>
-                    </div>
-                    <div class="chirp-modal-scroll" id="chirp-modal-scroll"></div>
+                <div class="whispers-color-row">
+                    <label><i class="fa-solid fa-palette"></i> Color</label>
+                    <input type="color" class="wf-color" value="${folder.color || '#667eea'}">
                 </div>
-                <!-- Bookmarks sub-panel -->
-                <div class="chirp-sub-panel" id="chirp-sp-bookmarks">
-                    <div class="chirp-divider-label">Bookmarks</div>
-                    <div class="chirp-feed-scroll" id="chirp-bm-scroll">
-                        <div class="chirp-empty-state"><i class="fa-regular fa-bookmark"></i><div class="chirp-empty-title">No bookmarks yet</div></div>
-                    </div>
+                <div class="whispers-row">
+                    <button class="menu_button wf-save"><i class="fa-solid fa-floppy-disk"></i> Save</button>
                 </div>
-                <nav class="chirp-bottom-nav">
-                    <button class="chirp-nav-btn active" data-sp="home"><div class="chirp-nav-badge" data-sp="home"></div><i class="fa-solid fa-house"></i><span>Home</span></button>
-                    <button class="chirp-nav-btn" data-sp="notifs"><div class="chirp-nav-badge" data-sp="notifs"></div><i class="fa-regular fa-bell"></i><span>Notifs</span></button>
-                    <button class="chirp-nav-btn" data-sp="dms"><div class="chirp-nav-badge" data-sp="dms"></div><i class="fa-regular fa-envelope"></i><span>DMs</span></button>
-                    <button class="chirp-nav-btn" data-sp="bookmarks"><div class="chirp-nav-badge" data-sp="bookmarks"></div><i class="fa-regular fa-bookmark"></i><span>Saved</span></button>
-                    <button class="chirp-nav-btn" data-sp="profile"><div class="chirp-nav-badge" data-sp="profile"></div><i class="fa-regular fa-user"></i><span>Profile</span></button>
-                </nav>
             </div>
         </div>
-    </div>`
-}
+    `;
 
-function buildChatBarButton() {
-    return `<div id="whispers-chat-btn" title="Open Whispers" class="interactable">
-        <i class="fa-solid fa-ghost"></i>
-        <div class="whispers-notif-dot" id="whispers-notif-dot"></div>
-    </div>`;
-}
+    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
+    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
 
-// ── NPC Helpers ─────────────────────────────────────────────────
+    const pickerGrid = overlay.querySelector('#wf-npc-icon-picker');
+    let selectedIcon = folder.icon || 'fa-folder';
+    for (const iconName of FA_ICONS) {
+        const iconBtn = document.createElement('button');
+        iconBtn.type = 'button';
+        iconBtn.className = 'whispers-icon-btn' + (iconName === selectedIcon ? ' selected' : '');
+        iconBtn.title = iconName;
+        iconBtn.innerHTML = `<i class="fa-solid ${iconName}"></i>`;
+        iconBtn.addEventListener('click', () => {
+            pickerGrid.querySelectorAll('.whispers-icon-btn').forEach(b => b.classList.remove('selected'));
+            iconBtn.classList.add('selected');
+            selectedIcon = iconName;
+        });
+        pickerGrid.appendChild(iconBtn);
+    }
 
-function getActiveNpcs() {
-    const s = getSettings();
-    const charName = getCurrentCharName();
-    const meta = getChatMeta();
-    return (s.npcAssistants || []).filter(npc => {
-        if (npc.binding === 'global') return true;
-        if (npc.binding === 'character' && npc.bindingTarget === charName) return true;
-        if (npc.binding === 'chat' && meta && meta.whispers_npc_ids && meta.whispers_npc_ids.includes(npc.id)) return true;
-        return false;
+    const body = overlay.querySelector('.whispers-edit-popup-body');
+    body.querySelector('.wf-save').addEventListener('click', () => {
+        folder.name = body.querySelector('.wf-name').value || 'Folder';
+        folder.icon = selectedIcon;
+        folder.color = body.querySelector('.wf-color').value || '#667eea';
+        saveSettings();
+        renderNpcList();
+        overlay.remove();
+        toastr.success('NPC folder saved');
     });
-}
 
-function getTwitterPosts() {
-    const meta = getChatMeta();
-    return meta ? (meta.whispers_twitter_posts || []) : [];
+    document.body.appendChild(overlay);
 }
 
-function setTwitterPosts(posts) {
-    const meta = getChatMeta();
-    if (!meta) return;
-    meta.whispers_twitter_posts = posts;
-    saveChatMeta();
-}
+// ── Overlay Panel Switching ─────────────────────────────────────
 
-function getMsgCounter() {
-    const meta = getChatMeta();
-    return meta ? (meta.whispers_msg_counter || 0) : 0;
+function updateOverlayPanels() {
+    // Expand window when chirp feed is active
+    const overlay = document.getElementById('whispers-overlay');
+    const win = overlay?.querySelector('.whispers-chat-window');
+    if (win) {
+        const s = getSettings();
+        win.classList.toggle('chirp-expanded', s.twitterMode === true);
+    }
+    const s = getSettings();
+    const tabBar = document.getElementById('whispers-overlay-tabs');
+    const chatPanel = document.getElementById('whispers-panel-chat');
+    const twitterPanel = document.getElementById('whispers-panel-twitter');
+    if (!tabBar || !chatPanel || !twitterPanel) return;
+
+    const chatOn = s.chatMode !== false;
+    const twitterOn = s.twitterMode === true;
+
+    if (chatOn && twitterOn) {
+        tabBar.style.display = '';
+        // Show whichever tab is active
+        const activeTab = tabBar.querySelector('.whispers-overlay-tab.active');
+        const panel = activeTab?.dataset.panel || 'chat';
+        chatPanel.style.display = panel === 'chat' ? '' : 'none';
+        twitterPanel.style.display = panel === 'twitter' ? '' : 'none';
+    } else if (twitterOn) {
+        tabBar.style.display = 'none';
+        chatPanel.style.display = 'none';
+        twitterPanel.style.display = '';
+    } else {
+        tabBar.style.display = 'none';
+        chatPanel.style.display = '';
+        twitterPanel.style.display = 'none';
+    }
 }
 
-function incrementMsgCounter() {
-    const meta = getChatMeta();
-    if (!meta) return 0;
-    meta.whispers_msg_counter = (meta.whispers_msg_counter || 0) + 1;
-    saveChatMeta();
-    return meta.whispers_msg_counter;
+// ── Twitter Feed Rendering ──────────────────────────────────────
+
+function getUserName() {
+    const ctx = SillyTavern.getContext();
+    return ctx.name1 || 'User';
 }
 
-// ── NPC Render List ─────────────────────────────────────────────
+function renderTwitterFeed() {
+    const feed = document.getElementById('whispers-twitter-feed');
+    const empty = document.getElementById('whispers-twitter-empty');
+    if (!feed) return;
 
-function renderNpcList() {
-    const settings = getSettings();
-    const list = document.getElementById('whispers-npc-list');
-    if (!list) return;
-    list.innerHTML = '';
+    // Clear existing tweets
+    feed.querySelectorAll('.whispers-tweet-wrap').forEach(e => e.remove());
+    // Also clear old-style tweets (backward compat)
+    feed.querySelectorAll('.whispers-tweet').forEach(e => {
+        if (!e.closest('.whispers-tweet-wrap')) e.remove();
+    });
 
-    const npcFolders = settings.npcFolders || [];
-    const npcAssistants = settings.npcAssistants || [];
+    const posts = getTwitterPosts();
+    if (!posts || posts.length === 0) {
+        if (empty) empty.style.display = '';
+        return;
+    }
+    if (empty) empty.style.display = 'none';
 
-    // Render folders
-    for (const folder of npcFolders) {
-        const folderNpcs = npcAssistants.filter(n => n.folderId === folder.id);
-        const folderEl = document.createElement('div');
-        folderEl.className = 'whispers-folder';
-        folderEl.dataset.id = folder.id;
-        folderEl.style.setProperty('--folder-color', folder.color || '#888');
+    posts.forEach((post, index) => {
+        const wrap = document.createElement('div');
+        wrap.className = 'whispers-tweet-wrap';
+        wrap.dataset.index = index;
 
-        const _folderOn = folder.enabled !== false;
-        if (!_folderOn) folderEl.classList.add('disabled');
-        folderEl.innerHTML = `
-            <div class="whispers-folder-header">
-                <span class="whispers-folder-icon" style="color:${folder.color || 'inherit'}">
-                    <i class="fa-solid ${folder.icon || 'fa-folder'}"></i>
-                </span>
-                <span class="whispers-folder-name">${escapeHtml(folder.name || 'Folder')}</span>
-                <span class="whispers-folder-count">${folderNpcs.length}</span>
-                <span class="whispers-folder-actions">
-                    <button class="toggle-folder-en" title="${_folderOn ? 'Выключить' : 'Включить'} папку"><i class="fa-solid ${_folderOn ? 'fa-toggle-on' : 'fa-toggle-off'}" style="color:${_folderOn ? '#00ba7c' : 'inherit'}"></i></button>
-                    <button class="edit-folder-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
-                    <button class="export-folder-btn" title="Export"><i class="fa-solid fa-file-export"></i></button>
-                    <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
-                </span>
-                <i class="fa-solid fa-chevron-right whispers-folder-chevron"></i>
+        const tweet = document.createElement('div');
+        tweet.className = 'whispers-tweet';
+
+        const avatarHtml = post.avatar
+            ? `<img class="whispers-tweet-avatar" src="${post.avatar}" alt="">`
+            : `<div class="whispers-tweet-avatar whispers-tweet-avatar-placeholder"><i class="fa-solid fa-user"></i></div>`;
+
+        const timeAgo = post.timestamp ? getTimeAgo(post.timestamp) : 'now';
+
+        tweet.innerHTML = `
+            ${avatarHtml}
+            <div class="whispers-tweet-body">
+                <div class="whispers-tweet-header">
+                    <span class="whispers-tweet-name">${escapeHtml(post.name || 'Anon')}</span>
+                    <span class="whispers-tweet-username">@${escapeHtml(post.username || 'user')}</span>
+                    <span class="whispers-tweet-time">· ${timeAgo}</span>
+                </div>
+                <div class="whispers-tweet-text">${escapeHtml(post.content || '')}</div>
+                <div class="whispers-tweet-actions">
+                    <button class="whispers-tweet-reply-btn" title="Reply"><i class="fa-solid fa-reply"></i></button>
+                </div>
             </div>
-            <div class="whispers-folder-children"></div>
         `;
 
-        const header = folderEl.querySelector('.whispers-folder-header');
-        header.addEventListener('click', (e) => {
-            if (e.target.closest('.whispers-folder-actions')) return;
-            folderEl.classList.toggle('open');
-        });
-
-        folderEl.querySelector('.toggle-folder-en').addEventListener('click', (e) => {
-            e.stopPropagation();
-            folder.enabled = (folder.enabled === false) ? true : false;
-            saveSettings();
-            renderNpcList();
-        });
-        folderEl.querySelector('.edit-folder-btn').addEventListener('click', (e) => {
+        // Reply button handler
+        tweet.querySelector('.whispers-tweet-reply-btn').addEventListener('click', (e) => {
             e.stopPropagation();
-            showNpcFolderEditPopup(folder);
+            showReplyInput(wrap, post, index);
         });
 
-        folderEl.querySelector('.export-folder-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            exportNpcFolderToPng(folder, folderNpcs);
-        });
+        wrap.appendChild(tweet);
 
-        folderEl.querySelector('.delete-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            showConfirmationPopup(`Delete NPC folder "${folder.name}" and all NPCs inside?`, () => {
-                settings.npcFolders = settings.npcFolders.filter(f => f.id !== folder.id);
-                settings.npcAssistants = settings.npcAssistants.filter(n => n.folderId !== folder.id);
-                saveSettings();
-                renderNpcList();
-                toastr.success('NPC folder deleted');
+        // Render existing replies
+        if (post.replies && post.replies.length > 0) {
+            post.replies.forEach((reply, ri) => {
+                wrap.appendChild(buildReplyElement(reply, index, ri));
             });
-        });
-
-        const children = folderEl.querySelector('.whispers-folder-children');
-        for (const npc of folderNpcs) {
-            children.appendChild(buildNpcItem(npc));
         }
 
-        list.appendChild(folderEl);
+        feed.appendChild(wrap);
+    });
+}
+
+function buildReplyElement(reply, postIndex, replyIndex) {
+    const el = document.createElement('div');
+    el.className = 'whispers-tweet whispers-tweet-reply';
+    el.dataset.replyIndex = replyIndex;
+
+    const isUser = reply.isUser;
+    const avatarHtml = reply.avatar
+        ? `<img class="whispers-tweet-avatar" src="${reply.avatar}" alt="">`
+        : `<div class="whispers-tweet-avatar whispers-tweet-avatar-placeholder"><i class="fa-solid ${isUser ? 'fa-user-pen' : 'fa-user'}"></i></div>`;
+
+    const timeAgo = reply.timestamp ? getTimeAgo(reply.timestamp) : 'now';
+
+    // Action buttons: delete always, retry for NPC replies
+    let actionsHtml = `<button class="whispers-reply-action-btn whispers-reply-delete" title="Delete"><i class="fa-solid fa-trash"></i></button>`;
+    if (!isUser) {
+        actionsHtml = `<button class="whispers-reply-action-btn whispers-reply-retry" title="Retry"><i class="fa-solid fa-rotate-right"></i></button>` + actionsHtml;
     }
 
-    // Render unfoldered NPCs
-    const unfoldered = npcAssistants.filter(n => !n.folderId);
-    for (const npc of unfoldered) {
-        list.appendChild(buildNpcItem(npc));
+    el.innerHTML = `
+        ${avatarHtml}
+        <div class="whispers-tweet-body">
+            <div class="whispers-tweet-header">
+                <span class="whispers-tweet-name">${escapeHtml(reply.name || 'Anon')}</span>
+                <span class="whispers-tweet-username">@${escapeHtml(reply.username || 'user')}</span>
+                <span class="whispers-tweet-time">· ${timeAgo}</span>
+                <span class="whispers-reply-actions">${actionsHtml}</span>
+            </div>
+            <div class="whispers-tweet-text">${escapeHtml(reply.content || '')}</div>
+        </div>
+    `;
+
+    // Delete handler
+    el.querySelector('.whispers-reply-delete').addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteTweetReply(postIndex, replyIndex, el);
+    });
+
+    // Retry handler (NPC only)
+    const retryBtn = el.querySelector('.whispers-reply-retry');
+    if (retryBtn) {
+        retryBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            retryTweetReply(postIndex, replyIndex, el);
+        });
     }
+
+    return el;
 }
 
-function buildNpcItem(npc) {
-    const container = document.createElement('div');
-    const avatarHtml = npc.avatar
-        ? `<img src="${npc.avatar}" alt="" class="whispers-avatar-mini">`
-        : '<i class="fa-solid fa-user-ninja"></i>';
+function showReplyInput(wrapEl, post, postIndex) {
+    // Don't show if already visible
+    if (wrapEl.querySelector('.whispers-tweet-reply-input')) return;
 
-    container.innerHTML = `
-        <div class="whispers-assistant-item" data-id="${npc.id}">
-            <div class="whispers-avatar-mini-wrap">${avatarHtml}</div>
-            <div class="whispers-assistant-info">
-                <span class="whispers-assistant-name">${escapeHtml(npc.name || 'NPC')}</span>
-                <span class="whispers-assistant-sub">@${escapeHtml(npc.username || 'unknown')}</span>
-            </div>
-            <div class="whispers-assistant-actions">
-                <button class="edit-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
-                <button class="export-btn" title="Export"><i class="fa-solid fa-file-export"></i></button>
-                <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
-            </div>
+    const userName = getUserName();
+    const inputWrap = document.createElement('div');
+    inputWrap.className = 'whispers-tweet-reply-input';
+    inputWrap.innerHTML = `
+        <div class="whispers-tweet-reply-input-row">
+            <span class="whispers-tweet-reply-as"><i class="fa-solid fa-user-pen"></i> ${escapeHtml(userName)}</span>
+            <textarea class="whispers-tweet-reply-field" placeholder="Write a reply..." rows="1"></textarea>
+            <button class="whispers-tweet-reply-send" title="Send reply"><i class="fa-solid fa-paper-plane"></i></button>
         </div>
     `;
 
-    const item = container.firstElementChild;
+    const textarea = inputWrap.querySelector('.whispers-tweet-reply-field');
+    const sendBtn = inputWrap.querySelector('.whispers-tweet-reply-send');
 
-    item.querySelector('.edit-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        showNpcEditPopup(npc);
+    // Auto-resize
+    textarea.addEventListener('input', () => {
+        textarea.style.height = 'auto';
+        textarea.style.height = textarea.scrollHeight + 'px';
     });
 
-    item.querySelector('.export-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        exportNpcToPng(npc);
+    // Send on Enter (no shift)
+    textarea.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            submitReply();
+        }
     });
 
-    item.querySelector('.delete-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        showConfirmationPopup(`Delete NPC "${npc.name}"?`, () => {
-            const s = getSettings();
-            s.npcAssistants = s.npcAssistants.filter(n => n.id !== npc.id);
-            saveSettings();
-            renderNpcList();
-            toastr.success('NPC deleted');
-        });
-    });
+    sendBtn.addEventListener('click', submitReply);
 
-    container.appendChild(item);
-    return container;
-}
+    async function submitReply() {
+        const text = textarea.value.trim();
+        if (!text) return;
 
-// ── NPC Edit Popup ──────────────────────────────────────────────
+        sendBtn.disabled = true;
+        textarea.disabled = true;
 
-function showNpcEditPopup(npc) {
-    closeAllPopups();
-    const charName = getCurrentCharName();
+        // Add user reply to posts
+        const posts = getTwitterPosts();
+        if (!posts[postIndex]) return;
+        if (!posts[postIndex].replies) posts[postIndex].replies = [];
 
-    const overlay = document.createElement('div');
-    overlay.className = 'whispers-edit-popup-overlay';
-    overlay.innerHTML = `
-        <div class="whispers-edit-popup">
-            <div class="whispers-edit-popup-header">
-                <i class="fa-solid fa-user-ninja"></i>
-                <strong>Edit NPC</strong>
-                <span style="flex:1"></span>
-                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
-            </div>
-            <div class="whispers-edit-popup-body">
-                <div class="whispers-avatar-upload">
-                    <div class="whispers-avatar-preview-placeholder" id="whispers-npc-popup-avatar" title="Click to set avatar" style="cursor:pointer;">
-                        ${npc.avatar ? `<img class="whispers-avatar-preview" src="${npc.avatar}" alt="">` : '<i class="fa-solid fa-user-ninja"></i>'}
-                    </div>
-                    <span style="font-size:0.8em;opacity:0.6;">Click to set avatar</span>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-signature"></i> Name</label>
-                    <input type="text" class="w-edit-name" value="${escapeHtml(npc.name || '')}" placeholder="Display Name">
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-at"></i> Username</label>
-                    <input type="text" class="w-edit-username" value="${escapeHtml(npc.username || '')}" placeholder="handle (without @)">
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-masks-theater"></i> Character</label>
-                    <textarea class="w-edit-character" rows="3" placeholder="Personality, tone, style...">${escapeHtml(npc.character || '')}</textarea>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-comment-dots"></i> Post Example</label>
-                    <textarea class="w-edit-example" rows="2" placeholder="Example tweet...">${escapeHtml(npc.postExample || '')}</textarea>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-ban"></i> Bans</label>
-                    <textarea class="w-edit-bans" rows="2" placeholder="Never mention...">${escapeHtml(npc.bans || '')}</textarea>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-folder"></i> Folder</label>
-                    <select class="w-edit-folder">
-                        <option value="">— No folder —</option>
-                        ${(getSettings().npcFolders||[]).map(f=>`<option value="${escapeHtml(f.id)}" ${npc.folderId===f.id?'selected':''}>${escapeHtml(f.name)}</option>`).join('')}
-                    </select>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-link"></i> Binding</label>
-                    <select class="w-edit-binding">
-                        <option value="none" ${npc.binding === 'none' || !npc.binding ? 'selected' : ''}>None</option>
-                        <option value="global" ${npc.binding === 'global' ? 'selected' : ''}>Global (all chats)</option>
-                        <option value="character" ${npc.binding === 'character' ? 'selected' : ''}>Character${charName ? ` (${charName})` : ''}</option>
-                        <option value="chat" ${npc.binding === 'chat' ? 'selected' : ''}>This Chat</option>
-                    </select>
-                </div>
-                <div class="whispers-row">
-                    <button class="menu_button w-save-btn"><i class="fa-solid fa-floppy-disk"></i> Save</button>
-                </div>
-            </div>
-        </div>
-    `;
+        const userReply = {
+            name: userName,
+            username: userName.toLowerCase().replace(/\s+/g, '_'),
+            content: text,
+            isUser: true,
+            timestamp: Date.now(),
+        };
+        posts[postIndex].replies.push(userReply);
+        setTwitterPosts(posts);
 
-    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
-    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
-    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+        // Remove input, render user reply
+        inputWrap.remove();
+        const replyIdx = posts[postIndex].replies.length - 1;
+        wrapEl.appendChild(buildReplyElement(userReply, postIndex, replyIdx));
+
+        // Now generate NPC reaction
+        await generateTweetReply(post, userReply, postIndex, wrapEl);
+    }
+
+    wrapEl.appendChild(inputWrap);
+    textarea.focus();
+}
+
+function tweetReplyTemplateValues(originalPost, npc, userReply) {
+    return {
+        known_npc: !!npc,
+        npc_name: npc ? npc.name : originalPost.name,
+        npc_username: npc ? npc.username : originalPost.username,
+        character: npc?.character || '',
+        post_example: npc?.postExample || '',
+        bans: npc?.bans || '',
+        post_content: originalPost.content,
+        reply_name: userReply.name,
+        reply_username: userReply.username,
+        reply_content: userReply.content,
+    };
+}
 
-    const body = overlay.querySelector('.whispers-edit-popup-body');
+async function generateTweetReply(originalPost, userReply, postIndex, wrapEl) {
+    const s = getSettings();
+    if (!s.enabled) return;
 
-    // Avatar click
-    body.querySelector('#whispers-npc-popup-avatar').addEventListener('click', () => {
-        const fileInput = document.getElementById('whispers-npc-avatar-file');
-        fileInput.dataset.targetNpc = npc.id;
-        fileInput.click();
-    });
+    // Find the NPC who made the original post
+    const activeNpcs = getActiveNpcs();
+    const npc = activeNpcs.find(n =>
+        n.username.toLowerCase() === (originalPost.username || '').toLowerCase() ||
+        n.name.toLowerCase() === (originalPost.name || '').toLowerCase()
+    );
 
-    // Save
-    body.querySelector('.w-save-btn').addEventListener('click', () => {
-        npc.name = body.querySelector('.w-edit-name').value || 'NPC';
-        npc.username = body.querySelector('.w-edit-username').value.replace(/^@/, '') || 'npc';
-        npc.character = body.querySelector('.w-edit-character').value || '';
-        npc.postExample = body.querySelector('.w-edit-example').value || '';
-        npc.bans = body.querySelector('.w-edit-bans').value || '';
+    try {
+        const prompt = await renderNpcReplyPrompt('tweetReplyPrompt', tweetReplyTemplateValues(originalPost, npc, userReply), npc,
+            [originalPost.content, userReply.content]);
 
-        const _folderVal = body.querySelector('.w-edit-folder')?.value || '';
-        npc.folderId = _folderVal || null;
+        // Show loading indicator
+        const loader = document.createElement('div');
+        loader.className = 'whispers-tweet-reply-loading';
+        loader.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> typing...';
+        wrapEl.appendChild(loader);
 
-        const newBinding = body.querySelector('.w-edit-binding').value;
-        npc.binding = newBinding;
-        if (newBinding === 'character') {
-            npc.bindingTarget = getCurrentCharName();
-        } else if (newBinding === 'chat') {
-            const meta = getChatMeta();
-            if (meta) {
-                if (!meta.whispers_npc_ids) meta.whispers_npc_ids = [];
-                if (!meta.whispers_npc_ids.includes(npc.id)) meta.whispers_npc_ids.push(npc.id);
-                saveChatMeta();
-            }
-        } else {
-            npc.bindingTarget = null;
-        }
+        const messages = [{ role: 'system', content: prompt }];
+        const log = {};
+        const responseText = await callApi(messages, { feature: 'npcReply', owner: npc, priority: 'user', log });
 
-        saveSettings();
-        renderNpcList();
-        overlay.remove();
-        toastr.success('NPC saved');
-    });
+        loader.remove();
 
-    document.body.appendChild(overlay);
-}
+        // Clean response
+        const cleanReply = responseText.trim().replace(/^["']|["']$/g, '');
+        noteGenerationParse(log, cleanReply);
 
-function showNpcFolderEditPopup(folder) {
-    closeAllPopups();
-    const overlay = document.createElement('div');
-    overlay.className = 'whispers-edit-popup-overlay';
-    overlay.innerHTML = `
-        <div class="whispers-edit-popup">
-            <div class="whispers-edit-popup-header">
-                <span style="color:${folder.color || 'inherit'}"><i class="fa-solid ${folder.icon || 'fa-folder'}"></i></span>
-                <strong>Edit NPC Folder</strong>
-                <span style="flex:1"></span>
-                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
-            </div>
-            <div class="whispers-edit-popup-body">
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-pen"></i> Name</label>
-                    <input type="text" class="wf-name" value="${escapeHtml(folder.name || '')}">
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-icons"></i> Icon</label>
-                    <div class="whispers-icon-picker" id="wf-npc-icon-picker"></div>
-                </div>
-                <div class="whispers-color-row">
-                    <label><i class="fa-solid fa-palette"></i> Color</label>
-                    <input type="color" class="wf-color" value="${folder.color || '#667eea'}">
-                </div>
-                <div class="whispers-row">
-                    <button class="menu_button wf-save"><i class="fa-solid fa-floppy-disk"></i> Save</button>
-                </div>
-            </div>
-        </div>
-    `;
+        if (cleanReply) {
+            const npcReplyData = {
+                name: originalPost.name,
+                username: originalPost.username,
+                content: cleanReply,
+                avatar: originalPost.avatar || (npc?.avatar || null),
+                isUser: false,
+                timestamp: Date.now(),
+            };
 
-    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
-    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
-    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+            // Save to posts
+            const posts = getTwitterPosts();
+            if (posts[postIndex]) {
+                if (!posts[postIndex].replies) posts[postIndex].replies = [];
+                posts[postIndex].replies.push(npcReplyData);
+                setTwitterPosts(posts);
+            }
 
-    const pickerGrid = overlay.querySelector('#wf-npc-icon-picker');
-    let selectedIcon = folder.icon || 'fa-folder';
-    for (const iconName of FA_ICONS) {
-        const iconBtn = document.createElement('button');
-        iconBtn.type = 'button';
-        iconBtn.className = 'whispers-icon-btn' + (iconName === selectedIcon ? ' selected' : '');
-        iconBtn.title = iconName;
-        iconBtn.innerHTML = `<i class="fa-solid ${iconName}"></i>`;
-        iconBtn.addEventListener('click', () => {
-            pickerGrid.querySelectorAll('.whispers-icon-btn').forEach(b => b.classList.remove('selected'));
-            iconBtn.classList.add('selected');
-            selectedIcon = iconName;
-        });
-        pickerGrid.appendChild(iconBtn);
+            // Render
+            const npcReplyIdx = posts[postIndex].replies.length - 1;
+            wrapEl.appendChild(buildReplyElement(npcReplyData, postIndex, npcReplyIdx));
+        }
+    } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('[Whispers] Tweet reply error:', err);
+        toastr.error(`Reply failed: ${err.message}`);
     }
+}
 
-    const body = overlay.querySelector('.whispers-edit-popup-body');
-    body.querySelector('.wf-save').addEventListener('click', () => {
-        folder.name = body.querySelector('.wf-name').value || 'Folder';
-        folder.icon = selectedIcon;
-        folder.color = body.querySelector('.wf-color').value || '#667eea';
-        saveSettings();
-        renderNpcList();
-        overlay.remove();
-        toastr.success('NPC folder saved');
-    });
 
-    document.body.appendChild(overlay);
+function getTimeAgo(timestamp) {
+    const diff = Date.now() - timestamp;
+    if (diff < 60000) return 'now';
+    if (diff < 3600000) return Math.floor(diff / 60000) + 'm';
+    if (diff < 86400000) return Math.floor(diff / 3600000) + 'h';
+    return Math.floor(diff / 86400000) + 'd';
 }
 
-// ── Overlay Panel Switching ─────────────────────────────────────
+// ── Twitter Post Generation ─────────────────────────────────────
 
-function updateOverlayPanels() {
-    // Expand window when chirp feed is active
-    const overlay = document.getElementById('whispers-overlay');
-    const win = overlay?.querySelector('.whispers-chat-window');
-    if (win) {
-        const s = getSettings();
-        win.classList.toggle('chirp-expanded', s.twitterMode === true);
+let isGeneratingTwitter = false;
+
+function twitterTemplateValues(activeNpcs) {
+    let npcCardsText = '';
+    if (activeNpcs.length > 0) {
+        npcCardsText = 'The following NPC characters MUST appear in the posts. Use their exact names and usernames:\n\n';
+        for (const npc of activeNpcs) {
+            npcCardsText += `- Name: ${npc.name}, Username: @${npc.username}`;
+            if (npc.character) npcCardsText += `, Character: ${npc.character}`;
+            if (npc.postExample) npcCardsText += `, Example post: "${npc.postExample}"`;
+            if (npc.bans) npcCardsText += `, Never say: ${npc.bans}`;
+            npcCardsText += '\n';
+        }
+        npcCardsText += '\nYou may add 1-2 additional made-up commenters for variety.';
+    } else {
+        npcCardsText = 'No specific NPCs are configured. Invent 3-5 diverse, creative social media users with unique personalities.';
     }
+    const postCount = Math.max(3, Math.min(5, activeNpcs.length > 0 ? activeNpcs.length + 1 : 4));
+    return { npc_cards: npcCardsText, post_count: postCount, card: buildCardContext(activeNpcs) };
+}
+
+async function generateTwitterPosts(priority = 'background') {
+    if (isGeneratingTwitter) return;
     const s = getSettings();
-    const tabBar = document.getElementById('whispers-overlay-tabs');
-    const chatPanel = document.getElementById('whispers-panel-chat');
-    const twitterPanel = document.getElementById('whispers-panel-twitter');
-    if (!tabBar || !chatPanel || !twitterPanel) return;
+    if (!s.enabled) return;
 
-    const chatOn = s.chatMode !== false;
-    const twitterOn = s.twitterMode === true;
+    isGeneratingTwitter = true;
+    const refreshBtn = document.getElementById('whispers-tweet-refresh');
+    if (refreshBtn) refreshBtn.disabled = true;
 
-    if (chatOn && twitterOn) {
-        tabBar.style.display = '';
-        // Show whichever tab is active
-        const activeTab = tabBar.querySelector('.whispers-overlay-tab.active');
-        const panel = activeTab?.dataset.panel || 'chat';
-        chatPanel.style.display = panel === 'chat' ? '' : 'none';
-        twitterPanel.style.display = panel === 'twitter' ? '' : 'none';
-    } else if (twitterOn) {
-        tabBar.style.display = 'none';
-        chatPanel.style.display = 'none';
-        twitterPanel.style.display = '';
-    } else {
-        tabBar.style.display = 'none';
-        chatPanel.style.display = '';
-        twitterPanel.style.display = 'none';
+    try {
+        const activeNpcs = getActiveNpcs();
+        const values = twitterTemplateValues(activeNpcs);
+        const { context, lore } = await buildBudgetedContext('feed', {
+            fixed: [
+                { label: 'Template', text: renderPrompt('twitterPromptTemplate', { ...values, npc_cards: '', context: '' }) },
+                { label: 'NPC cards', text: values.npc_cards },
+            ],
+            lore: await gatherWorldInfo(activeNpcs),
+        });
+        const prompt = renderPrompt('twitterPromptTemplate', { ...values, lore, context });
+
+        const messages = [{ role: 'system', content: prompt }];
+        const log = {};
+        const responseText = await callApi(messages, { feature: 'feed', priority, log, schema: TWITTER_POST_SCHEMA });
+
+        // Parse JSON from response
+        const posts = parseTwitterResponse(responseText, activeNpcs);
+        noteGenerationParse(log, posts);
+        if (posts.length > 0) {
+            setTwitterPosts(posts);
+            renderTwitterFeed();
+        } else if (priority === 'user') {
+            toastr.warning('Twitter feed: the reply contained no posts. Try again.');
+        }
+    } catch (err) {
+        if (isAbortError(err)) return;
+        console.error('[Whispers] Twitter generation error:', err);
+        toastr.error(`Twitter feed: ${err.message}`);
+    } finally {
+        isGeneratingTwitter = false;
+        if (refreshBtn) refreshBtn.disabled = false;
     }
 }
 
-// ── Twitter Feed Rendering ──────────────────────────────────────
+const TWITTER_POST_SCHEMA = {
+    name: 'twitter_posts',
+    schema: {
+        type: 'object',
+        properties: {
+            posts: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string' },
+                        username: { type: 'string' },
+                        content: { type: 'string' },
+                    },
+                    required: ['name', 'username', 'content'],
+                },
+            },
+        },
+        required: ['posts'],
+    },
+};
 
-function getUserName() {
-    const ctx = SillyTavern.getContext();
-    return ctx.name1 || 'User';
+// Items without text are dropped; a reply with no JSON at all yields no posts
+function parseTwitterResponse(text, activeNpcs) {
+    const data = extractJson(text);
+    const items = Array.isArray(data) ? data : (Array.isArray(data?.posts) ? data.posts : []);
+    return items
+        .filter(p => p && typeof p === 'object')
+        .map(p => ({
+            name: String(p.name || 'Anon'),
+            username: String(p.username || 'user').replace(/^@/, ''),
+            content: String(p.content || p.text || '').trim(),
+            avatar: findNpcAvatar(p.username || p.name, activeNpcs),
+            timestamp: Date.now(),
+        }))
+        .filter(p => p.content.length > 0);
 }
 
-function renderTwitterFeed() {
-    const feed = document.getElementById('whispers-twitter-feed');
-    const empty = document.getElementById('whispers-twitter-empty');
-    if (!feed) return;
+function findNpcAvatar(usernameOrName, npcs) {
+    if (!npcs || npcs.length === 0) return null;
+    const clean = (usernameOrName || '').replace(/^@/, '').toLowerCase();
+    const match = npcs.find(n =>
+        n.username.toLowerCase() === clean ||
+        n.name.toLowerCase() === clean
+    );
+    return match?.avatar || null;
+}
 
-    // Clear existing tweets
-    feed.querySelectorAll('.whispers-tweet-wrap').forEach(e => e.remove());
-    // Also clear old-style tweets (backward compat)
-    feed.querySelectorAll('.whispers-tweet').forEach(e => {
-        if (!e.closest('.whispers-tweet-wrap')) e.remove();
-    });
+// ── Proactive Chat Messages ─────────────────────────────────────
 
-    const posts = getTwitterPosts();
-    if (!posts || posts.length === 0) {
-        if (empty) empty.style.display = '';
+async function triggerProactiveChat() {
+    const s = getSettings();
+    if (!s.chatMode || s.chatProactive === 'none') return;
+    const assistant = getActiveAssistant();
+    if (!assistant) return;
+
+    const templateKey = PROACTIVE_TEMPLATES[s.chatProactive];
+    if (!templateKey) return;
+
+    const history = getWhispersHistory();
+    let messages;
+    try {
+        const instructionMsg = renderTemplate(templateKey, { name: assistant.name || 'Assistant' });
+        const starts = summaryStarts();
+        const budgeted = await buildBudgetedContext('proactive', {
+            fixed: [
+                { label: 'System prompt', text: buildSystemPrompt(assistant) },
+                { label: 'Instruction', text: instructionMsg },
+            ],
+            history: history.slice(starts.history),
+            chatStart: starts.chat,
+            lore: await gatherWorldInfo([assistant], history.map(m => m.content)),
+        });
+        messages = [
+            { role: 'system', content: buildSystemPrompt(assistant, budgeted) },
+            ...toApiHistory(budgeted.history, assistant),
+            { role: 'system', content: instructionMsg }
+        ];
+    } catch (err) {
+        // A broken template shouldn't surface as an unhandled rejection on every main chat message
+        console.error('[Whispers] Proactive chat error:', err);
         return;
     }
-    if (empty) empty.style.display = 'none';
 
-    posts.forEach((post, index) => {
-        const wrap = document.createElement('div');
-        wrap.className = 'whispers-tweet-wrap';
-        wrap.dataset.index = index;
+    const stream = createStreamingBubble();
+    const controller = beginRequest('proactive');
+    setSendButtonBusy(true);
+    const statusEl = document.getElementById('whispers-chat-status');
+    try {
+        showTyping();
+        if (statusEl) statusEl.textContent = 'Typing...';
 
-        const tweet = document.createElement('div');
-        tweet.className = 'whispers-tweet';
+        const raw = await callApi(messages, { feature: 'proactive', owner: assistant, signal: controller.signal, onToken: (t) => stream.update(t), onRetry: showRetryStatus });
+        const response = await takeRememberTags(assistant, raw);
+        hideTyping();
 
-        const avatarHtml = post.avatar
-            ? `<img class="whispers-tweet-avatar" src="${post.avatar}" alt="">`
-            : `<div class="whispers-tweet-avatar whispers-tweet-avatar-placeholder"><i class="fa-solid fa-user"></i></div>`;
+        history.push({ role: 'assistant', content: response, timestamp: Date.now(), assistantId: assistant.id });
+        await saveChatMeta();
+        stream.commit('assistant', response, { assistantId: assistant.id });
+        maybeUpdateChatSummary();
+    } catch (err) {
+        hideTyping();
+        if (isAbortError(err)) { await keepPartialReply(history, stream, assistant, controller); return; }
+        stream.remove();
+        console.error('[Whispers] Proactive chat error:', err);
+    } finally {
+        endRequest('proactive', controller);
+        setSendButtonBusy(isGenerating);
+        if (statusEl) statusEl.textContent = 'Online';
+    }
+}
 
-        const timeAgo = post.timestamp ? getTimeAgo(post.timestamp) : 'now';
+// ── Automation Handler ──────────────────────────────────────────
 
-        tweet.innerHTML = `
-            ${avatarHtml}
-            <div class="whispers-tweet-body">
-                <div class="whispers-tweet-header">
-                    <span class="whispers-tweet-name">${escapeHtml(post.name || 'Anon')}</span>
-                    <span class="whispers-tweet-username">@${escapeHtml(post.username || 'user')}</span>
-                    <span class="whispers-tweet-time">· ${timeAgo}</span>
-                </div>
-                <div class="whispers-tweet-text">${escapeHtml(post.content || '')}</div>
-                <div class="whispers-tweet-actions">
-                    <button class="whispers-tweet-reply-btn" title="Reply"><i class="fa-solid fa-reply"></i></button>
-                </div>
-            </div>
-        `;
+async function onMainChatMessage() {
+    const s = getSettings();
+    if (!s.enabled) return;
 
-        // Reply button handler
-        tweet.querySelector('.whispers-tweet-reply-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            showReplyInput(wrap, post, index);
-        });
+    const counter = incrementMsgCounter();
 
-        wrap.appendChild(tweet);
+    // Twitter automation
+    if (s.twitterMode) {
+        const shouldTriggerTwitter =
+            s.twitterAutoMode === 'every' ||
+            (s.twitterAutoMode === 'custom' && counter % (s.twitterAutoInterval || 5) === 0);
+        if (shouldTriggerTwitter) {
+            generateTwitterPosts();
+        }
+    }
 
-        // Render existing replies
-        if (post.replies && post.replies.length > 0) {
-            post.replies.forEach((reply, ri) => {
-                wrap.appendChild(buildReplyElement(reply, index, ri));
-            });
+    // Chat proactive automation
+    if (s.chatMode && s.chatProactive !== 'none') {
+        const shouldTriggerChat =
+            s.chatAutoMode === 'every' ||
+            (s.chatAutoMode === 'custom' && counter % (s.chatAutoInterval || 3) === 0);
+        if (shouldTriggerChat) {
+            triggerProactiveChat();
         }
+    }
 
-        feed.appendChild(wrap);
-    });
+    maybeUpdateChatSummary();
 }
 
-function buildReplyElement(reply, postIndex, replyIndex) {
-    const el = document.createElement('div');
-    el.className = 'whispers-tweet whispers-tweet-reply';
-    el.dataset.replyIndex = replyIndex;
 
-    const isUser = reply.isUser;
-    const avatarHtml = reply.avatar
-        ? `<img class="whispers-tweet-avatar" src="${reply.avatar}" alt="">`
-        : `<div class="whispers-tweet-avatar whispers-tweet-avatar-placeholder"><i class="fa-solid ${isUser ? 'fa-user-pen' : 'fa-user'}"></i></div>`;
 
-    const timeAgo = reply.timestamp ? getTimeAgo(reply.timestamp) : 'now';
+const FA_ICONS = [
+    'fa-folder','fa-folder-open','fa-star','fa-heart','fa-fire','fa-bolt',
+    'fa-crown','fa-gem','fa-shield','fa-wand-magic-sparkles','fa-hat-wizard',
+    'fa-dragon','fa-ghost','fa-skull','fa-cat','fa-dog','fa-paw','fa-feather',
+    'fa-dove','fa-fish','fa-spider','fa-bug','fa-leaf','fa-tree','fa-seedling',
+    'fa-sun','fa-moon','fa-cloud','fa-snowflake','fa-rainbow','fa-umbrella',
+    'fa-music','fa-guitar','fa-headphones','fa-gamepad','fa-puzzle-piece',
+    'fa-dice','fa-chess','fa-palette','fa-brush','fa-pen-fancy','fa-book',
+    'fa-book-open','fa-scroll','fa-graduation-cap','fa-flask','fa-atom',
+    'fa-rocket','fa-plane','fa-car','fa-bicycle','fa-ship','fa-anchor',
+    'fa-compass','fa-map','fa-mountain','fa-water','fa-campground',
+    'fa-house','fa-building','fa-store','fa-hospital','fa-church',
+    'fa-landmark','fa-trophy','fa-medal','fa-flag','fa-gift','fa-cake-candles',
+    'fa-champagne-glasses','fa-bell','fa-envelope','fa-comment','fa-comments',
+    'fa-circle-info','fa-lightbulb','fa-gear','fa-wrench','fa-hammer',
+    'fa-screwdriver-wrench','fa-key','fa-lock','fa-unlock','fa-eye',
+    'fa-hand','fa-thumbs-up','fa-face-smile','fa-face-laugh','fa-masks-theater',
+    'fa-robot','fa-microchip','fa-code','fa-terminal','fa-database',
+    'fa-server','fa-network-wired','fa-wifi','fa-globe','fa-earth-americas',
+    'fa-user','fa-users','fa-user-secret','fa-people-group',
+    'fa-suitcase','fa-briefcase','fa-box','fa-cubes','fa-tag','fa-tags',
+];
 
-    // Action buttons: delete always, retry for NPC replies
-    let actionsHtml = `<button class="whispers-reply-action-btn whispers-reply-delete" title="Delete"><i class="fa-solid fa-trash"></i></button>`;
-    if (!isUser) {
-        actionsHtml = `<button class="whispers-reply-action-btn whispers-reply-retry" title="Retry"><i class="fa-solid fa-rotate-right"></i></button>` + actionsHtml;
-    }
+// ── UI: Render Item List (Folders + Assistants) ─────────────────
 
-    el.innerHTML = `
-        ${avatarHtml}
-        <div class="whispers-tweet-body">
-            <div class="whispers-tweet-header">
-                <span class="whispers-tweet-name">${escapeHtml(reply.name || 'Anon')}</span>
-                <span class="whispers-tweet-username">@${escapeHtml(reply.username || 'user')}</span>
-                <span class="whispers-tweet-time">· ${timeAgo}</span>
-                <span class="whispers-reply-actions">${actionsHtml}</span>
+function renderItemList() {
+    const settings = getSettings();
+    const list = document.getElementById('whispers-item-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    // Render folders
+    for (const folder of settings.folders) {
+        const folderAssistants = settings.assistants.filter(a => a.folderId === folder.id);
+        const folderEl = document.createElement('div');
+        folderEl.className = 'whispers-folder';
+        folderEl.dataset.id = folder.id;
+        folderEl.style.setProperty('--folder-color', folder.color || '#888');
+
+        folderEl.innerHTML = `
+            <div class="whispers-folder-header">
+                <span class="whispers-folder-icon" style="color:${folder.color || 'inherit'}">
+                    <i class="fa-solid ${folder.icon || 'fa-folder'}"></i>
+                </span>
+                <span class="whispers-folder-name">${escapeHtml(folder.name || 'Folder')}</span>
+                <span class="whispers-folder-count">${folderAssistants.length}</span>
+                <span class="whispers-folder-actions">
+                    <button class="folder-info-btn" title="Author's Note"><i class="fa-solid fa-circle-info"></i></button>
+                    <button class="edit-folder-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
+                    <button class="export-folder-btn" title="Export"><i class="fa-solid fa-file-export"></i></button>
+                    <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
+                </span>
+                <i class="fa-solid fa-chevron-right whispers-folder-chevron"></i>
             </div>
-            <div class="whispers-tweet-text">${escapeHtml(reply.content || '')}</div>
-        </div>
-    `;
+            <div class="whispers-folder-children"></div>
+        `;
 
-    // Delete handler
-    el.querySelector('.whispers-reply-delete').addEventListener('click', (e) => {
-        e.stopPropagation();
-        deleteTweetReply(postIndex, replyIndex, el);
-    });
+        // Folder header click to expand/collapse
+        const header = folderEl.querySelector('.whispers-folder-header');
+        header.addEventListener('click', (e) => {
+            if (e.target.closest('.whispers-folder-actions')) return;
+            folderEl.classList.toggle('open');
+        });
 
-    // Retry handler (NPC only)
-    const retryBtn = el.querySelector('.whispers-reply-retry');
-    if (retryBtn) {
-        retryBtn.addEventListener('click', (e) => {
+        // Author's note popup (always visible)
+        folderEl.querySelector('.folder-info-btn').addEventListener('click', (e) => {
             e.stopPropagation();
-            retryTweetReply(postIndex, replyIndex, el);
+            showNotePopup(folder);
         });
-    }
-
-    return el;
-}
 
-function showReplyInput(wrapEl, post, postIndex) {
-    // Don't show if already visible
-    if (wrapEl.querySelector('.whispers-tweet-reply-input')) return;
+        // Edit folder
+        folderEl.querySelector('.edit-folder-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showFolderEditPopup(folder);
+        });
 
-    const userName = getUserName();
-    const inputWrap = document.createElement('div');
-    inputWrap.className = 'whispers-tweet-reply-input';
-    inputWrap.innerHTML = `
-        <div class="whispers-tweet-reply-input-row">
-            <span class="whispers-tweet-reply-as"><i class="fa-solid fa-user-pen"></i> ${escapeHtml(userName)}</span>
-            <textarea class="whispers-tweet-reply-field" placeholder="Write a reply..." rows="1"></textarea>
-            <button class="whispers-tweet-reply-send" title="Send reply"><i class="fa-solid fa-paper-plane"></i></button>
-        </div>
-    `;
+        // Export folder
+        folderEl.querySelector('.export-folder-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            exportFolderToPng(folder, folderAssistants);
+        });
 
-    const textarea = inputWrap.querySelector('.whispers-tweet-reply-field');
-    const sendBtn = inputWrap.querySelector('.whispers-tweet-reply-send');
+        // Delete folder
+        folderEl.querySelector('.delete-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            showConfirmationPopup(`Delete folder "${folder.name}" and all its assistants?`, () => {
+                // Delete folder
+                settings.folders = settings.folders.filter(f => f.id !== folder.id);
+                // Delete assistants in folder
+                settings.assistants = settings.assistants.filter(a => a.folderId !== folder.id);
+                // Clear selection if needed
+                if (editingAssistantId) {
+                    const exists = settings.assistants.find(a => a.id === editingAssistantId);
+                    if (!exists) editingAssistantId = null;
+                }
+                const meta = getChatMeta();
+                if (meta && meta.whispers_assistant_id) {
+                    const exists = settings.assistants.find(a => a.id === meta.whispers_assistant_id);
+                    if (!exists) { delete meta.whispers_assistant_id; saveChatMeta(); }
+                }
 
-    // Auto-resize
-    textarea.addEventListener('input', () => {
-        textarea.style.height = 'auto';
-        textarea.style.height = textarea.scrollHeight + 'px';
-    });
+                saveSettings();
+                renderItemList();
+                updateChatHeader();
+                toastr.success('Folder and contents deleted');
+            });
+        });
 
-    // Send on Enter (no shift)
-    textarea.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' && !e.shiftKey) {
+        // Drag-and-drop: folder as drop target
+        const childrenEl = folderEl.querySelector('.whispers-folder-children');
+        folderEl.addEventListener('dragover', (e) => {
             e.preventDefault();
-            submitReply();
+            folderEl.classList.add('drag-over');
+        });
+        folderEl.addEventListener('dragleave', (e) => {
+            if (!folderEl.contains(e.relatedTarget)) folderEl.classList.remove('drag-over');
+        });
+        folderEl.addEventListener('drop', (e) => {
+            e.preventDefault();
+            folderEl.classList.remove('drag-over');
+            const asstId = e.dataTransfer.getData('text/plain');
+            if (asstId) {
+                const asst = settings.assistants.find(a => a.id === asstId);
+                if (asst) {
+                    asst.folderId = folder.id;
+                    saveSettings();
+                    renderItemList();
+                    toastr.success(`Moved "${asst.name}" to "${folder.name}"`);
+                }
+            }
+        });
+
+        // Add assistants inside folder
+        for (const asst of folderAssistants) {
+            childrenEl.appendChild(createAssistantItem(asst));
+        }
+
+        list.appendChild(folderEl);
+    }
+
+    // Render unfoldered assistants
+    const unfoldered = settings.assistants.filter(a => !a.folderId);
+    for (const asst of unfoldered) {
+        list.appendChild(createAssistantItem(asst));
+    }
+
+    // Drop-to-root zone
+    list.addEventListener('dragover', (e) => { e.preventDefault(); });
+    list.addEventListener('drop', (e) => {
+        if (e.target.closest('.whispers-folder')) return; // handled by folder
+        e.preventDefault();
+        const asstId = e.dataTransfer.getData('text/plain');
+        if (asstId) {
+            const asst = settings.assistants.find(a => a.id === asstId);
+            if (asst && asst.folderId) {
+                asst.folderId = null;
+                saveSettings();
+                renderItemList();
+                toastr.info(`Removed "${asst.name}" from folder`);
+            }
         }
     });
 
-    sendBtn.addEventListener('click', submitReply);
+    if (settings.folders.length === 0 && settings.assistants.length === 0) {
+        list.innerHTML = '<div style="opacity:0.4;font-size:0.85em;text-align:center;padding:10px;">No assistants yet</div>';
+    }
+}
 
-    async function submitReply() {
-        const text = textarea.value.trim();
-        if (!text) return;
+function createAssistantItem(asst) {
+    const settings = getSettings();
+    const container = document.createElement('div');
 
-        sendBtn.disabled = true;
-        textarea.disabled = true;
+    // Item row
+    const item = document.createElement('div');
+    item.className = 'whispers-assistant-item';
+    item.dataset.id = asst.id;
+    item.draggable = true;
 
-        // Add user reply to posts
-        const posts = getTwitterPosts();
-        if (!posts[postIndex]) return;
-        if (!posts[postIndex].replies) posts[postIndex].replies = [];
+    const avatarHtml = asst.avatar
+        ? `<img class="whispers-assistant-avatar" src="${asst.avatar}" alt="">`
+        : `<div class="whispers-assistant-avatar-placeholder"><i class="fa-solid fa-ghost"></i></div>`;
 
-        const userReply = {
-            name: userName,
-            username: userName.toLowerCase().replace(/\s+/g, '_'),
-            content: text,
-            isUser: true,
-            timestamp: Date.now(),
-        };
-        posts[postIndex].replies.push(userReply);
-        setTwitterPosts(posts);
+    // Binding badge
+    let badge = '';
+    if (asst.binding === 'global') badge = '<i class="fa-solid fa-globe whispers-badge" title="Global"></i>';
+    else if (asst.binding === 'character') badge = `<i class="fa-solid fa-user whispers-badge" title="Character: ${escapeHtml(asst.bindingTarget || '')}"></i>`;
+    else if (asst.binding === 'chat') badge = '<i class="fa-solid fa-comment whispers-badge" title="Chat-bound"></i>';
 
-        // Remove input, render user reply
-        inputWrap.remove();
-        const replyIdx = posts[postIndex].replies.length - 1;
-        wrapEl.appendChild(buildReplyElement(userReply, postIndex, replyIdx));
+    item.innerHTML = `
+        ${avatarHtml}
+        <span class="whispers-assistant-name">${escapeHtml(asst.name || 'Unnamed')}</span>
+        <span class="whispers-assistant-badges">${badge}</span>
+        <span class="whispers-assistant-actions">
+            <button class="asst-info-btn" title="Author's Note"><i class="fa-solid fa-circle-info"></i></button>
+            <button class="asst-notebook-btn" title="Notebook"><i class="fa-solid fa-book"></i></button>
+            <button class="edit-asst-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
+            <button class="export-btn" title="Export PNG"><i class="fa-solid fa-file-export"></i></button>
+            <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
+        </span>
+    `;
 
-        // Now generate NPC reaction
-        await generateTweetReply(post, userReply, postIndex, wrapEl);
-    }
+    // Drag start
+    item.addEventListener('dragstart', (e) => {
+        e.dataTransfer.setData('text/plain', asst.id);
+        e.dataTransfer.effectAllowed = 'move';
+        item.classList.add('dragging');
+    });
+    item.addEventListener('dragend', () => {
+        item.classList.remove('dragging');
+    });
 
-    wrapEl.appendChild(inputWrap);
-    textarea.focus();
-}
+    // Click row to open edit popup
+    item.addEventListener('click', (e) => {
+        if (e.target.closest('.whispers-assistant-actions')) return;
+        showAssistantEditPopup(asst);
+    });
 
-async function generateTweetReply(originalPost, userReply, postIndex, wrapEl) {
-    const s = getSettings();
-    if (!s.enabled) return;
+    // Info (author's note)
+    item.querySelector('.asst-info-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showAssistantNotePopup(asst);
+    });
 
-    // Find the NPC who made the original post
-    const activeNpcs = getActiveNpcs();
-    const npc = activeNpcs.find(n =>
-        n.username.toLowerCase() === (originalPost.username || '').toLowerCase() ||
-        n.name.toLowerCase() === (originalPost.name || '').toLowerCase()
-    );
+    // Notebook
+    item.querySelector('.asst-notebook-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showNotebookPopup(asst);
+    });
 
-    let npcContext = '';
-    if (npc) {
-        npcContext = `You are ${npc.name} (@${npc.username}).`;
-        if (npc.character) npcContext += ` Character: ${npc.character}.`;
-        if (npc.postExample) npcContext += ` Example of your style: "${npc.postExample}".`;
-        if (npc.bans) npcContext += ` Never say: ${npc.bans}.`;
-    } else {
-        npcContext = `You are ${originalPost.name} (@${originalPost.username}), a social media user.`;
-    }
+    // Edit
+    item.querySelector('.edit-asst-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showAssistantEditPopup(asst);
+    });
 
-    const prompt = `${npcContext}
+    // Export
+    item.querySelector('.export-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        exportAssistantToPng(asst);
+    });
 
-You wrote this post on social media:
-"${originalPost.content}"
+    // Delete
+    item.querySelector('.delete-btn').addEventListener('click', (e) => {
+        e.stopPropagation();
+        showConfirmationPopup(`Delete "${asst.name}"?`, () => {
+            settings.assistants = settings.assistants.filter(a => a.id !== asst.id);
+            if (editingAssistantId === asst.id) editingAssistantId = null;
+            const meta = getChatMeta();
+            if (meta && meta.whispers_assistant_id === asst.id) delete meta.whispers_assistant_id;
+            saveSettings();
+            renderItemList();
+            updateChatHeader();
+            toastr.success('Assistant deleted');
+        });
+    });
 
-A user named ${userReply.name} (@${userReply.username}) just replied to your post:
-"${userReply.content}"
+    container.appendChild(item);
+    return container;
+}
 
-Write a SHORT reply back to them (1-3 sentences). Stay in character. Be reactive — if they're being rude, you can be sassy or upset. If they're nice, be friendly. React naturally and emotionally. Do NOT use any JSON formatting, just write the reply text directly.`;
+// ── Assistant Edit Popup ────────────────────────────────────────
 
-    try {
-        // Show loading indicator
-        const loader = document.createElement('div');
-        loader.className = 'whispers-tweet-reply-loading';
-        loader.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> typing...';
-        wrapEl.appendChild(loader);
+function showAssistantEditPopup(asst) {
+    closeAllPopups();
+    const charName = getCurrentCharName();
 
-        const messages = [{ role: 'system', content: prompt }];
-        const responseText = await callApi(messages);
+    const overlay = document.createElement('div');
+    overlay.className = 'whispers-edit-popup-overlay';
+    overlay.innerHTML = `
+        <div class="whispers-edit-popup">
+            <div class="whispers-edit-popup-header">
+                <i class="fa-solid fa-ghost"></i>
+                <strong>Edit Assistant</strong>
+                <span style="flex:1"></span>
+                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="whispers-edit-popup-body">
+                <div class="whispers-avatar-upload">
+                    <div class="whispers-avatar-preview-placeholder" id="whispers-popup-avatar" title="Click to set avatar" style="cursor:pointer;">
+                        ${asst.avatar ? `<img class="whispers-avatar-preview" src="${asst.avatar}" alt="">` : '<i class="fa-solid fa-image"></i>'}
+                    </div>
+                    <span style="font-size:0.8em;opacity:0.6;">Click to set avatar</span>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-signature"></i> Name</label>
+                    <input type="text" class="w-edit-name" value="${escapeHtml(asst.name || '')}" placeholder="Name">
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-masks-theater"></i> Character</label>
+                    <textarea class="w-edit-character" rows="3" placeholder="Personality...">${escapeHtml(asst.character || '')}</textarea>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-ban"></i> Bans</label>
+                    <textarea class="w-edit-bans" rows="2" placeholder="Never say...">${escapeHtml(asst.bans || '')}</textarea>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-comment-dots"></i> Message Example</label>
+                    <textarea class="w-edit-example" rows="3" placeholder="Write an example of how this assistant should respond...">${escapeHtml(asst.messageExample || '')}</textarea>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-link"></i> Binding</label>
+                    <select class="w-edit-binding">
+                        <option value="none" ${asst.binding === 'none' || !asst.binding ? 'selected' : ''}>None</option>
+                        <option value="global" ${asst.binding === 'global' ? 'selected' : ''}>Global (all chats)</option>
+                        <option value="character" ${asst.binding === 'character' ? 'selected' : ''}>Character${charName ? ` (${charName})` : ''}</option>
+                        <option value="chat" ${asst.binding === 'chat' ? 'selected' : ''}>This Chat</option>
+                    </select>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-plug"></i> Connection</label>
+                    <select class="w-edit-profile">${buildProfileOptions(asst.apiProfileId || '', 'Use routing default')}</select>
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-book-atlas"></i> World Info</label>
+                    <select class="w-edit-worldinfo">${buildWorldInfoOptions(asst.worldInfo || '')}</select>
+                </div>
+                ${buildCardFieldsHtml(asst.cardFields)}
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-book"></i> Notebook <span style="font-size:0.75em;opacity:0.5;">(where &lt;remember&gt; facts go)</span></label>
+                    <select class="w-edit-notebook">
+                        <option value="assistant" ${getNotebookScope(asst) === 'assistant' ? 'selected' : ''}>All chats</option>
+                        <option value="chat" ${getNotebookScope(asst) === 'chat' ? 'selected' : ''}>This chat only</option>
+                        <option value="off" ${getNotebookScope(asst) === 'off' ? 'selected' : ''}>Off</option>
+                    </select>
+                </div>
+                ${buildSamplingFieldsHtml(asst.sampling)}
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-note-sticky"></i> Author's Note <span style="font-size:0.75em;opacity:0.5;">(Markdown; simple tags like &lt;b&gt;, &lt;i&gt; and &lt;span&gt; are kept without attributes)</span></label>
+                    <textarea class="w-edit-note" rows="3" placeholder="Notes about this assistant...">${escapeHtml(asst.note || '')}</textarea>
+                </div>
+                <div class="whispers-row">
+                    <button class="menu_button w-save-btn"><i class="fa-solid fa-floppy-disk"></i> Save</button>
+                </div>
+            </div>
+        </div>
+    `;
 
-        loader.remove();
+    // Close — stopPropagation prevents ST drawer from collapsing
+    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
+    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
 
-        // Clean response
-        const cleanReply = responseText.trim().replace(/^["']|["']$/g, '');
+    const body = overlay.querySelector('.whispers-edit-popup-body');
 
-        if (cleanReply) {
-            const npcReplyData = {
-                name: originalPost.name,
-                username: originalPost.username,
-                content: cleanReply,
-                avatar: originalPost.avatar || (npc?.avatar || null),
-                isUser: false,
-                timestamp: Date.now(),
-            };
+    // Avatar click
+    body.querySelector('#whispers-popup-avatar').addEventListener('click', () => {
+        const fileInput = document.getElementById('whispers-avatar-file');
+        fileInput.dataset.targetAssistant = asst.id;
+        fileInput.click();
+    });
 
-            // Save to posts
-            const posts = getTwitterPosts();
-            if (posts[postIndex]) {
-                if (!posts[postIndex].replies) posts[postIndex].replies = [];
-                posts[postIndex].replies.push(npcReplyData);
-                setTwitterPosts(posts);
-            }
+    // Save
+    body.querySelector('.w-save-btn').addEventListener('click', () => {
+        const sampling = readSamplingFields(body);
+        if (!sampling) return;
 
-            // Render
-            const npcReplyIdx = posts[postIndex].replies.length - 1;
-            wrapEl.appendChild(buildReplyElement(npcReplyData, postIndex, npcReplyIdx));
+        asst.name = body.querySelector('.w-edit-name').value || 'Unnamed';
+        asst.character = body.querySelector('.w-edit-character').value || '';
+        asst.bans = body.querySelector('.w-edit-bans').value || '';
+        asst.messageExample = body.querySelector('.w-edit-example').value || '';
+        asst.note = body.querySelector('.w-edit-note').value || '';
+        asst.apiProfileId = body.querySelector('.w-edit-profile').value || '';
+        asst.worldInfo = body.querySelector('.w-edit-worldinfo').value || '';
+        asst.cardFields = readCardFields(body);
+        asst.notebookScope = body.querySelector('.w-edit-notebook').value;
+        asst.sampling = sampling;
+
+        const newBinding = body.querySelector('.w-edit-binding').value;
+        asst.binding = newBinding;
+        if (newBinding === 'character') {
+            asst.bindingTarget = getCurrentCharName();
+        } else if (newBinding === 'chat') {
+            const meta = getChatMeta();
+            if (meta) meta.whispers_assistant_id = asst.id;
+            saveChatMeta();
+        } else {
+            asst.bindingTarget = null;
         }
-    } catch (err) {
-        console.error('[Whispers] Tweet reply error:', err);
-        toastr.error(`Reply failed: ${err.message}`);
-    }
-}
 
+        saveSettings();
+        renderItemList();
+        updateChatHeader();
+        overlay.remove();
+        toastr.success('Assistant saved');
+    });
 
-function getTimeAgo(timestamp) {
-    const diff = Date.now() - timestamp;
-    if (diff < 60000) return 'now';
-    if (diff < 3600000) return Math.floor(diff / 60000) + 'm';
-    if (diff < 86400000) return Math.floor(diff / 3600000) + 'h';
-    return Math.floor(diff / 86400000) + 'd';
+    document.body.appendChild(overlay);
 }
 
-// ── Twitter Post Generation ─────────────────────────────────────
-
-let isGeneratingTwitter = false;
+// ── Folder Edit Popup ───────────────────────────────────────────
 
-async function generateTwitterPosts() {
-    if (isGeneratingTwitter) return;
-    const s = getSettings();
-    if (!s.enabled) return;
+function showFolderEditPopup(folder) {
+    closeAllPopups();
 
-    isGeneratingTwitter = true;
-    const refreshBtn = document.getElementById('whispers-tweet-refresh');
-    if (refreshBtn) refreshBtn.disabled = true;
+    const overlay = document.createElement('div');
+    overlay.className = 'whispers-edit-popup-overlay';
+    overlay.innerHTML = `
+        <div class="whispers-edit-popup">
+            <div class="whispers-edit-popup-header">
+                <span style="color:${folder.color || 'inherit'}"><i class="fa-solid ${folder.icon || 'fa-folder'}"></i></span>
+                <strong>Edit Folder</strong>
+                <span style="flex:1"></span>
+                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="whispers-edit-popup-body">
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-pen"></i> Name</label>
+                    <input type="text" class="wf-name" value="${escapeHtml(folder.name || '')}">
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-icons"></i> Icon</label>
+                    <div class="whispers-icon-picker" id="wf-icon-picker"></div>
+                </div>
+                <div class="whispers-color-row">
+                    <label><i class="fa-solid fa-palette"></i> Color</label>
+                    <input type="color" class="wf-color" value="${folder.color || '#667eea'}">
+                </div>
+                <div class="whispers-field-group">
+                    <label><i class="fa-solid fa-note-sticky"></i> Author's Note <span style="font-size:0.75em;opacity:0.5;">(Markdown; simple tags like &lt;b&gt;, &lt;i&gt; and &lt;span&gt; are kept without attributes)</span></label>
+                    <textarea class="wf-note" rows="3" placeholder="Describe what's in this folder...">${escapeHtml(folder.note || '')}</textarea>
+                </div>
+                <div class="whispers-row">
+                    <button class="menu_button wf-save"><i class="fa-solid fa-floppy-disk"></i> Save</button>
+                </div>
+            </div>
+        </div>
+    `;
 
-    try {
-        const context = gatherContext();
-        const activeNpcs = getActiveNpcs();
-        const postCount = Math.max(3, Math.min(5, activeNpcs.length > 0 ? activeNpcs.length + 1 : 4));
-
-        let npcCardsText = '';
-        if (activeNpcs.length > 0) {
-            npcCardsText = 'The following NPC characters MUST appear in the posts. Use their exact names and usernames:\n\n';
-            for (const npc of activeNpcs) {
-                npcCardsText += `- Name: ${npc.name}, Username: @${npc.username}`;
-                if (npc.character) npcCardsText += `, Character: ${npc.character}`;
-                if (npc.postExample) npcCardsText += `, Example post: "${npc.postExample}"`;
-                if (npc.bans) npcCardsText += `, Never say: ${npc.bans}`;
-                npcCardsText += '\n';
-            }
-            npcCardsText += '\nYou may add 1-2 additional made-up commenters for variety.';
-        } else {
-            npcCardsText = 'No specific NPCs are configured. Invent 3-5 diverse, creative social media users with unique personalities.';
-        }
+    // Close — stopPropagation prevents ST drawer from collapsing
+    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
+    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
 
-        let prompt = s.twitterPromptTemplate || defaultSettings.twitterPromptTemplate;
-        prompt = prompt.replace('{{npc_cards}}', npcCardsText);
-        prompt = prompt.replace('{{context}}', context);
-        prompt = prompt.replace('{{post_count}}', String(postCount));
+    // Build icon picker grid
+    const pickerGrid = overlay.querySelector('#wf-icon-picker');
+    let selectedIcon = folder.icon || 'fa-folder';
+    for (const iconName of FA_ICONS) {
+        const iconBtn = document.createElement('button');
+        iconBtn.type = 'button';
+        iconBtn.className = 'whispers-icon-btn' + (iconName === selectedIcon ? ' selected' : '');
+        iconBtn.title = iconName;
+        iconBtn.innerHTML = `<i class="fa-solid ${iconName}"></i>`;
+        iconBtn.addEventListener('click', () => {
+            pickerGrid.querySelectorAll('.whispers-icon-btn').forEach(b => b.classList.remove('selected'));
+            iconBtn.classList.add('selected');
+            selectedIcon = iconName;
+        });
+        pickerGrid.appendChild(iconBtn);
+    }
 
-        const messages = [{ role: 'system', content: prompt }];
-        const responseText = await callApi(messages);
+    // Save
+    const body = overlay.querySelector('.whispers-edit-popup-body');
+    body.querySelector('.wf-save').addEventListener('click', () => {
+        folder.name = body.querySelector('.wf-name').value || 'Folder';
+        folder.icon = selectedIcon;
+        folder.color = body.querySelector('.wf-color').value || '#667eea';
+        folder.note = body.querySelector('.wf-note').value || '';
+        saveSettings();
+        renderItemList();
+        overlay.remove();
+        toastr.success('Folder saved');
+    });
 
-        // Parse JSON from response
-        const posts = parseTwitterResponse(responseText, activeNpcs);
-        if (posts.length > 0) {
-            setTwitterPosts(posts);
-            renderTwitterFeed();
-        }
-    } catch (err) {
-        console.error('[Whispers] Twitter generation error:', err);
-        toastr.error(`Twitter feed: ${err.message}`);
-    } finally {
-        isGeneratingTwitter = false;
-        if (refreshBtn) refreshBtn.disabled = false;
-    }
+    document.body.appendChild(overlay);
 }
 
-function parseTwitterResponse(text, activeNpcs) {
-    // Try to extract JSON array from response
-    let posts = [];
-    try {
-        // Find JSON array in the response
-        const jsonMatch = text.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-            const parsed = JSON.parse(jsonMatch[0]);
-            if (Array.isArray(parsed)) {
-                posts = parsed.map(p => ({
-                    name: p.name || 'Anon',
-                    username: (p.username || 'user').replace(/^@/, ''),
-                    content: p.content || p.text || '',
-                    avatar: findNpcAvatar(p.username || p.name, activeNpcs),
-                    timestamp: Date.now(),
-                })).filter(p => p.content.length > 0);
-            }
-        }
-    } catch (e) {
-        console.warn('[Whispers] Failed to parse Twitter JSON, trying fallback:', e);
-    }
+// ── Author's Note Popup ─────────────────────────────────────────
 
-    // Fallback: try line-by-line parsing
-    if (posts.length === 0) {
-        const lines = text.split('\n').filter(l => l.trim().length > 10);
-        for (const line of lines.slice(0, 5)) {
-            posts.push({
-                name: 'User',
-                username: 'user',
-                content: line.trim().replace(/^[-*•]\s*/, ''),
-                timestamp: Date.now(),
-            });
-        }
-    }
+function showNotePopup(folder) {
+    closeAllPopups();
 
-    return posts;
-}
+    const overlay = document.createElement('div');
+    overlay.className = 'whispers-edit-popup-overlay';
+    overlay.innerHTML = `
+        <div class="whispers-note-popup">
+            <div class="whispers-note-popup-header">
+                <span style="color:${folder.color || 'inherit'}">
+                    <i class="fa-solid ${folder.icon || 'fa-folder'}"></i>
+                </span>
+                <strong>${escapeHtml(folder.name || 'Folder')}</strong>
+                <span style="flex:1"></span>
+                <button class="whispers-note-popup-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="whispers-note-popup-body whispers-md">${folder.note ? renderMarkdown(folder.note, { html: true }) : '<em style="opacity:0.5;">No notes yet</em>'}</div>
+        </div>
+    `;
 
-function findNpcAvatar(usernameOrName, npcs) {
-    if (!npcs || npcs.length === 0) return null;
-    const clean = (usernameOrName || '').replace(/^@/, '').toLowerCase();
-    const match = npcs.find(n =>
-        n.username.toLowerCase() === clean ||
-        n.name.toLowerCase() === clean
-    );
-    return match?.avatar || null;
-}
+    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+    overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.target === overlay) overlay.remove();
+    });
+    overlay.querySelector('.whispers-note-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
 
-// ── Proactive Chat Messages ─────────────────────────────────────
+    document.body.appendChild(overlay);
+}
 
-async function triggerProactiveChat() {
-    const s = getSettings();
-    if (!s.chatMode || s.chatProactive === 'none') return;
-    const assistant = getActiveAssistant();
-    if (!assistant) return;
+// ── Assistant Note Popup ────────────────────────────────────────
 
-    const context = gatherContext();
-    let instruction = '';
-    switch (s.chatProactive) {
-        case 'comment':
-            instruction = 'React to the latest events in the main chat. Comment on what just happened — be witty or insightful.';
-            break;
-        case 'advice':
-            instruction = 'Give the user a helpful suggestion or advice based on the current conversation context.';
-            break;
-        case 'checkin':
-            instruction = 'Check in on the user casually. Be friendly and ask how things are going. If something interesting happened recently, mention it.';
-            break;
-        default: return;
-    }
+function showAssistantNotePopup(asst) {
+    closeAllPopups();
 
-    const history = getWhispersHistory();
-    const prompt = (s.mainPromptTemplate || defaultSettings.mainPromptTemplate)
-        .replace('{{name}}', assistant.name || 'Assistant')
-        .replace('{{character}}', assistant.character || '')
-        .replace('{{bans}}', assistant.bans || '')
-        .replace('{{context}}', context);
-
-    const messages = [
-        { role: 'system', content: prompt },
-        ...history.slice(-10).map(m => ({ role: m.role, content: m.content })),
-        { role: 'system', content: `[Instruction: ${instruction}. Respond naturally as the assistant, don't mention that you were prompted.]` }
-    ];
+    const overlay = document.createElement('div');
+    overlay.className = 'whispers-edit-popup-overlay';
 
-    try {
-        showTyping();
-        const statusEl = document.getElementById('whispers-chat-status');
-        if (statusEl) statusEl.textContent = 'Typing...';
+    const avatarHtml = asst.avatar
+        ? `<img src="${asst.avatar}" alt="" style="width:20px;height:20px;border-radius:50%;object-fit:cover;">`
+        : '<i class="fa-solid fa-ghost"></i>';
 
-        const response = await callApi(messages);
-        hideTyping();
+    overlay.innerHTML = `
+        <div class="whispers-note-popup">
+            <div class="whispers-note-popup-header">
+                ${avatarHtml}
+                <strong>${escapeHtml(asst.name || 'Assistant')}</strong>
+                <span style="flex:1"></span>
+                <button class="whispers-note-popup-close"><i class="fa-solid fa-xmark"></i></button>
+            </div>
+            <div class="whispers-note-popup-body whispers-md">${asst.note ? renderMarkdown(asst.note, { html: true }) : '<em style="opacity:0.5;">No notes yet</em>'}</div>
+        </div>
+    `;
 
-        history.push({ role: 'assistant', content: response, timestamp: Date.now() });
-        await saveChatMeta();
-        addBubble('assistant', response);
+    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+    overlay.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (e.target === overlay) overlay.remove();
+    });
+    overlay.querySelector('.whispers-note-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
 
-        if (statusEl) statusEl.textContent = 'Online';
-    } catch (err) {
-        hideTyping();
-        console.error('[Whispers] Proactive chat error:', err);
-    }
+    document.body.appendChild(overlay);
 }
 
-// ── Automation Handler ──────────────────────────────────────────
+// ── Confirmation Popup ────────────────────────────────────────
 
-async function onMainChatMessage() {
-    const s = getSettings();
-    if (!s.enabled) return;
+function showConfirmationPopup(message, onConfirm) {
+    closeAllPopups();
+    const overlay = document.createElement('div');
+    overlay.className = 'whispers-edit-popup-overlay';
+    overlay.innerHTML = `
+        <div class="whispers-edit-popup" style="width: min(320px, 90vw);">
+            <div class="whispers-edit-popup-header">
+                <i class="fa-solid fa-triangle-exclamation"></i>
+                <strong>Confirm Action</strong>
+            </div>
+            <div class="whispers-edit-popup-body" style="text-align:center; padding: 20px;">
+                <p>${escapeHtml(message)}</p>
+                <div class="whispers-row" style="justify-content:center; gap:10px; margin-top:10px;">
+                    <button class="menu_button wf-confirm-yes" style="background:var(--SmartThemeQuoteColor); color:var(--SmartThemeQuoteFontColor);"><i class="fa-solid fa-check"></i> Yes</button>
+                    <button class="menu_button wf-confirm-no"><i class="fa-solid fa-xmark"></i> No</button>
+                </div>
+            </div>
+        </div>
+    `;
 
-    const counter = incrementMsgCounter();
+    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
+    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
+    
+    overlay.querySelector('.wf-confirm-yes').addEventListener('click', () => {
+        onConfirm();
+        overlay.remove();
+    });
+    
+    overlay.querySelector('.wf-confirm-no').addEventListener('click', () => {
+        overlay.remove();
+    });
 
-    // Twitter automation
-    if (s.twitterMode) {
-        const shouldTriggerTwitter =
-            s.twitterAutoMode === 'every' ||
-            (s.twitterAutoMode === 'custom' && counter % (s.twitterAutoInterval || 5) === 0);
-        if (shouldTriggerTwitter) {
-            generateTwitterPosts();
-        }
-    }
+    document.body.appendChild(overlay);
+}
 
-    // Chat proactive automation
-    if (s.chatMode && s.chatProactive !== 'none') {
-        const shouldTriggerChat =
-            s.chatAutoMode === 'every' ||
-            (s.chatAutoMode === 'custom' && counter % (s.chatAutoInterval || 3) === 0);
-        if (shouldTriggerChat) {
-            triggerProactiveChat();
-        }
-    }
+// ── Helper: close all popups ────────────────────────────────────
+
+function closeAllPopups() {
+    document.querySelectorAll('.whispers-edit-popup-overlay').forEach(el => el.remove());
 }
 
+// ── Chat UI ─────────────────────────────────────────────────────
 
+function renderChatMessages() {
+    const el = document.getElementById('whispers-messages');
+    const empty = document.getElementById('whispers-empty-state');
+    if (!el) return;
+    el.querySelectorAll('.whispers-msg, .whispers-typing').forEach(e => e.remove());
+    const history = getWhispersHistory();
+    if (history.length === 0) { if (empty) empty.style.display = ''; return; }
+    if (empty) empty.style.display = 'none';
+    history.forEach((msg, index) => {
+        el.appendChild(buildChatBubble(msg, index));
+    });
+    el.scrollTop = el.scrollHeight;
+}
 
-const FA_ICONS = [
-    'fa-folder','fa-folder-open','fa-star','fa-heart','fa-fire','fa-bolt',
-    'fa-crown','fa-gem','fa-shield','fa-wand-magic-sparkles','fa-hat-wizard',
-    'fa-dragon','fa-ghost','fa-skull','fa-cat','fa-dog','fa-paw','fa-feather',
-    'fa-dove','fa-fish','fa-spider','fa-bug','fa-leaf','fa-tree','fa-seedling',
-    'fa-sun','fa-moon','fa-cloud','fa-snowflake','fa-rainbow','fa-umbrella',
-    'fa-music','fa-guitar','fa-headphones','fa-gamepad','fa-puzzle-piece',
-    'fa-dice','fa-chess','fa-palette','fa-brush','fa-pen-fancy','fa-book',
-    'fa-book-open','fa-scroll','fa-graduation-cap','fa-flask','fa-atom',
-    'fa-rocket','fa-plane','fa-car','fa-bicycle','fa-ship','fa-anchor',
-    'fa-compass','fa-map','fa-mountain','fa-water','fa-campground',
-    'fa-house','fa-building','fa-store','fa-hospital','fa-church',
-    'fa-landmark','fa-trophy','fa-medal','fa-flag','fa-gift','fa-cake-candles',
-    'fa-champagne-glasses','fa-bell','fa-envelope','fa-comment','fa-comments',
-    'fa-circle-info','fa-lightbulb','fa-gear','fa-wrench','fa-hammer',
-    'fa-screwdriver-wrench','fa-key','fa-lock','fa-unlock','fa-eye',
-    'fa-hand','fa-thumbs-up','fa-face-smile','fa-face-laugh','fa-masks-theater',
-    'fa-robot','fa-microchip','fa-code','fa-terminal','fa-database',
-    'fa-server','fa-network-wired','fa-wifi','fa-globe','fa-earth-americas',
-    'fa-user','fa-users','fa-user-secret','fa-people-group',
-    'fa-suitcase','fa-briefcase','fa-box','fa-cubes','fa-tag','fa-tags',
-];
+function addBubble(role, content, extra = {}) {
+    const el = document.getElementById('whispers-messages');
+    const empty = document.getElementById('whispers-empty-state');
+    if (!el) return;
+    if (empty) empty.style.display = 'none';
+    const history = getWhispersHistory();
+    const index = history.length - 1;
+    el.appendChild(buildChatBubble({ role, content, timestamp: Date.now(), ...extra }, index));
+    el.scrollTop = el.scrollHeight;
+}
 
-// ── UI: Render Item List (Folders + Assistants) ─────────────────
+// Live assistant bubble that fills in while a reply streams. commit() swaps
+// it for the regular bubble once the message is in the thread history.
+function createStreamingBubble() {
+    let bubble = null;
+    return {
+        text: '',
+        update(text) {
+            this.text = text;
+            const el = document.getElementById('whispers-messages');
+            if (!el) return;
+            if (!bubble) {
+                hideTyping();
+                bubble = document.createElement('div');
+                bubble.className = 'whispers-msg whispers-msg-assistant whispers-msg-streaming';
+                bubble.innerHTML = '<div class="whispers-msg-text"></div>';
+                el.appendChild(bubble);
+            }
+            bubble.querySelector('.whispers-msg-text').textContent = stripRememberTags(text);
+            el.scrollTop = el.scrollHeight;
+        },
+        commit(role, content, extra = {}) {
+            if (!bubble) { addBubble(role, content, extra); return; }
+            const index = getWhispersHistory().length - 1;
+            const final = buildChatBubble({ role, content, timestamp: Date.now(), ...extra }, index);
+            final.classList.add('whispers-msg-settled');
+            bubble.replaceWith(final);
+            bubble = null;
+        },
+        remove() {
+            bubble?.remove();
+            bubble = null;
+        },
+    };
+}
 
-function renderItemList() {
-    const settings = getSettings();
-    const list = document.getElementById('whispers-item-list');
-    if (!list) return;
-    list.innerHTML = '';
+function buildChatBubble(msg, index) {
+    const b = document.createElement('div');
+    b.className = `whispers-msg whispers-msg-${msg.role}`;
+    b.dataset.index = index;
+    const t = msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
 
-    // Render folders
-    for (const folder of settings.folders) {
-        const folderAssistants = settings.assistants.filter(a => a.folderId === folder.id);
-        const folderEl = document.createElement('div');
-        folderEl.className = 'whispers-folder';
-        folderEl.dataset.id = folder.id;
-        folderEl.style.setProperty('--folder-color', folder.color || '#888');
+    // Action buttons
+    let actionsHtml = '';
+    if (msg.role === 'assistant') {
+        actionsHtml = `<span class="whispers-msg-actions">
+            <button class="whispers-msg-action-btn whispers-msg-edit" title="Edit"><i class="fa-solid fa-pen"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-retry" title="New swipe (the current reply is kept)"><i class="fa-solid fa-rotate-right"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-regen" title="Regenerate from here (drops later messages)"><i class="fa-solid fa-forward-step"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-branch" title="Branch into a new thread from here"><i class="fa-solid fa-code-branch"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-to-main" title="Use in the main chat"><i class="fa-solid fa-share-from-square"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-delete" title="Delete"><i class="fa-solid fa-trash"></i></button>
+        </span>
+        <div class="whispers-msg-to-main-menu" style="display:none;">
+            ${TO_MAIN_ACTIONS.map(a => `<button class="whispers-msg-to-main-item" data-action="${a.key}"><i class="fa-solid ${a.icon}"></i> ${a.label}</button>`).join('')}
+        </div>`;
+    } else {
+        actionsHtml = `<span class="whispers-msg-actions">
+            <button class="whispers-msg-action-btn whispers-msg-edit" title="Edit"><i class="fa-solid fa-pen"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-regen" title="Regenerate from here (drops later messages)"><i class="fa-solid fa-forward-step"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-branch" title="Branch into a new thread from here"><i class="fa-solid fa-code-branch"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-delete" title="Delete"><i class="fa-solid fa-trash"></i></button>
+        </span>`;
+    }
 
-        folderEl.innerHTML = `
-            <div class="whispers-folder-header">
-                <span class="whispers-folder-icon" style="color:${folder.color || 'inherit'}">
-                    <i class="fa-solid ${folder.icon || 'fa-folder'}"></i>
-                </span>
-                <span class="whispers-folder-name">${escapeHtml(folder.name || 'Folder')}</span>
-                <span class="whispers-folder-count">${folderAssistants.length}</span>
-                <span class="whispers-folder-actions">
-                    <button class="folder-info-btn" title="Author's Note"><i class="fa-solid fa-circle-info"></i></button>
-                    <button class="edit-folder-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
-                    <button class="export-folder-btn" title="Export"><i class="fa-solid fa-file-export"></i></button>
-                    <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
-                </span>
-                <i class="fa-solid fa-chevron-right whispers-folder-chevron"></i>
-            </div>
-            <div class="whispers-folder-children"></div>
-        `;
+    // Name replies from an assistant other than the one in the header
+    const author = msg.role === 'assistant' && msg.assistantId && msg.assistantId !== getActiveAssistant()?.id
+        ? getSettings().assistants.find(a => a.id === msg.assistantId) : null;
+    const authorHtml = author ? `<div class="whispers-msg-author">${escapeHtml(author.name || 'Assistant')}</div>` : '';
 
-        // Folder header click to expand/collapse
-        const header = folderEl.querySelector('.whispers-folder-header');
-        header.addEventListener('click', (e) => {
-            if (e.target.closest('.whispers-folder-actions')) return;
-            folderEl.classList.toggle('open');
-        });
+    // Swipe arrows; the right one generates a new swipe past the last
+    let swipesHtml = '';
+    if (msg.role === 'assistant') {
+        const count = msg.swipes?.length || 1;
+        const current = (msg.swipeId || 0) + 1;
+        swipesHtml = `<span class="whispers-msg-swipes">
+            <button class="whispers-msg-action-btn whispers-msg-swipe" data-direction="-1" title="Previous swipe"${current > 1 ? '' : ' disabled'}><i class="fa-solid fa-chevron-left"></i></button>
+            <span class="whispers-msg-swipe-count">${current}/${count}</span>
+            <button class="whispers-msg-action-btn whispers-msg-swipe" data-direction="1" title="${current < count ? 'Next swipe' : 'New swipe'}"><i class="fa-solid fa-chevron-right"></i></button>
+        </span>`;
+    }
 
-        // Author's note popup (always visible)
-        folderEl.querySelector('.folder-info-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            showNotePopup(folder);
-        });
+    // The main chat message a whisper asks about, quoted above it
+    const quoteHtml = msg.reference ? `<div class="whispers-msg-quote" title="${escapeHtml(msg.reference.name)}: message #${msg.reference.index}">
+            <i class="fa-solid fa-quote-left"></i> <b>${escapeHtml(msg.reference.name)}</b>: ${escapeHtml(referenceSnippet(msg.reference.text))}
+        </div>` : '';
 
-        // Edit folder
-        folderEl.querySelector('.edit-folder-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            showFolderEditPopup(folder);
-        });
+    b.innerHTML = `${authorHtml}${quoteHtml}<div class="whispers-msg-text whispers-md">${renderMarkdown(msg.content)}</div><span class="whispers-msg-time">${t}</span>${swipesHtml}${actionsHtml}`;
 
-        // Export folder
-        folderEl.querySelector('.export-folder-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            exportFolderToPng(folder, folderAssistants);
-        });
+    b.querySelectorAll('.whispers-msg-swipe').forEach(btn => btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        swipeChatMessage(index, Number(btn.dataset.direction));
+    }));
 
-        // Delete folder
-        folderEl.querySelector('.delete-btn').addEventListener('click', (e) => {
-            e.stopPropagation();
-            showConfirmationPopup(`Delete folder "${folder.name}" and all its assistants?`, () => {
-                // Delete folder
-                settings.folders = settings.folders.filter(f => f.id !== folder.id);
-                // Delete assistants in folder
-                settings.assistants = settings.assistants.filter(a => a.folderId !== folder.id);
-                // Clear selection if needed
-                if (editingAssistantId) {
-                    const exists = settings.assistants.find(a => a.id === editingAssistantId);
-                    if (!exists) editingAssistantId = null;
-                }
-                const meta = getChatMeta();
-                if (meta && meta.whispers_assistant_id) {
-                    const exists = settings.assistants.find(a => a.id === meta.whispers_assistant_id);
-                    if (!exists) { delete meta.whispers_assistant_id; saveChatMeta(); }
-                }
+    // Delete handler
+    b.querySelector('.whispers-msg-delete').addEventListener('click', (e) => {
+        e.stopPropagation();
+        deleteChatMessage(index);
+    });
 
-                saveSettings();
-                renderItemList();
-                updateChatHeader();
-                toastr.success('Folder and contents deleted');
-            });
-        });
+    b.querySelector('.whispers-msg-edit').addEventListener('click', (e) => {
+        e.stopPropagation();
+        editChatMessage(index);
+    });
+    b.querySelector('.whispers-msg-regen').addEventListener('click', (e) => {
+        e.stopPropagation();
+        regenerateFrom(index);
+    });
+    b.querySelector('.whispers-msg-branch').addEventListener('click', (e) => {
+        e.stopPropagation();
+        branchThread(index);
+    });
 
-        // Drag-and-drop: folder as drop target
-        const childrenEl = folderEl.querySelector('.whispers-folder-children');
-        folderEl.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            folderEl.classList.add('drag-over');
-        });
-        folderEl.addEventListener('dragleave', (e) => {
-            if (!folderEl.contains(e.relatedTarget)) folderEl.classList.remove('drag-over');
-        });
-        folderEl.addEventListener('drop', (e) => {
-            e.preventDefault();
-            folderEl.classList.remove('drag-over');
-            const asstId = e.dataTransfer.getData('text/plain');
-            if (asstId) {
-                const asst = settings.assistants.find(a => a.id === asstId);
-                if (asst) {
-                    asst.folderId = folder.id;
-                    saveSettings();
-                    renderItemList();
-                    toastr.success(`Moved "${asst.name}" to "${folder.name}"`);
-                }
-            }
+    // Send-to-main-chat menu (assistant only)
+    const menu = b.querySelector('.whispers-msg-to-main-menu');
+    b.querySelector('.whispers-msg-to-main')?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        menu.style.display = menu.style.display === 'none' ? '' : 'none';
+    });
+    menu?.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = e.target.closest('.whispers-msg-to-main-item');
+        if (!item) return;
+        menu.style.display = 'none';
+        sendToMainChat(index, item.dataset.action);
+    });
+
+    // Retry handler (assistant only)
+    const retryBtn = b.querySelector('.whispers-msg-retry');
+    if (retryBtn) {
+        retryBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            retryChatMessage(index);
         });
+    }
 
-        // Add assistants inside folder
-        for (const asst of folderAssistants) {
-            childrenEl.appendChild(createAssistantItem(asst));
-        }
+    return b;
+}
 
-        list.appendChild(folderEl);
-    }
+// ── Queue Panel ─────────────────────────────────────────────────
 
-    // Render unfoldered assistants
-    const unfoldered = settings.assistants.filter(a => !a.folderId);
-    for (const asst of unfoldered) {
-        list.appendChild(createAssistantItem(asst));
+function renderQueuePanel() {
+    const { running, pending } = generationQueue;
+    const total = running.length + pending.length;
+    const badge = document.getElementById('whispers-queue-badge');
+    if (badge) {
+        badge.textContent = total;
+        badge.style.display = total ? '' : 'none';
     }
 
-    // Drop-to-root zone
-    list.addEventListener('dragover', (e) => { e.preventDefault(); });
-    list.addEventListener('drop', (e) => {
-        if (e.target.closest('.whispers-folder')) return; // handled by folder
-        e.preventDefault();
-        const asstId = e.dataTransfer.getData('text/plain');
-        if (asstId) {
-            const asst = settings.assistants.find(a => a.id === asstId);
-            if (asst && asst.folderId) {
-                asst.folderId = null;
-                saveSettings();
-                renderItemList();
-                toastr.info(`Removed "${asst.name}" from folder`);
-            }
-        }
-    });
-
-    if (settings.folders.length === 0 && settings.assistants.length === 0) {
-        list.innerHTML = '<div style="opacity:0.4;font-size:0.85em;text-align:center;padding:10px;">No assistants yet</div>';
+    const panel = document.getElementById('whispers-queue-panel');
+    if (!panel || panel.style.display === 'none') return;
+    if (!total) {
+        panel.innerHTML = '<div class="whispers-queue-empty">Nothing pending</div>';
+        return;
     }
+    const row = (job, isRunning) => `
+        <div class="whispers-queue-row">
+            <i class="fa-solid ${isRunning ? 'fa-spinner fa-spin' : 'fa-hourglass-half'}"></i>
+            <span class="whispers-queue-label">${escapeHtml(job.label)}</span>
+            <span class="whispers-queue-prio whispers-queue-prio-${job.priority}">${job.priority}</span>
+            ${isRunning ? '' : `<button class="whispers-queue-drop" data-job="${job.id}" title="Remove from queue"><i class="fa-solid fa-xmark"></i></button>`}
+        </div>`;
+    panel.innerHTML = running.map(j => row(j, true)).join('') + pending.map(j => row(j, false)).join('');
 }
 
-function createAssistantItem(asst) {
-    const settings = getSettings();
-    const container = document.createElement('div');
+// ── Thread Panel ────────────────────────────────────────────────
 
-    // Item row
-    const item = document.createElement('div');
-    item.className = 'whispers-assistant-item';
-    item.dataset.id = asst.id;
-    item.draggable = true;
+let showArchivedThreads = false;
+let renamingThreadId = null;
 
-    const avatarHtml = asst.avatar
-        ? `<img class="whispers-assistant-avatar" src="${asst.avatar}" alt="">`
-        : `<div class="whispers-assistant-avatar-placeholder"><i class="fa-solid fa-ghost"></i></div>`;
+// A reply streaming into a thread must land there, so threads don't change under it
+function isWhisperBusy() {
+    if (!isGenerating && !isRequestActive('proactive')) return false;
+    toastr.info('Wait for the reply to finish or stop it first');
+    return true;
+}
 
-    // Binding badge
-    let badge = '';
-    if (asst.binding === 'global') badge = '<i class="fa-solid fa-globe whispers-badge" title="Global"></i>';
-    else if (asst.binding === 'character') badge = `<i class="fa-solid fa-user whispers-badge" title="Character: ${escapeHtml(asst.bindingTarget || '')}"></i>`;
-    else if (asst.binding === 'chat') badge = '<i class="fa-solid fa-comment whispers-badge" title="Chat-bound"></i>';
+async function openThread(thread) {
+    const meta = getChatMeta();
+    if (!meta) return;
+    meta.whispers_thread_id = thread.id;
+    sessionAssistantId = null;
+    await saveChatMeta();
+    renderChatMessages();
+    updateChatHeader();
+    renderThreadPanel();
+    renderAssistantPicker();
+}
 
-    item.innerHTML = `
-        ${avatarHtml}
-        <span class="whispers-assistant-name">${escapeHtml(asst.name || 'Unnamed')}</span>
-        <span class="whispers-assistant-badges">${badge}</span>
-        <span class="whispers-assistant-actions">
-            <button class="asst-info-btn" title="Author's Note"><i class="fa-solid fa-circle-info"></i></button>
-            <button class="edit-asst-btn" title="Edit"><i class="fa-solid fa-pen"></i></button>
-            <button class="export-btn" title="Export PNG"><i class="fa-solid fa-file-export"></i></button>
-            <button class="delete-btn" title="Delete"><i class="fa-solid fa-trash"></i></button>
-        </span>
-    `;
+async function newThread() {
+    if (!getChatMeta() || isWhisperBusy()) return;
+    const threads = getThreads();
+    const thread = createThread(`Thread ${threads.length + 1}`, getActiveAssistant()?.id || null);
+    getChatMeta().whispers_threads = [...threads, thread];
+    renamingThreadId = thread.id;
+    await openThread(thread);
+}
 
-    // Drag start
-    item.addEventListener('dragstart', (e) => {
-        e.dataTransfer.setData('text/plain', asst.id);
-        e.dataTransfer.effectAllowed = 'move';
-        item.classList.add('dragging');
-    });
-    item.addEventListener('dragend', () => {
-        item.classList.remove('dragging');
-    });
+async function setThreadArchived(thread, archived) {
+    thread.archived = archived;
+    if (archived && thread === getActiveThread()) {
+        // Falls back to another open thread, or starts a new one
+        getChatMeta().whispers_thread_id = null;
+        await openThread(ensureActiveThread());
+        return;
+    }
+    await saveChatMeta();
+    renderThreadPanel();
+}
 
-    // Click row to open edit popup
-    item.addEventListener('click', (e) => {
-        if (e.target.closest('.whispers-assistant-actions')) return;
-        showAssistantEditPopup(asst);
-    });
+// Copies the open thread up to and including the message at index into a new
+// thread and opens it; the original stays as it was
+async function branchThread(index) {
+    const source = getActiveThread();
+    if (!source || isWhisperBusy()) return;
+    const thread = createThread(`${source.name} (branch)`, source.assistantId);
+    thread.history = structuredClone(source.history.slice(0, index + 1));
+    const covered = summaryCoverage(source.summary, source.history, SillyTavern.getContext().chat || []);
+    if (source.summary && covered.history <= thread.history.length) thread.summary = structuredClone(source.summary);
+    const threads = getThreads();
+    threads.splice(threads.indexOf(source) + 1, 0, thread);
+    await openThread(thread);
+    toastr.success(`Branched into "${thread.name}"`);
+}
 
-    // Info (author's note)
-    item.querySelector('.asst-info-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        showAssistantNotePopup(asst);
+function deleteThread(thread) {
+    showConfirmationPopup(`Delete "${thread.name}" and its ${thread.history.length} message(s)?`, async () => {
+        const meta = getChatMeta();
+        if (!meta) return;
+        meta.whispers_threads = getThreads().filter(t => t !== thread);
+        if (meta.whispers_thread_id === thread.id) meta.whispers_thread_id = null;
+        await openThread(ensureActiveThread());
     });
+}
 
-    // Edit
-    item.querySelector('.edit-asst-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        showAssistantEditPopup(asst);
-    });
+function renderThreadPanel() {
+    const panel = document.getElementById('whispers-thread-panel');
+    if (!panel || panel.style.display === 'none') return;
+    if (!getChatMeta()) {
+        panel.innerHTML = '<div class="whispers-queue-empty">Open a chat first</div>';
+        return;
+    }
+    const active = getActiveThread();
+    const threads = getThreads();
+    const archivedCount = threads.filter(t => t.archived).length;
+    const assistants = getSettings().assistants;
+    const rows = threads.filter(t => !t.archived || showArchivedThreads || t === active).map(t => {
+        const who = assistants.find(a => a.id === t.assistantId)?.name || 'Default assistant';
+        const name = t.id === renamingThreadId
+            ? '<input type="text" class="whispers-thread-rename">'
+            : `<span class="whispers-thread-name">${escapeHtml(t.name)}</span>`;
+        return `
+        <div class="whispers-thread-row${t === active ? ' active' : ''}${t.archived ? ' archived' : ''}" data-thread="${t.id}">
+            <i class="fa-solid ${t.archived ? 'fa-box-archive' : 'fa-comments'}"></i>
+            ${name}
+            <span class="whispers-thread-meta">${escapeHtml(who)} · ${t.history.length}</span>
+            <button class="whispers-queue-drop" data-thread-action="rename" title="Rename"><i class="fa-solid fa-pen"></i></button>
+            <button class="whispers-queue-drop" data-thread-action="archive" title="${t.archived ? 'Restore' : 'Archive'}"><i class="fa-solid ${t.archived ? 'fa-box-open' : 'fa-box-archive'}"></i></button>
+            <button class="whispers-queue-drop" data-thread-action="delete" title="Delete"><i class="fa-solid fa-trash"></i></button>
+        </div>`;
+    }).join('');
+    panel.innerHTML = `
+        <div class="whispers-thread-tools">
+            <button class="whispers-thread-new" data-thread-action="new"><i class="fa-solid fa-plus"></i> New thread</button>
+            <span style="flex:1"></span>
+            ${archivedCount ? `<label class="whispers-thread-archived"><input type="checkbox" data-thread-action="archived"${showArchivedThreads ? ' checked' : ''}> Archived (${archivedCount})</label>` : ''}
+        </div>
+        ${rows}`;
+
+    const input = panel.querySelector('.whispers-thread-rename');
+    if (input) {
+        const thread = threads.find(t => t.id === renamingThreadId);
+        input.value = thread?.name || '';
+        input.focus();
+        input.select();
+    }
+}
 
-    // Export
-    item.querySelector('.export-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        exportAssistantToPng(asst);
+function bindThreadPanelEvents(panel) {
+    const threadOf = (el) => getThreads().find(t => t.id === el.closest('[data-thread]')?.dataset.thread);
+
+    panel.addEventListener('click', async (e) => {
+        if (e.target.closest('.whispers-thread-rename')) return;
+        const btn = e.target.closest('[data-thread-action]');
+        const action = btn?.dataset.threadAction;
+        if (action === 'new') { newThread(); return; }
+        if (action === 'archived') { showArchivedThreads = btn.checked; renderThreadPanel(); return; }
+        const thread = threadOf(e.target);
+        if (!thread) return;
+        if (action === 'rename') {
+            renamingThreadId = thread.id;
+            renderThreadPanel();
+        } else if (action === 'archive') {
+            if (!isWhisperBusy()) await setThreadArchived(thread, !thread.archived);
+        } else if (action === 'delete') {
+            if (!isWhisperBusy()) deleteThread(thread);
+        } else if (thread !== getActiveThread() && !isWhisperBusy()) {
+            await openThread(thread);
+        }
     });
 
-    // Delete
-    item.querySelector('.delete-btn').addEventListener('click', (e) => {
-        e.stopPropagation();
-        showConfirmationPopup(`Delete "${asst.name}"?`, () => {
-            settings.assistants = settings.assistants.filter(a => a.id !== asst.id);
-            if (editingAssistantId === asst.id) editingAssistantId = null;
-            const meta = getChatMeta();
-            if (meta && meta.whispers_assistant_id === asst.id) delete meta.whispers_assistant_id;
-            saveSettings();
-            renderItemList();
+    // Enter or leaving the field saves the name, Escape keeps the old one
+    const finishRename = async (input, save) => {
+        const thread = threadOf(input);
+        renamingThreadId = null;
+        if (save && thread && input.value.trim()) {
+            thread.name = input.value.trim();
+            await saveChatMeta();
             updateChatHeader();
-            toastr.success('Assistant deleted');
-        });
+        }
+        renderThreadPanel();
+    };
+    panel.addEventListener('keydown', (e) => {
+        if (!e.target.matches('.whispers-thread-rename')) return;
+        if (e.key === 'Enter') { e.preventDefault(); finishRename(e.target, true); }
+        else if (e.key === 'Escape') { e.preventDefault(); finishRename(e.target, false); }
+    });
+    panel.addEventListener('focusout', (e) => {
+        if (e.target.matches('.whispers-thread-rename') && renamingThreadId) finishRename(e.target, true);
     });
+}
 
-    container.appendChild(item);
-    return container;
+// ── Assistant Picker ────────────────────────────────────────────
+// Clicking the header lists every assistant. Picking one swaps it in for the
+// session; the pin keeps it on the open thread.
+
+async function pickAssistant(assistantId, pin) {
+    if (isWhisperBusy()) return;
+    const thread = getActiveThread();
+    if (pin) {
+        if (!thread) { toastr.warning('Open a chat first'); return; }
+        thread.assistantId = assistantId;
+        sessionAssistantId = null;
+        await saveChatMeta();
+    } else {
+        sessionAssistantId = assistantId;
+    }
+    updateChatHeader();
+    renderChatMessages();
+    renderAssistantPicker();
+    renderThreadPanel();
 }
 
-// ── Assistant Edit Popup ────────────────────────────────────────
+// Back to the thread's own assistant, or the binding rules if it has none
+async function resetAssistantPick() {
+    if (isWhisperBusy()) return;
+    if (sessionAssistantId) {
+        sessionAssistantId = null;
+    } else {
+        const thread = getActiveThread();
+        if (thread) thread.assistantId = null;
+        await saveChatMeta();
+    }
+    updateChatHeader();
+    renderChatMessages();
+    renderAssistantPicker();
+    renderThreadPanel();
+}
 
-function showAssistantEditPopup(asst) {
-    closeAllPopups();
-    const charName = getCurrentCharName();
+function renderAssistantPicker() {
+    const panel = document.getElementById('whispers-assistant-picker');
+    if (!panel || panel.style.display === 'none') return;
+    const assistants = getSettings().assistants;
+    if (!assistants.length) {
+        panel.innerHTML = '<div class="whispers-queue-empty">No assistants yet</div>';
+        return;
+    }
+    const active = getActiveAssistant();
+    const pinnedId = getActiveThread()?.assistantId;
+    const rows = assistants.map(a => {
+        const avatar = a.avatar
+            ? `<img class="whispers-picker-avatar" src="${a.avatar}" alt="">`
+            : '<i class="fa-solid fa-ghost whispers-picker-avatar"></i>';
+        let state = '';
+        if (a === active) state = sessionAssistantId === a.id ? 'for now' : (pinnedId === a.id ? 'pinned' : 'default');
+        return `
+        <div class="whispers-picker-row${a === active ? ' active' : ''}" data-assistant="${a.id}">
+            ${avatar}
+            <span class="whispers-queue-label">${escapeHtml(a.name || 'Unnamed')}</span>
+            <span class="whispers-thread-meta">${state}</span>
+            <button class="whispers-queue-drop" data-picker-action="pin" title="Pin to this thread"><i class="fa-solid fa-thumbtack"></i></button>
+        </div>`;
+    }).join('');
+    const reset = sessionAssistantId || pinnedId
+        ? `<div class="whispers-picker-row" data-picker-action="reset"><i class="fa-solid fa-rotate-left whispers-picker-avatar"></i><span class="whispers-queue-label">${sessionAssistantId ? 'Back to the thread\'s assistant' : 'Unpin (use the binding rules)'}</span></div>`
+        : '';
+    panel.innerHTML = rows + reset;
+}
 
-    const overlay = document.createElement('div');
-    overlay.className = 'whispers-edit-popup-overlay';
-    overlay.innerHTML = `
-        <div class="whispers-edit-popup">
-            <div class="whispers-edit-popup-header">
-                <i class="fa-solid fa-ghost"></i>
-                <strong>Edit Assistant</strong>
-                <span style="flex:1"></span>
-                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
-            </div>
-            <div class="whispers-edit-popup-body">
-                <div class="whispers-avatar-upload">
-                    <div class="whispers-avatar-preview-placeholder" id="whispers-popup-avatar" title="Click to set avatar" style="cursor:pointer;">
-                        ${asst.avatar ? `<img class="whispers-avatar-preview" src="${asst.avatar}" alt="">` : '<i class="fa-solid fa-image"></i>'}
-                    </div>
-                    <span style="font-size:0.8em;opacity:0.6;">Click to set avatar</span>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-signature"></i> Name</label>
-                    <input type="text" class="w-edit-name" value="${escapeHtml(asst.name || '')}" placeholder="Name">
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-masks-theater"></i> Character</label>
-                    <textarea class="w-edit-character" rows="3" placeholder="Personality...">${escapeHtml(asst.character || '')}</textarea>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-ban"></i> Bans</label>
-                    <textarea class="w-edit-bans" rows="2" placeholder="Never say...">${escapeHtml(asst.bans || '')}</textarea>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-comment-dots"></i> Message Example</label>
-                    <textarea class="w-edit-example" rows="3" placeholder="Write an example of how this assistant should respond...">${escapeHtml(asst.messageExample || '')}</textarea>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-link"></i> Binding</label>
-                    <select class="w-edit-binding">
-                        <option value="none" ${asst.binding === 'none' || !asst.binding ? 'selected' : ''}>None</option>
-                        <option value="global" ${asst.binding === 'global' ? 'selected' : ''}>Global (all chats)</option>
-                        <option value="character" ${asst.binding === 'character' ? 'selected' : ''}>Character${charName ? ` (${charName})` : ''}</option>
-                        <option value="chat" ${asst.binding === 'chat' ? 'selected' : ''}>This Chat</option>
-                    </select>
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-note-sticky"></i> Author's Note <span style="font-size:0.75em;opacity:0.5;">(HTML supported)</span></label>
-                    <textarea class="w-edit-note" rows="3" placeholder="Notes about this assistant...">${escapeHtml(asst.note || '')}</textarea>
-                </div>
-                <div class="whispers-row">
-                    <button class="menu_button w-save-btn"><i class="fa-solid fa-floppy-disk"></i> Save</button>
-                </div>
-            </div>
-        </div>
-    `;
+function toggleAssistantPicker() {
+    const panel = document.getElementById('whispers-assistant-picker');
+    if (!panel) return;
+    panel.style.display = panel.style.display === 'none' ? '' : 'none';
+    renderAssistantPicker();
+}
 
-    // Close — stopPropagation prevents ST drawer from collapsing
-    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
-    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
-    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+function bindAssistantPickerEvents(panel) {
+    panel.addEventListener('click', (e) => {
+        if (e.target.closest('[data-picker-action="reset"]')) { resetAssistantPick(); return; }
+        const row = e.target.closest('[data-assistant]');
+        if (!row) return;
+        pickAssistant(row.dataset.assistant, !!e.target.closest('[data-picker-action="pin"]'));
+    });
+}
 
-    const body = overlay.querySelector('.whispers-edit-popup-body');
+// ── Mentions ────────────────────────────────────────────────────
+// Typing @ in the whispers input suggests assistants; Tab or a click fills
+// the name in. sendMessage picks the mention up (see findMentionedAssistant).
 
-    // Avatar click
-    body.querySelector('#whispers-popup-avatar').addEventListener('click', () => {
-        const fileInput = document.getElementById('whispers-avatar-file');
-        fileInput.dataset.targetAssistant = asst.id;
-        fileInput.click();
-    });
+function mentionQueryAt(input) {
+    const before = input.value.slice(0, input.selectionStart);
+    const match = before.match(/(^|\s)@([^\s@]*)$/);
+    return match ? { query: match[2], start: before.length - match[2].length - 1 } : null;
+}
 
-    // Save
-    body.querySelector('.w-save-btn').addEventListener('click', () => {
-        asst.name = body.querySelector('.w-edit-name').value || 'Unnamed';
-        asst.character = body.querySelector('.w-edit-character').value || '';
-        asst.bans = body.querySelector('.w-edit-bans').value || '';
-        asst.messageExample = body.querySelector('.w-edit-example').value || '';
-        asst.note = body.querySelector('.w-edit-note').value || '';
+function mentionMatches(query) {
+    const q = query.toLowerCase();
+    return getSettings().assistants.filter(a => a.name && a.name.toLowerCase().startsWith(q)).slice(0, 6);
+}
 
-        const newBinding = body.querySelector('.w-edit-binding').value;
-        asst.binding = newBinding;
-        if (newBinding === 'character') {
-            asst.bindingTarget = getCurrentCharName();
-        } else if (newBinding === 'chat') {
-            const meta = getChatMeta();
-            if (meta) meta.whispers_assistant_id = asst.id;
-            saveChatMeta();
-        } else {
-            asst.bindingTarget = null;
-        }
+function renderMentionList() {
+    const list = document.getElementById('whispers-mention-list');
+    const input = document.getElementById('whispers-input');
+    if (!list || !input) return;
+    const mention = mentionQueryAt(input);
+    const matches = mention ? mentionMatches(mention.query) : [];
+    if (!matches.length) { list.style.display = 'none'; return; }
+    list.innerHTML = matches.map((a, i) => `
+        <div class="whispers-mention-item${i === 0 ? ' active' : ''}" data-assistant="${a.id}">
+            <i class="fa-solid fa-at"></i> ${escapeHtml(a.name)}
+        </div>`).join('');
+    list.style.display = '';
+}
 
-        saveSettings();
-        renderItemList();
-        updateChatHeader();
-        overlay.remove();
-        toastr.success('Assistant saved');
-    });
+function insertMention(assistantId) {
+    const input = document.getElementById('whispers-input');
+    const assistant = getSettings().assistants.find(a => a.id === assistantId);
+    const mention = input && mentionQueryAt(input);
+    if (!assistant || !mention) return;
+    const after = input.value.slice(input.selectionStart);
+    input.value = `${input.value.slice(0, mention.start)}@${assistant.name} ${after.replace(/^\s+/, '')}`;
+    const caret = mention.start + assistant.name.length + 2;
+    input.setSelectionRange(caret, caret);
+    input.focus();
+    renderMentionList();
+    autoResize();
+}
 
-    document.body.appendChild(overlay);
+// ── Ask About Message ───────────────────────────────────────────
+// A button in the main chat's message actions opens the overlay with that
+// message attached; the next whisper quotes it (see whisperPromptText).
+
+const ASK_PRESETS = [
+    { label: 'Summarize', text: 'Summarize this message.' },
+    { label: 'In character?', text: 'Is this in character?' },
+    { label: 'What next?', text: 'What could happen next?' },
+];
+
+let pendingReference = null;
+
+function referenceSnippet(text, max = 140) {
+    const flat = String(text || '').replace(/\s+/g, ' ').trim();
+    return flat.length > max ? flat.slice(0, max - 1) + '…' : flat;
 }
 
-// ── Folder Edit Popup ───────────────────────────────────────────
+// New messages are cloned from #message_template; ones already on screen
+// need the button added by hand
+function addAskButtons() {
+    document.querySelectorAll('#message_template .extraMesButtons, #chat .mes .extraMesButtons').forEach(el => {
+        if (el.querySelector('.whispers-ask-btn')) return;
+        el.insertAdjacentHTML('afterbegin', '<div title="Ask Whispers about this" class="mes_button whispers-ask-btn fa-solid fa-ghost interactable" tabindex="0"></div>');
+    });
+}
 
-function showFolderEditPopup(folder) {
-    closeAllPopups();
+function askAboutMessage(index) {
+    const msg = SillyTavern.getContext().chat?.[index];
+    if (!msg?.mes) return;
+    const s = getSettings();
+    if (s.chatMode === false) { toastr.info('Turn on Whispers chat to ask about messages'); return; }
 
-    const overlay = document.createElement('div');
-    overlay.className = 'whispers-edit-popup-overlay';
-    overlay.innerHTML = `
-        <div class="whispers-edit-popup">
-            <div class="whispers-edit-popup-header">
-                <span style="color:${folder.color || 'inherit'}"><i class="fa-solid ${folder.icon || 'fa-folder'}"></i></span>
-                <strong>Edit Folder</strong>
-                <span style="flex:1"></span>
-                <button class="whispers-edit-popup-close"><i class="fa-solid fa-xmark"></i></button>
-            </div>
-            <div class="whispers-edit-popup-body">
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-pen"></i> Name</label>
-                    <input type="text" class="wf-name" value="${escapeHtml(folder.name || '')}">
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-icons"></i> Icon</label>
-                    <div class="whispers-icon-picker" id="wf-icon-picker"></div>
-                </div>
-                <div class="whispers-color-row">
-                    <label><i class="fa-solid fa-palette"></i> Color</label>
-                    <input type="color" class="wf-color" value="${folder.color || '#667eea'}">
-                </div>
-                <div class="whispers-field-group">
-                    <label><i class="fa-solid fa-note-sticky"></i> Author's Note <span style="font-size:0.75em;opacity:0.5;">(HTML supported)</span></label>
-                    <textarea class="wf-note" rows="3" placeholder="Describe what's in this folder...">${escapeHtml(folder.note || '')}</textarea>
-                </div>
-                <div class="whispers-row">
-                    <button class="menu_button wf-save"><i class="fa-solid fa-floppy-disk"></i> Save</button>
-                </div>
-            </div>
-        </div>
-    `;
+    pendingReference = { index, name: msg.name || (msg.is_user ? getUserName() : 'Unknown'), text: msg.mes };
+    // With the feed on too, the chat tab has to be the one showing
+    document.querySelectorAll('.whispers-overlay-tab').forEach(t => t.classList.toggle('active', t.dataset.panel === 'chat'));
+    updateOverlayPanels();
+    openChat();
+    renderReference();
+}
 
-    // Close — stopPropagation prevents ST drawer from collapsing
-    overlay.addEventListener('mousedown', (e) => e.stopPropagation());
-    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
-    overlay.querySelector('.whispers-edit-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+function clearReference() {
+    pendingReference = null;
+    renderReference();
+}
 
-    // Build icon picker grid
-    const pickerGrid = overlay.querySelector('#wf-icon-picker');
-    let selectedIcon = folder.icon || 'fa-folder';
-    for (const iconName of FA_ICONS) {
-        const iconBtn = document.createElement('button');
-        iconBtn.type = 'button';
-        iconBtn.className = 'whispers-icon-btn' + (iconName === selectedIcon ? ' selected' : '');
-        iconBtn.title = iconName;
-        iconBtn.innerHTML = `<i class="fa-solid ${iconName}"></i>`;
-        iconBtn.addEventListener('click', () => {
-            pickerGrid.querySelectorAll('.whispers-icon-btn').forEach(b => b.classList.remove('selected'));
-            iconBtn.classList.add('selected');
-            selectedIcon = iconName;
-        });
-        pickerGrid.appendChild(iconBtn);
-    }
+function renderReference() {
+    const el = document.getElementById('whispers-reference');
+    if (!el) return;
+    if (!pendingReference) { el.style.display = 'none'; el.innerHTML = ''; return; }
+    el.innerHTML = `
+        <div class="whispers-reference-quote">
+            <i class="fa-solid fa-quote-left"></i>
+            <span><b>${escapeHtml(pendingReference.name)}</b>: ${escapeHtml(referenceSnippet(pendingReference.text))}</span>
+            <button class="whispers-msg-action-btn whispers-reference-remove" title="Remove"><i class="fa-solid fa-xmark"></i></button>
+        </div>
+        <div class="whispers-reference-presets">
+            ${ASK_PRESETS.map((p, i) => `<button class="whispers-reference-preset" data-preset="${i}">${escapeHtml(p.label)}</button>`).join('')}
+        </div>`;
+    el.style.display = '';
+}
 
-    // Save
-    const body = overlay.querySelector('.whispers-edit-popup-body');
-    body.querySelector('.wf-save').addEventListener('click', () => {
-        folder.name = body.querySelector('.wf-name').value || 'Folder';
-        folder.icon = selectedIcon;
-        folder.color = body.querySelector('.wf-color').value || '#667eea';
-        folder.note = body.querySelector('.wf-note').value || '';
-        saveSettings();
-        renderItemList();
-        overlay.remove();
-        toastr.success('Folder saved');
+function bindAskEvents() {
+    document.addEventListener('click', (e) => {
+        const btn = e.target.closest('.whispers-ask-btn');
+        if (!btn) return;
+        const mes = btn.closest('.mes');
+        const index = Number(mes?.getAttribute('mesid'));
+        if (Number.isInteger(index)) askAboutMessage(index);
     });
 
-    document.body.appendChild(overlay);
+    document.getElementById('whispers-reference')?.addEventListener('click', (e) => {
+        if (e.target.closest('.whispers-reference-remove')) { clearReference(); return; }
+        const preset = ASK_PRESETS[e.target.closest('.whispers-reference-preset')?.dataset.preset];
+        const input = document.getElementById('whispers-input');
+        if (!preset || !input || isGenerating) return;
+        input.value = preset.text;
+        sendMessage();
+    });
 }
 
-// ── Author's Note Popup ─────────────────────────────────────────
+// ── Generation Log Popup ────────────────────────────────────────
 
-function showNotePopup(folder) {
-    closeAllPopups();
+const openLogEntries = new Set();
 
+function showGenerationLogPopup() {
+    closeAllPopups();
     const overlay = document.createElement('div');
     overlay.className = 'whispers-edit-popup-overlay';
     overlay.innerHTML = `
-        <div class="whispers-note-popup">
-            <div class="whispers-note-popup-header">
-                <span style="color:${folder.color || 'inherit'}">
-                    <i class="fa-solid ${folder.icon || 'fa-folder'}"></i>
-                </span>
-                <strong>${escapeHtml(folder.name || 'Folder')}</strong>
+        <div class="whispers-edit-popup whispers-log-popup">
+            <div class="whispers-edit-popup-header">
+                <i class="fa-solid fa-scroll"></i>
+                <strong>Generation Log</strong>
                 <span style="flex:1"></span>
-                <button class="whispers-note-popup-close"><i class="fa-solid fa-xmark"></i></button>
+                <button class="whispers-edit-popup-close whispers-log-export" title="Export log"><i class="fa-solid fa-file-export"></i></button>
+                <button class="whispers-edit-popup-close whispers-log-clear" title="Clear log"><i class="fa-solid fa-trash"></i></button>
+                <button class="whispers-edit-popup-close whispers-log-close"><i class="fa-solid fa-xmark"></i></button>
             </div>
-            <div class="whispers-note-popup-body">${folder.note || '<em style="opacity:0.5;">No notes yet</em>'}</div>
+            <div class="whispers-edit-popup-body" id="whispers-log-list"></div>
         </div>
     `;
 
     overlay.addEventListener('mousedown', (e) => e.stopPropagation());
-    overlay.addEventListener('click', (e) => {
-        e.stopPropagation();
-        if (e.target === overlay) overlay.remove();
+    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
+    overlay.querySelector('.whispers-log-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+
+    overlay.querySelector('.whispers-log-export').addEventListener('click', () => {
+        if (!generationLog.length) { toastr.info('The log is empty'); return; }
+        const blob = new Blob([JSON.stringify(generationLog, null, 2)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = `whispers-log-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.json`;
+        a.click();
+        URL.revokeObjectURL(a.href);
+    });
+
+    overlay.querySelector('.whispers-log-clear').addEventListener('click', () => {
+        generationLog.length = 0;
+        openLogEntries.clear();
+        renderGenerationLog();
+    });
+
+    const list = overlay.querySelector('#whispers-log-list');
+    list.addEventListener('toggle', (e) => {
+        const id = e.target.dataset?.entry;
+        if (!id) return;
+        if (e.target.open) openLogEntries.add(id); else openLogEntries.delete(id);
+    }, true);
+    list.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-log-action]');
+        if (!btn) return;
+        const entry = generationLog.find(x => x.id === btn.dataset.id);
+        if (!entry) return;
+        if (btn.dataset.logAction === 'copy') {
+            copyToClipboard(JSON.stringify(entry, null, 2));
+        } else if (btn.dataset.logAction === 'replay') {
+            replayGeneration(entry);
+        }
     });
-    overlay.querySelector('.whispers-note-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
 
     document.body.appendChild(overlay);
+    renderGenerationLog();
 }
 
-// ── Assistant Note Popup ────────────────────────────────────────
+function renderGenerationLog() {
+    const list = document.getElementById('whispers-log-list');
+    if (!list) return;
+    if (!generationLog.length) {
+        list.innerHTML = '<div class="whispers-log-empty">No generations yet</div>';
+        return;
+    }
+    const icons = { pending: 'fa-spinner fa-spin', ok: 'fa-circle-check', error: 'fa-circle-exclamation', aborted: 'fa-circle-stop' };
+    const pre = (value) => `<pre class="whispers-log-pre">${escapeHtml(typeof value === 'string' ? value : JSON.stringify(value, null, 2))}</pre>`;
+    list.innerHTML = generationLog.map(entry => {
+        const feature = API_FEATURES.find(f => f.key === entry.feature)?.label || entry.feature;
+        const who = entry.owner?.name ? ` · ${escapeHtml(entry.owner.name)}` : '';
+        const latency = entry.latency !== null ? `${(entry.latency / 1000).toFixed(1)}s` : '…';
+        const tokens = entry.usage ? ` · ${entry.usage.estimated ? '~' : ''}${entry.usage.prompt}+${entry.usage.completion} tok` : '';
+        const model = entry.profile.model ? ` / ${escapeHtml(entry.profile.model)}` : '';
+        return `
+            <details class="whispers-log-entry whispers-log-${entry.status}" data-entry="${entry.id}" ${openLogEntries.has(entry.id) ? 'open' : ''}>
+                <summary>
+                    <i class="fa-solid ${icons[entry.status]}"></i>
+                    <span class="whispers-log-title">${escapeHtml(feature)}${who}${entry.replayOf ? ' <em>(replay)</em>' : ''}</span>
+                    <span class="whispers-log-meta">${escapeHtml(entry.profile.name || '')}${model} · ${latency}${tokens} · ${new Date(entry.at).toLocaleTimeString()}</span>
+                </summary>
+                <div class="whispers-log-actions">
+                    <button class="menu_button whispers-btn-small" data-log-action="copy" data-id="${entry.id}"><i class="fa-solid fa-copy"></i> Copy</button>
+                    <button class="menu_button whispers-btn-small" data-log-action="replay" data-id="${entry.id}"><i class="fa-solid fa-rotate-right"></i> Replay</button>
+                </div>
+                <div class="whispers-log-label">Parameters</div>
+                ${pre(entry.params)}
+                <div class="whispers-log-label">Messages (${entry.messages.length})</div>
+                ${entry.messages.map(m => `<div class="whispers-log-role">${escapeHtml(m.role)}</div>${pre(m.content)}`).join('')}
+                ${entry.error ? `<div class="whispers-log-label">Error</div>${pre(entry.error)}` : ''}
+                ${entry.response !== null ? `<div class="whispers-log-label">Raw response</div>${pre(entry.response)}` : ''}
+                ${entry.parsed !== null ? `<div class="whispers-log-label">Parse result</div>${pre(entry.parsed)}` : ''}
+            </details>`;
+    }).join('');
+}
 
-function showAssistantNotePopup(asst) {
-    closeAllPopups();
+// ── Memory Popup ────────────────────────────────────────────────
 
+function showMemoryPopup() {
+    closeAllPopups();
     const overlay = document.createElement('div');
     overlay.className = 'whispers-edit-popup-overlay';
-
-    const avatarHtml = asst.avatar
-        ? `<img src="${asst.avatar}" alt="" style="width:20px;height:20px;border-radius:50%;object-fit:cover;">`
-        : '<i class="fa-solid fa-ghost"></i>';
-
     overlay.innerHTML = `
-        <div class="whispers-note-popup">
-            <div class="whispers-note-popup-header">
-                ${avatarHtml}
-                <strong>${escapeHtml(asst.name || 'Assistant')}</strong>
+        <div class="whispers-edit-popup whispers-memory-popup">
+            <div class="whispers-edit-popup-header">
+                <i class="fa-solid fa-brain"></i>
+                <strong>Memory</strong>
                 <span style="flex:1"></span>
-                <button class="whispers-note-popup-close"><i class="fa-solid fa-xmark"></i></button>
+                <button class="whispers-edit-popup-close whispers-memory-close"><i class="fa-solid fa-xmark"></i></button>
             </div>
-            <div class="whispers-note-popup-body">${asst.note || '<em style="opacity:0.5;">No notes yet</em>'}</div>
+            <div class="whispers-edit-popup-body" id="whispers-memory-body"></div>
         </div>
     `;
 
     overlay.addEventListener('mousedown', (e) => e.stopPropagation());
-    overlay.addEventListener('click', (e) => {
-        e.stopPropagation();
-        if (e.target === overlay) overlay.remove();
+    overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
+    overlay.querySelector('.whispers-memory-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+
+    const body = overlay.querySelector('#whispers-memory-body');
+    body.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-memory-action]');
+        if (!btn) return;
+        if (!getActiveThread()) { toastr.warning('Open a chat first'); return; }
+        const action = btn.dataset.memoryAction;
+
+        if (action === 'save') {
+            const text = body.querySelector('.whispers-memory-text').value.trim();
+            if (!text) { toastr.warning('The summary is empty; use Clear to remove it'); return; }
+            // A hand-written summary covers whatever the current one covered
+            const thread = getActiveThread();
+            thread.summary = { historyCount: 0, chatCount: 0, ...thread.summary, text, updatedAt: Date.now() };
+            await saveChatMeta();
+            toastr.success('Memory saved');
+            renderMemoryPopup();
+        } else if (action === 'rebuild') {
+            if (summaryRunning) { toastr.info('A summary update is already running'); return; }
+            const before = getChatSummary()?.updatedAt;
+            btn.disabled = true;
+            btn.innerHTML = '<i class="fa-solid fa-spinner fa-spin"></i> Summarizing...';
+            try {
+                await rebuildChatSummary();
+                if (getChatSummary()?.updatedAt === before) toastr.info('Nothing old enough to summarize yet');
+            } catch (err) {
+                if (!isAbortError(err)) toastr.error(`Summary failed: ${err.message}`);
+            } finally {
+                renderMemoryPopup();
+            }
+        } else if (action === 'clear') {
+            const thread = getActiveThread();
+            showConfirmationPopup(`Clear the memory summary of "${thread.name}"?`, async () => {
+                thread.summary = null;
+                await saveChatMeta();
+                showMemoryPopup();
+            });
+        }
     });
-    overlay.querySelector('.whispers-note-popup-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
 
     document.body.appendChild(overlay);
+    renderMemoryPopup();
 }
 
-// ── Confirmation Popup ────────────────────────────────────────
+// Refreshes the memory popup if it is open
+function renderMemoryPopup() {
+    const body = document.getElementById('whispers-memory-body');
+    if (!body) return;
+    const s = getSettings();
+    const summary = getChatSummary();
+    const covered = summaryCoverage(summary, getWhispersHistory(), SillyTavern.getContext().chat || []);
+    const keep = s.summaryKeepRecent ?? defaultSettings.summaryKeepRecent;
+    const status = summary
+        ? `Covers ${covered.history} whisper and ${covered.chat} main chat messages · updated ${new Date(summary.updatedAt).toLocaleString()}`
+        : `No summary yet. It starts once there are more than ${keep} messages.`;
+    body.innerHTML = `
+        ${s.summaryEnabled ? '' : '<div class="whispers-memory-off"><i class="fa-solid fa-circle-info"></i> Memory is off, so the summary is not sent. Turn it on in the Settings tab.</div>'}
+        <div class="whispers-memory-status">${escapeHtml(status)}</div>
+        <textarea class="whispers-memory-text" rows="12" placeholder="The summary of older messages appears here">${escapeHtml(summary?.text || '')}</textarea>
+        <div class="whispers-row whispers-memory-actions">
+            <button class="menu_button" data-memory-action="save"><i class="fa-solid fa-floppy-disk"></i> Save</button>
+            <button class="menu_button" data-memory-action="rebuild"${summaryRunning ? ' disabled' : ''}><i class="fa-solid fa-rotate"></i> Regenerate</button>
+            <button class="menu_button" data-memory-action="clear"${summary ? '' : ' disabled'}><i class="fa-solid fa-trash"></i> Clear</button>
+        </div>
+    `;
+}
 
-function showConfirmationPopup(message, onConfirm) {
+// ── Notebook Popup ──────────────────────────────────────────────
+
+let notebookAssistantId = null;
+
+function showNotebookPopup(asst) {
     closeAllPopups();
+    notebookAssistantId = asst.id;
     const overlay = document.createElement('div');
     overlay.className = 'whispers-edit-popup-overlay';
     overlay.innerHTML = `
-        <div class="whispers-edit-popup" style="width: min(320px, 90vw);">
+        <div class="whispers-edit-popup whispers-notebook-popup">
             <div class="whispers-edit-popup-header">
-                <i class="fa-solid fa-triangle-exclamation"></i>
-                <strong>Confirm Action</strong>
+                <i class="fa-solid fa-book"></i>
+                <strong>${escapeHtml(asst.name || 'Assistant')} · Notebook</strong>
+                <span style="flex:1"></span>
+                <button class="whispers-edit-popup-close whispers-notebook-close"><i class="fa-solid fa-xmark"></i></button>
             </div>
-            <div class="whispers-edit-popup-body" style="text-align:center; padding: 20px;">
-                <p>${escapeHtml(message)}</p>
-                <div class="whispers-row" style="justify-content:center; gap:10px; margin-top:10px;">
-                    <button class="menu_button wf-confirm-yes" style="background:var(--SmartThemeQuoteColor); color:var(--SmartThemeQuoteFontColor);"><i class="fa-solid fa-check"></i> Yes</button>
-                    <button class="menu_button wf-confirm-no"><i class="fa-solid fa-xmark"></i> No</button>
+            <div class="whispers-edit-popup-body">
+                <div id="whispers-notebook-list"></div>
+                <div class="whispers-row whispers-notebook-add">
+                    <input type="text" class="whispers-notebook-new" placeholder="Add a fact...">
+                    <select class="whispers-notebook-new-scope">
+                        <option value="assistant">All chats</option>
+                        <option value="chat">This chat</option>
+                    </select>
+                    <button class="menu_button whispers-notebook-add-btn" title="Add"><i class="fa-solid fa-plus"></i></button>
                 </div>
+                <div style="font-size:0.75em;opacity:0.5;">The assistant adds facts itself with &lt;remember&gt;…&lt;/remember&gt; in its replies. Every entry here is sent with its prompts.</div>
             </div>
         </div>
     `;
 
     overlay.addEventListener('mousedown', (e) => e.stopPropagation());
     overlay.addEventListener('click', (e) => { e.stopPropagation(); if (e.target === overlay) overlay.remove(); });
-    
-    overlay.querySelector('.wf-confirm-yes').addEventListener('click', () => {
-        onConfirm();
-        overlay.remove();
+    overlay.querySelector('.whispers-notebook-close').addEventListener('click', (e) => { e.stopPropagation(); overlay.remove(); });
+
+    const input = overlay.querySelector('.whispers-notebook-new');
+    const scopeSelect = overlay.querySelector('.whispers-notebook-new-scope');
+    if (getNotebookScope(asst) === 'chat') scopeSelect.value = 'chat';
+    const add = async () => {
+        if (scopeSelect.value === 'chat' && !getChatMeta()) { toastr.warning('Open a chat first'); return; }
+        if (!input.value.trim()) return;
+        if (!await addNotebookEntry(asst, input.value, scopeSelect.value)) { toastr.info('Already in the notebook'); return; }
+        input.value = '';
+    };
+    overlay.querySelector('.whispers-notebook-add-btn').addEventListener('click', add);
+    input.addEventListener('keydown', (e) => { if (e.key === 'Enter') { e.preventDefault(); add(); } });
+
+    const list = overlay.querySelector('#whispers-notebook-list');
+    // Edits are saved when the field loses focus
+    list.addEventListener('change', async (e) => {
+        const row = e.target.closest('[data-entry]');
+        if (!row || !e.target.matches('.whispers-notebook-text')) return;
+        const entry = getNotebookList(asst, row.dataset.scope)?.find(x => x.id === row.dataset.entry);
+        if (!entry) return;
+        const text = e.target.value.replace(/\s+/g, ' ').trim();
+        if (!text) { e.target.value = entry.text; return; }
+        entry.text = text;
+        await saveNotebook(row.dataset.scope);
     });
-    
-    overlay.querySelector('.wf-confirm-no').addEventListener('click', () => {
-        overlay.remove();
+    list.addEventListener('click', async (e) => {
+        const btn = e.target.closest('[data-notebook-action]');
+        if (!btn) return;
+        const row = btn.closest('[data-entry]');
+        const from = row.dataset.scope;
+        const entries = getNotebookList(asst, from);
+        const index = entries?.findIndex(x => x.id === row.dataset.entry) ?? -1;
+        if (index < 0) return;
+        const [entry] = entries.splice(index, 1);
+        if (btn.dataset.notebookAction === 'move') {
+            const to = from === 'chat' ? 'assistant' : 'chat';
+            if (to === 'chat' && !getChatMeta()) { entries.splice(index, 0, entry); toastr.warning('Open a chat first'); return; }
+            getNotebookList(asst, to, true).push(entry);
+            await saveNotebook(to);
+        }
+        await saveNotebook(from);
+        renderNotebookPopup();
     });
 
     document.body.appendChild(overlay);
+    renderNotebookPopup();
 }
 
-// ── Helper: close all popups ────────────────────────────────────
-
-function closeAllPopups() {
-    document.querySelectorAll('.whispers-edit-popup-overlay').forEach(el => el.remove());
-}
-
-// ── Chat UI ─────────────────────────────────────────────────────
-
-function renderChatMessages() {
-    const el = document.getElementById('whispers-messages');
-    const empty = document.getElementById('whispers-empty-state');
-    if (!el) return;
-    el.querySelectorAll('.whispers-msg, .whispers-typing').forEach(e => e.remove());
-    const history = getWhispersHistory();
-    if (history.length === 0) { if (empty) empty.style.display = ''; return; }
-    if (empty) empty.style.display = 'none';
-    history.forEach((msg, index) => {
-        el.appendChild(buildChatBubble(msg, index));
-    });
-    el.scrollTop = el.scrollHeight;
-}
-
-function addBubble(role, content) {
-    const el = document.getElementById('whispers-messages');
-    const empty = document.getElementById('whispers-empty-state');
-    if (!el) return;
-    if (empty) empty.style.display = 'none';
-    const history = getWhispersHistory();
-    const index = history.length - 1;
-    el.appendChild(buildChatBubble({ role, content, timestamp: Date.now() }, index));
-    el.scrollTop = el.scrollHeight;
-}
-
-function buildChatBubble(msg, index) {
-    const b = document.createElement('div');
-    b.className = `whispers-msg whispers-msg-${msg.role}`;
-    b.dataset.index = index;
-    const t = msg.timestamp ? new Date(msg.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : '';
-
-    // Action buttons
-    let actionsHtml = '';
-    if (msg.role === 'assistant') {
-        actionsHtml = `<span class="whispers-msg-actions">
-            <button class="whispers-msg-action-btn whispers-msg-retry" title="Retry"><i class="fa-solid fa-rotate-right"></i></button>
-            <button class="whispers-msg-action-btn whispers-msg-delete" title="Delete"><i class="fa-solid fa-trash"></i></button>
-        </span>`;
-    } else {
-        actionsHtml = `<span class="whispers-msg-actions">
-            <button class="whispers-msg-action-btn whispers-msg-delete" title="Delete"><i class="fa-solid fa-trash"></i></button>
-        </span>`;
-    }
-
-    b.innerHTML = `${escapeHtml(msg.content)}<span class="whispers-msg-time">${t}</span>${actionsHtml}`;
-
-    // Delete handler
-    b.querySelector('.whispers-msg-delete').addEventListener('click', (e) => {
-        e.stopPropagation();
-        deleteChatMessage(index);
-    });
-
-    // Retry handler (assistant only)
-    const retryBtn = b.querySelector('.whispers-msg-retry');
-    if (retryBtn) {
-        retryBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            retryChatMessage(index);
-        });
+// Refreshes the notebook popup if it is open
+function renderNotebookPopup() {
+    const list = document.getElementById('whispers-notebook-list');
+    if (!list) return;
+    const asst = getSettings().assistants.find(a => a.id === notebookAssistantId);
+    if (!asst) return;
+    const entries = getNotebookEntries(asst);
+    if (!entries.length) {
+        list.innerHTML = '<div class="whispers-log-empty">Nothing noted yet</div>';
+        return;
     }
-
-    return b;
+    list.innerHTML = entries.map(entry => {
+        const moveTitle = entry.scope === 'chat' ? 'This chat only · click to keep for all chats' : 'All chats · click to keep for this chat only';
+        return `
+        <div class="whispers-notebook-entry" data-entry="${entry.id}" data-scope="${entry.scope}">
+            <i class="fa-solid ${entry.by === 'assistant' ? 'fa-ghost' : 'fa-user'} whispers-notebook-by" title="Added by ${entry.by === 'assistant' ? 'the assistant' : 'you'}"></i>
+            <input type="text" class="whispers-notebook-text">
+            <button class="whispers-notebook-action" data-notebook-action="move" title="${moveTitle}"><i class="fa-solid ${entry.scope === 'chat' ? 'fa-comment' : 'fa-globe'}"></i></button>
+            <button class="whispers-notebook-action" data-notebook-action="delete" title="Delete"><i class="fa-solid fa-trash"></i></button>
+        </div>`;
+    }).join('');
+    // Set as properties; escapeHtml leaves quotes alone
+    list.querySelectorAll('.whispers-notebook-text').forEach((input, i) => { input.value = entries[i].text; });
 }
 
 // ── Chat Message Delete / Retry ─────────────────────────────────
 
 async function deleteChatMessage(index) {
+    // A streaming reply or swipe finds its bubble by index, so nothing may shift under it
+    if (isWhisperBusy()) return;
     const history = getWhispersHistory();
     if (index < 0 || index >= history.length) return;
     history.splice(index, 1);
@@ -2423,48 +5661,262 @@ async function deleteChatMessage(index) {
     renderChatMessages();
 }
 
+// Assistant messages keep their alternatives SillyTavern-style: swipes holds
+// every version, swipeId the one shown. content always mirrors the selected
+// swipe, so everything that sends history sends only that one.
+function ensureSwipes(msg) {
+    if (!Array.isArray(msg.swipes) || !msg.swipes.length) {
+        msg.swipes = [msg.content];
+        msg.swipeId = 0;
+    }
+    return msg;
+}
+
+async function selectSwipe(index, swipeId) {
+    const msg = getWhispersHistory()[index];
+    if (!msg) return;
+    ensureSwipes(msg);
+    msg.swipeId = Math.max(0, Math.min(swipeId, msg.swipes.length - 1));
+    msg.content = msg.swipes[msg.swipeId];
+    await saveChatMeta();
+    refreshChatBubble(index);
+}
+
+// Left/right arrows; right past the last swipe generates a new one
+function swipeChatMessage(index, direction) {
+    if (isGenerating) return;
+    const msg = getWhispersHistory()[index];
+    if (!msg || msg.role !== 'assistant') return;
+    ensureSwipes(msg);
+    const target = msg.swipeId + direction;
+    if (target < 0) return;
+    if (target >= msg.swipes.length) retryChatMessage(index);
+    else selectSwipe(index, target);
+}
+
+function refreshChatBubble(index) {
+    const old = document.querySelector(`#whispers-messages .whispers-msg[data-index="${index}"]`);
+    const msg = getWhispersHistory()[index];
+    if (old && msg) old.replaceWith(buildChatBubble(msg, index));
+}
+
+// Generates another swipe for the assistant message at index, answering the
+// user message before it with only the history before that, so the message
+// stays where it is
 async function retryChatMessage(index) {
     if (isGenerating) return;
     const history = getWhispersHistory();
-    if (index < 0 || index >= history.length) return;
     const msg = history[index];
-    if (msg.role !== 'assistant') return;
-
-    // Remove the assistant message
-    history.splice(index, 1);
-    await saveChatMeta();
-    renderChatMessages();
+    if (!msg || msg.role !== 'assistant') return;
+    ensureSwipes(msg);
 
-    // Find the last user message before this
-    const lastUserMsg = [...history].reverse().find(m => m.role === 'user');
-    if (!lastUserMsg) return;
+    let userIndex = index - 1;
+    while (userIndex >= 0 && history[userIndex].role !== 'user') userIndex--;
+    if (userIndex < 0) { toastr.info('There is no message of yours to answer'); return; }
 
-    const assistant = getActiveAssistant();
+    // A reply to an @mention is retried by the same assistant
+    const assistant = getSettings().assistants.find(a => a.id === msg.assistantId) || getActiveAssistant();
     if (!assistant) { toastr.warning('No assistant configured.'); return; }
 
     isGenerating = true;
-    const sendBtn = document.getElementById('whispers-send');
-    if (sendBtn) sendBtn.disabled = true;
+    setSendButtonBusy(true);
     const statusEl = document.getElementById('whispers-chat-status');
     if (statusEl) statusEl.textContent = 'Typing...';
-    showTyping();
+    const bubble = document.querySelector(`#whispers-messages .whispers-msg[data-index="${index}"]`);
+    bubble?.classList.add('whispers-msg-streaming');
+    const textEl = bubble?.querySelector('.whispers-msg-text');
+    if (textEl) textEl.textContent = '…';
+    const controller = beginRequest('chat');
+    let streamed = '';
+
+    const addSwipe = async (text) => {
+        msg.swipes.push(text);
+        msg.swipeId = msg.swipes.length - 1;
+        msg.content = text;
+        msg.assistantId = assistant.id;
+        await saveChatMeta();
+    };
 
     try {
-        const response = await generateResponse(lastUserMsg.content);
-        hideTyping();
-        history.push({ role: 'assistant', content: response, timestamp: Date.now() });
-        await saveChatMeta();
-        addBubble('assistant', response);
+        const response = await generateResponse(whisperPromptText(history[userIndex]), {
+            assistant,
+            history: history.slice(0, userIndex),
+            signal: controller.signal,
+            onToken: (t) => { streamed = t; if (textEl) textEl.textContent = stripRememberTags(t); },
+            onRetry: showRetryStatus,
+        });
+        await addSwipe(response);
+        if (index === history.length - 1) maybeUpdateChatSummary();
     } catch (err) {
-        hideTyping();
-        toastr.error(`Retry failed: ${err.message}`);
-        history.push({ role: 'assistant', content: `Error: ${err.message}`, timestamp: Date.now() });
-        await saveChatMeta();
-        addBubble('assistant', `Error: ${err.message}`);
+        // A stopped swipe keeps what streamed in, like a stopped reply does,
+        // unless the stop came from switching to another chat
+        const partial = isAbortError(err) && !isStaleRequest(controller) ? stripRememberTags(streamed) : '';
+        if (partial) await addSwipe(partial);
+        else if (!isAbortError(err)) toastr.error(`Retry failed: ${err.message}`);
     } finally {
+        endRequest('chat', controller);
         isGenerating = false;
-        if (sendBtn) sendBtn.disabled = false;
+        setSendButtonBusy(false);
         if (statusEl) statusEl.textContent = 'Online';
+        refreshChatBubble(index);
+    }
+}
+
+// A stopped reply keeps whatever already streamed in; an empty one leaves no trace
+async function keepPartialReply(history, stream, assistant, controller) {
+    const partial = stripRememberTags(stream.text);
+    if (!partial || isStaleRequest(controller)) { stream.remove(); return; }
+    history.push({ role: 'assistant', content: partial, timestamp: Date.now(), assistantId: assistant.id });
+    await saveChatMeta();
+    stream.commit('assistant', partial, { assistantId: assistant.id });
+}
+
+// ── Chat Message Edit / Branch ──────────────────────────────────
+
+function editChatMessage(index) {
+    if (isWhisperBusy()) return;
+    const msg = getWhispersHistory()[index];
+    const bubble = document.querySelector(`#whispers-messages .whispers-msg[data-index="${index}"]`);
+    const textEl = bubble?.querySelector('.whispers-msg-text');
+    if (!msg || !textEl || bubble.classList.contains('whispers-msg-editing')) return;
+
+    bubble.classList.add('whispers-msg-editing');
+    textEl.innerHTML = `
+        <textarea class="whispers-msg-edit-field" rows="3"></textarea>
+        <div class="whispers-msg-edit-actions">
+            <button class="whispers-msg-action-btn whispers-msg-edit-save" title="Save (Ctrl+Enter)"><i class="fa-solid fa-check"></i></button>
+            <button class="whispers-msg-action-btn whispers-msg-edit-cancel" title="Cancel (Esc)"><i class="fa-solid fa-xmark"></i></button>
+        </div>`;
+    const field = textEl.querySelector('textarea');
+    field.value = msg.content;
+    field.style.height = Math.min(field.scrollHeight + 4, 300) + 'px';
+    field.focus();
+
+    const save = async () => {
+        // A reply may have started while the editor was open
+        if (isWhisperBusy()) return;
+        const text = field.value.trim();
+        if (!text) { toastr.warning('A message cannot be empty; delete it instead'); return; }
+        msg.content = text;
+        // An edited reply replaces the swipe it was showing
+        if (Array.isArray(msg.swipes) && msg.swipes.length) msg.swipes[msg.swipeId || 0] = text;
+        await saveChatMeta();
+        refreshChatBubble(index);
+    };
+    textEl.addEventListener('click', (e) => e.stopPropagation());
+    textEl.querySelector('.whispers-msg-edit-save').addEventListener('click', save);
+    textEl.querySelector('.whispers-msg-edit-cancel').addEventListener('click', () => refreshChatBubble(index));
+    field.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) { e.preventDefault(); save(); }
+        else if (e.key === 'Escape') { e.preventDefault(); refreshChatBubble(index); }
+    });
+}
+
+// Drops everything after the message, then answers it again: a user
+// message gets a fresh reply, an assistant message a new swipe
+function regenerateFrom(index) {
+    if (isWhisperBusy()) return;
+    const history = getWhispersHistory();
+    const msg = history[index];
+    if (!msg) return;
+    const later = history.length - index - 1;
+
+    const run = async () => {
+        // Checked again: a reply may have started while the popup was open
+        if (isWhisperBusy()) return;
+        const thread = getActiveThread();
+        const covered = summaryCoverage(thread?.summary, history, SillyTavern.getContext().chat || []);
+        history.splice(index + 1);
+        // A summary that already covers dropped messages would resurrect them
+        if (thread?.summary && covered.history > history.length) thread.summary = null;
+        await saveChatMeta();
+        renderChatMessages();
+        if (msg.role === 'assistant') { await retryChatMessage(index); return; }
+        const assistant = findMentionedAssistant(msg.content) || getActiveAssistant();
+        if (!assistant) { toastr.warning('No assistant configured.'); return; }
+        await replyToUser(history, whisperPromptText(msg), assistant);
+    };
+    if (!later) { run(); return; }
+    showConfirmationPopup(`Drop the ${later} later message(s) and regenerate from here?`, run);
+}
+
+// ── Send To Main Chat ───────────────────────────────────────────
+// Assistant replies can leave the overlay: into SillyTavern's input box,
+// sent as the user, as a narrator message or as the chat's Author's Note.
+
+const TO_MAIN_ACTIONS = [
+    { key: 'input', label: 'Put in input box', icon: 'fa-keyboard' },
+    { key: 'send', label: 'Send as me', icon: 'fa-paper-plane' },
+    { key: 'narrator', label: 'Insert as narrator', icon: 'fa-bullhorn' },
+    { key: 'note', label: "Set as Author's Note", icon: 'fa-note-sticky' },
+];
+
+// SillyTavern's handlers are bound to these fields, so an input event is
+// enough for them to pick up a value set from here
+function setMainField(id, text) {
+    const el = document.getElementById(id);
+    if (!el) return false;
+    el.value = text;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    return true;
+}
+
+// SillyTavern shows its Stop button for as long as it is generating
+function isMainChatBusy() {
+    const stop = document.getElementById('mes_stop');
+    return !!stop && getComputedStyle(stop).display !== 'none';
+}
+
+async function sendToMainChat(index, action) {
+    const text = getWhispersHistory()[index]?.content?.trim();
+    if (!text) return;
+    const ctx = SillyTavern.getContext();
+    // A message added now would land in the middle of the reply being written
+    if ((action === 'send' || action === 'narrator') && isMainChatBusy()) {
+        toastr.warning('SillyTavern is still generating; try again once it is done');
+        return;
+    }
+
+    try {
+        if (action === 'input') {
+            if (!setMainField('send_textarea', text)) throw new Error('input box not found');
+            closeChat();
+            document.getElementById('send_textarea')?.focus();
+        } else if (action === 'send') {
+            if (!setMainField('send_textarea', text)) throw new Error('input box not found');
+            document.getElementById('send_but')?.click();
+            closeChat();
+        } else if (action === 'narrator') {
+            if (!ctx.chat) throw new Error('no chat is open');
+            // Same shape and events as the messages /sys creates
+            const message = {
+                name: ctx.chatMetadata?.narrator_name || 'System',
+                is_user: false,
+                is_system: false,
+                send_date: Date.now(),
+                mes: text,
+                force_avatar: 'img/five.png',
+                extra: { type: 'narrator' },
+            };
+            ctx.chat.push(message);
+            const id = ctx.chat.length - 1;
+            await ctx.eventSource.emit(ctx.event_types.MESSAGE_SENT, id);
+            ctx.addOneMessage(message);
+            await ctx.eventSource.emit(ctx.event_types.USER_MESSAGE_RENDERED, id);
+            await ctx.saveChat();
+            // Our own automation listens for received messages only
+            onMainChatMessage();
+            toastr.success('Narrator message added');
+        } else if (action === 'note') {
+            // Without the Author's Note panel the metadata is set directly
+            if (!setMainField('extension_floating_prompt', text)) {
+                getChatMeta().note_prompt = text;
+                await saveChatMeta();
+            }
+            toastr.success("Author's Note updated");
+        }
+    } catch (err) {
+        toastr.error(`Could not send to the main chat: ${err.message}`);
     }
 }
 
@@ -2537,8 +5989,13 @@ function updateChatHeader() {
     const nameEl = document.getElementById('whispers-chat-name');
     const avatarEl = document.getElementById('whispers-chat-avatar');
     const statusEl = document.getElementById('whispers-chat-status');
+    const thread = getActiveThread();
     if (a) {
         if (nameEl) nameEl.textContent = a.name || 'Assistant';
+        // Only worth a mention once there is more than one thread to tell apart
+        if (nameEl && thread && getThreads().length > 1) {
+            nameEl.insertAdjacentHTML('beforeend', ` <span class="whispers-chat-header-thread">· ${escapeHtml(thread.name)}</span>`);
+        }
         if (statusEl) statusEl.textContent = 'Online';
         if (avatarEl) {
             if (a.avatar) {
@@ -2592,44 +6049,88 @@ function closeChat() {
 async function sendMessage() {
     if (isGenerating) return;
     const input = document.getElementById('whispers-input');
-    const sendBtn = document.getElementById('whispers-send');
     if (!input) return;
     const text = input.value.trim();
     if (!text) return;
 
-    const assistant = getActiveAssistant();
+    // "@Name" hands this one message to another assistant
+    const assistant = findMentionedAssistant(text) || getActiveAssistant();
     if (!assistant) { toastr.warning('No assistant configured.'); return; }
 
-    const history = getWhispersHistory();
-    history.push({ role: 'user', content: text, timestamp: Date.now() });
+    const history = ensureActiveThread()?.history;
+    if (!history) return;
+    // chatLength marks where the main chat was, for the "since my last whisper" context range
+    const entry = { role: 'user', content: text, timestamp: Date.now(), chatLength: SillyTavern.getContext().chat?.length || 0 };
+    if (pendingReference) entry.reference = pendingReference;
+    history.push(entry);
     await saveChatMeta();
 
     input.value = ''; autoResize();
-    addBubble('user', text);
+    clearReference();
+    addBubble('user', text, entry.reference ? { reference: entry.reference } : {});
+    await replyToUser(history, whisperPromptText(entry), assistant);
+}
+
+// Streams the assistant's answer to the user message at the end of history
+async function replyToUser(history, text, assistant) {
     showTyping();
 
     isGenerating = true;
-    if (sendBtn) sendBtn.disabled = true;
+    setSendButtonBusy(true);
     const statusEl = document.getElementById('whispers-chat-status');
     if (statusEl) statusEl.textContent = 'Typing...';
 
+    const stream = createStreamingBubble();
+    const controller = beginRequest('chat');
     try {
-        const response = await generateResponse(text);
+        // The message being answered goes in as `text`, so history stops before it
+        const response = await generateResponse(text, {
+            assistant,
+            history: history.slice(0, -1),
+            signal: controller.signal,
+            onToken: (t) => stream.update(t),
+            onRetry: showRetryStatus,
+        });
         hideTyping();
-        history.push({ role: 'assistant', content: response, timestamp: Date.now() });
+        history.push({ role: 'assistant', content: response, timestamp: Date.now(), assistantId: assistant.id });
         await saveChatMeta();
-        addBubble('assistant', response);
+        stream.commit('assistant', response, { assistantId: assistant.id });
+        maybeUpdateChatSummary();
     } catch (err) {
         hideTyping();
+        if (isAbortError(err)) {
+            await keepPartialReply(history, stream, assistant, controller);
+            return;
+        }
+        stream.remove();
         toastr.error(`Whispers: ${err.message}`);
         addBubble('assistant', `Error: ${err.message}`);
     } finally {
+        endRequest('chat', controller);
         isGenerating = false;
-        if (sendBtn) sendBtn.disabled = false;
+        setSendButtonBusy(false);
         if (statusEl) statusEl.textContent = 'Online';
     }
 }
 
+// Passed as opts.onRetry so the header tells the user we are still trying
+function showRetryStatus(attempt, max) {
+    const statusEl = document.getElementById('whispers-chat-status');
+    if (!statusEl) return;
+    statusEl.textContent = attempt === 'fallback' ? 'Trying fallback...' : `retrying (${attempt}/${max})...`;
+}
+
+// While a reply is generating the send button doubles as Stop
+function setSendButtonBusy(busy) {
+    const sendBtn = document.getElementById('whispers-send');
+    if (!sendBtn) return;
+    // A proactive message streaming in can be stopped from here too
+    busy = busy || isRequestActive('proactive');
+    sendBtn.classList.toggle('whispers-send-btn-stop', busy);
+    sendBtn.title = busy ? 'Stop' : 'Send';
+    sendBtn.innerHTML = busy ? '<i class="fa-solid fa-stop"></i>' : '<i class="fa-solid fa-paper-plane"></i>';
+}
+
 function autoResize() {
     const input = document.getElementById('whispers-input');
     if (!input) return;
@@ -2643,32 +6144,28 @@ function loadSettingsUI() {
     const s = getSettings();
     const el = (id) => document.getElementById(id);
 
-    // Enabled toggle
-    const enabledCheck = el('whispers-enabled');
-    if (enabledCheck) enabledCheck.checked = s.enabled !== false;
-
-    if (el('whispers-api-url')) el('whispers-api-url').value = s.extraApiUrl || '';
-    if (el('whispers-api-key')) el('whispers-api-key').value = s.extraApiKey || '';
-    if (el('whispers-msg-limit')) el('whispers-msg-limit').value = s.messageLimit || 20;
-
-    const extraCheck = el('whispers-use-extra-api');
-    if (extraCheck) {
-        extraCheck.checked = s.useExtraApi || false;
-        toggleApiSection(s.useExtraApi);
-    }
-
-    if (s.extraApiModel) {
-        const select = el('whispers-model-select');
-        if (select && !select.querySelector(`option[value="${s.extraApiModel}"]`)) {
-            const opt = document.createElement('option');
-            opt.value = s.extraApiModel;
-            opt.textContent = s.extraApiModel;
-            opt.selected = true;
-            select.appendChild(opt);
-        } else if (select) {
-            select.value = s.extraApiModel;
-        }
-    }
+    // Enabled toggle
+    const enabledCheck = el('whispers-enabled');
+    if (enabledCheck) enabledCheck.checked = s.enabled !== false;
+
+    renderBudgetSettings();
+    renderPromptManager();
+    renderUsageStats();
+    renderPriceTable();
+    if (el('whispers-budget-tokens')) el('whispers-budget-tokens').value = s.usageBudget?.dailyTokens || 0;
+    if (el('whispers-budget-cost')) el('whispers-budget-cost').value = s.usageBudget?.dailyCost || 0;
+    if (el('whispers-queue-concurrency')) el('whispers-queue-concurrency').value = s.queueConcurrency || 1;
+    if (el('whispers-wi-scan-depth')) el('whispers-wi-scan-depth').value = s.worldInfoScanDepth ?? defaultSettings.worldInfoScanDepth;
+    renderContextFilters();
+    if (el('whispers-summary-enabled')) el('whispers-summary-enabled').checked = s.summaryEnabled === true;
+    if (el('whispers-summary-keep')) el('whispers-summary-keep').value = s.summaryKeepRecent ?? defaultSettings.summaryKeepRecent;
+    if (el('whispers-summary-interval')) el('whispers-summary-interval').value = s.summaryInterval || defaultSettings.summaryInterval;
+    if (el('whispers-retry-count')) el('whispers-retry-count').value = s.retryCount ?? 2;
+    if (el('whispers-retry-delay')) el('whispers-retry-delay').value = s.retryBaseDelay || 1000;
+
+    if (!getApiProfile(editingProfileId)) editingProfileId = s.apiProfiles[0]?.id || null;
+    renderProfileEditor();
+    renderFeatureRouting();
 
     // Mode toggles
     const modeChat = el('whispers-mode-chat');
@@ -2726,6 +6223,469 @@ function toggleApiSection(show) {
     if (sec) sec.style.display = show ? '' : 'none';
 }
 
+// ── Prompts Tab ─────────────────────────────────────────────────
+
+const PREVIEW_CONTEXT_MESSAGES = 10;
+
+let editingTemplateKey = 'mainPromptTemplate';
+let promptPreviewSeq = 0;
+
+// Values for the preview, taken from the current chat where it has them.
+// Lorebook entries are shown unbudgeted.
+async function templatePreviewValues(key) {
+    const npcs = getActiveNpcs();
+    const npc = npcs[0] || { id: 'npc', name: 'Sample NPC', username: 'sample_npc', character: '', postExample: '', bans: '' };
+    const assistant = getActiveAssistant() || { name: 'Assistant' };
+    const context = getContextMessages().slice(-PREVIEW_CONTEXT_MESSAGES).map(formatChatLine).join('\n');
+    const tweet = getTwitterPosts()[0] || { name: npc.name, username: npc.username, content: 'Sample post' };
+    const chirpPost = chirpGetPosts()[0] || { authorId: 'user', content: 'Sample post' };
+    const lore = async (owners, scanTexts) => (await gatherWorldInfo(owners, scanTexts)).map(formatLoreEntry).join('\n\n');
+
+    switch (key) {
+        case 'mainPromptTemplate': return assistantTemplateValues(assistant, { context, lore: await lore([assistant], getWhispersHistory().map(m => m.content)) });
+        case 'proactiveCommentPrompt':
+        case 'proactiveAdvicePrompt':
+        case 'proactiveCheckinPrompt': return { name: assistant.name || 'Assistant' };
+        case 'twitterPromptTemplate': return { ...twitterTemplateValues(npcs), lore: await lore(npcs), context };
+        case 'tweetReplyPrompt': {
+            const author = npcs.find(n => n.username === tweet.username) || null;
+            return { ...tweetReplyTemplateValues(tweet, author,
+                { name: getUserName(), username: getUserName().toLowerCase().replace(/\s+/g, '_'), content: 'Sample reply' }), lore: await lore([author], [tweet.content]) };
+        }
+        case 'chirpFeedPrompt': return { ...chirpFeedTemplateValues(npcs), lore: await lore(npcs), context };
+        case 'chirpDmPrompt': return { ...chirpDmTemplateValues(npc), lore: await lore([npc], (chirpGetDMs()[npc.id] || []).map(m => m.content)), context };
+        default: return { ...chirpReplyTemplateValues(npc, chirpPost), lore: await lore([npc], [chirpPost.content]) };
+    }
+}
+
+function renderPromptManager() {
+    renderPromptPresets();
+    renderPromptEditor();
+}
+
+function renderPromptPresets() {
+    const s = getSettings();
+    const el = (id) => document.getElementById(id);
+    const active = getPromptPreset(s.activePromptPreset);
+    const select = el('whispers-prompt-preset');
+    if (select) {
+        select.innerHTML = '<option value="">— No preset —</option>' + s.promptPresets
+            .map(p => `<option value="${escapeHtml(p.id)}" ${p.id === active?.id ? 'selected' : ''}>${escapeHtml(p.name || 'Unnamed')}</option>`).join('');
+    }
+    if (el('whispers-btn-delete-prompt-preset')) el('whispers-btn-delete-prompt-preset').disabled = !active;
+    if (el('whispers-prompt-preset-name-row')) el('whispers-prompt-preset-name-row').style.display = active ? '' : 'none';
+    if (el('whispers-prompt-preset-name')) el('whispers-prompt-preset-name').value = active?.name || '';
+}
+
+function renderPromptEditor() {
+    const el = (id) => document.getElementById(id);
+    const edited = snapshotTemplates();
+    const keySelect = el('whispers-prompt-key');
+    if (keySelect) {
+        keySelect.innerHTML = Object.entries(PROMPT_TEMPLATES)
+            .map(([key, spec]) => `<option value="${key}" ${key === editingTemplateKey ? 'selected' : ''}>${escapeHtml(spec.label)}${edited[key] ? ' (edited)' : ''}</option>`).join('');
+    }
+    const editor = el('whispers-prompt-editor');
+    if (!editor) return;
+    editor.value = getTemplateSource(editingTemplateKey);
+    if (el('whispers-prompt-vars')) el('whispers-prompt-vars').innerHTML = buildTemplateVarsHtml(editingTemplateKey);
+    showTemplateFeedback(editingTemplateKey, editor, validateTemplate(editingTemplateKey, editor.value));
+    renderPromptPreview();
+}
+
+async function renderPromptPreview() {
+    const pre = document.getElementById('whispers-prompt-preview');
+    const tokensEl = document.getElementById('whispers-prompt-preview-tokens');
+    const editor = document.getElementById('whispers-prompt-editor');
+    if (!pre || !editor) return;
+    const seq = ++promptPreviewSeq;
+    const source = editor.value || getDefaultTemplate(editingTemplateKey);
+    const values = await templatePreviewValues(editingTemplateKey);
+    if (seq !== promptPreviewSeq) return;
+    let text;
+    try {
+        text = renderPrompt(editingTemplateKey, values, source);
+        pre.classList.remove('whispers-prompt-preview-error');
+    } catch (err) {
+        pre.textContent = err.message;
+        pre.classList.add('whispers-prompt-preview-error');
+        if (tokensEl) tokensEl.textContent = '';
+        return;
+    }
+    pre.textContent = text;
+    const tokens = await countTokens(text);
+    // A newer keystroke may have re-rendered meanwhile
+    if (seq === promptPreviewSeq && tokensEl) tokensEl.textContent = `~${tokens} tokens`;
+}
+
+function openPromptEditor(key) {
+    editingTemplateKey = key;
+    document.querySelector('.whispers-tab[data-tab="prompts"]')?.click();
+    renderPromptEditor();
+}
+
+// Switching presets replaces every template; only ask when that would lose
+// edits that aren't kept in any preset.
+function selectPromptPreset(id) {
+    const s = getSettings();
+    const target = getPromptPreset(id);
+    const apply = () => {
+        if (target) applyPromptPreset(target);
+        else { s.activePromptPreset = null; saveSettings(); }
+        renderPromptManager();
+    };
+    if (target && !getPromptPreset(s.activePromptPreset) && Object.keys(snapshotTemplates()).length) {
+        renderPromptPresets();
+        showConfirmationPopup(`Load preset "${target.name}"? Your current templates are not saved in a preset and will be replaced.`, apply);
+        return;
+    }
+    apply();
+}
+
+function bindPromptEvents() {
+    const el = (id) => document.getElementById(id);
+    let saveTimer = null;
+
+    el('whispers-prompt-preset')?.addEventListener('change', (e) => selectPromptPreset(e.target.value || null));
+
+    el('whispers-btn-new-prompt-preset')?.addEventListener('click', () => {
+        const s = getSettings();
+        const preset = { id: generateId(), name: uniquePresetName(`Preset ${s.promptPresets.length + 1}`), templates: snapshotTemplates() };
+        s.promptPresets.push(preset);
+        s.activePromptPreset = preset.id;
+        saveSettings();
+        renderPromptPresets();
+        toastr.success(`Current templates saved as "${preset.name}"`);
+    });
+
+    el('whispers-btn-delete-prompt-preset')?.addEventListener('click', () => {
+        const s = getSettings();
+        const preset = getPromptPreset(s.activePromptPreset);
+        if (!preset) return;
+        showConfirmationPopup(`Delete prompt preset "${preset.name}"? The templates currently in use stay as they are.`, () => {
+            s.promptPresets = s.promptPresets.filter(p => p.id !== preset.id);
+            s.activePromptPreset = null;
+            saveSettings();
+            renderPromptPresets();
+            toastr.success('Preset deleted');
+        });
+    });
+
+    el('whispers-prompt-preset-name')?.addEventListener('input', (e) => {
+        const preset = getPromptPreset(getSettings().activePromptPreset);
+        if (!preset) return;
+        preset.name = e.target.value;
+        saveSettings();
+        const opt = el('whispers-prompt-preset')?.querySelector(`option[value="${preset.id}"]`);
+        if (opt) opt.textContent = preset.name || 'Unnamed';
+    });
+
+    el('whispers-btn-import-prompts')?.addEventListener('click', () => el('whispers-prompt-import-file')?.click());
+    el('whispers-prompt-import-file')?.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file) return;
+        const preset = await importPromptPreset(file);
+        if (!preset) return;
+        toastr.success(`Imported preset: ${preset.name}`);
+        selectPromptPreset(preset.id);
+    });
+
+    el('whispers-btn-export-prompts')?.addEventListener('click', exportPromptPreset);
+
+    el('whispers-prompt-key')?.addEventListener('change', (e) => {
+        editingTemplateKey = e.target.value;
+        renderPromptEditor();
+    });
+
+    el('whispers-prompt-editor')?.addEventListener('input', (e) => {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(() => {
+            if (saveTemplateSetting(editingTemplateKey, e.target.value, e.target)) {
+                const opt = el('whispers-prompt-key')?.querySelector(`option[value="${editingTemplateKey}"]`);
+                if (opt) opt.textContent = PROMPT_TEMPLATES[editingTemplateKey].label + (snapshotTemplates()[editingTemplateKey] ? ' (edited)' : '');
+            }
+            renderPromptPreview();
+        }, 500);
+    });
+
+    el('whispers-btn-reset-prompt')?.addEventListener('click', () => {
+        const { label } = PROMPT_TEMPLATES[editingTemplateKey];
+        showConfirmationPopup(`Reset "${label}" to the default template?`, () => {
+            saveTemplateSetting(editingTemplateKey, getDefaultTemplate(editingTemplateKey));
+            renderPromptEditor();
+            toastr.success(`${label} reset to default`);
+        });
+    });
+}
+
+// ── Usage Tab ───────────────────────────────────────────────────
+
+let usageGroup = 'features';
+
+function formatCost(cost) {
+    return cost ? `$${cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}` : '—';
+}
+
+function renderUsageStats() {
+    const s = getSettings();
+    const stats = s.usageStats || {};
+    const today = stats.days?.[usageDayKey()];
+
+    const summary = document.getElementById('whispers-usage-today');
+    if (summary) {
+        const tokens = today ? today.prompt + today.completion : 0;
+        const paused = isUsageBudgetExceeded() ? ' <span class="whispers-usage-paused">background Chirp paused</span>' : '';
+        summary.innerHTML = `Today: <strong>${tokens.toLocaleString()}</strong> tokens · <strong>${formatCost(today?.cost || 0)}</strong> · ${today?.requests || 0} requests${paused}`;
+    }
+
+    const table = document.getElementById('whispers-usage-table');
+    if (!table) return;
+    const rows = Object.entries(stats[usageGroup] || {})
+        .sort((a, b) => usageGroup === 'days' ? b[0].localeCompare(a[0]) : (b[1].prompt + b[1].completion) - (a[1].prompt + a[1].completion));
+    table.innerHTML = rows.length ? `
+        <tr><th></th><th>Req.</th><th>Prompt</th><th>Output</th><th>Cost</th></tr>
+        ${rows.map(([key, b]) => `
+            <tr>
+                <td title="${escapeHtml(key)}">${escapeHtml(b.label || key)}</td>
+                <td>${b.requests}</td>
+                <td>${b.prompt.toLocaleString()}</td>
+                <td>${b.completion.toLocaleString()}</td>
+                <td>${formatCost(b.cost)}</td>
+            </tr>`).join('')}`
+        : '<tr><td class="whispers-usage-empty">No usage recorded yet</td></tr>';
+}
+
+function renderPriceTable() {
+    const wrap = document.getElementById('whispers-price-table');
+    if (!wrap) return;
+    const prices = getSettings().priceTable || [];
+    wrap.innerHTML = prices.map((p, i) => `
+        <div class="whispers-row whispers-price-row" data-index="${i}">
+            <input type="text" data-field="model" value="${escapeHtml(p.model || '')}" placeholder="model name contains...">
+            <input type="number" data-field="input" class="whispers-inline-number" min="0" step="0.01" value="${p.input ?? ''}" placeholder="in $/1M">
+            <input type="number" data-field="output" class="whispers-inline-number" min="0" step="0.01" value="${p.output ?? ''}" placeholder="out $/1M">
+            <button class="menu_button whispers-btn-small whispers-btn-icon whispers-price-delete" title="Remove"><i class="fa-solid fa-trash"></i></button>
+        </div>`).join('');
+}
+
+function bindUsageEvents() {
+    const el = (id) => document.getElementById(id);
+
+    el('whispers-usage-group')?.addEventListener('change', (e) => {
+        usageGroup = e.target.value;
+        renderUsageStats();
+    });
+
+    el('whispers-usage-reset')?.addEventListener('click', () => {
+        showConfirmationPopup('Reset all usage statistics?', () => {
+            getSettings().usageStats = structuredClone(defaultSettings.usageStats);
+            saveSettings();
+            renderUsageStats();
+        });
+    });
+
+    el('whispers-budget-tokens')?.addEventListener('input', (e) => {
+        const s = getSettings();
+        s.usageBudget = { ...s.usageBudget, dailyTokens: Math.max(0, parseInt(e.target.value, 10) || 0) };
+        saveSettings();
+        renderUsageStats();
+    });
+
+    el('whispers-budget-cost')?.addEventListener('input', (e) => {
+        const s = getSettings();
+        s.usageBudget = { ...s.usageBudget, dailyCost: Math.max(0, parseFloat(e.target.value) || 0) };
+        saveSettings();
+        renderUsageStats();
+    });
+
+    el('whispers-btn-add-price')?.addEventListener('click', () => {
+        const s = getSettings();
+        if (!s.priceTable) s.priceTable = [];
+        s.priceTable.push({ model: '', input: 0, output: 0 });
+        saveSettings();
+        renderPriceTable();
+    });
+
+    const prices = el('whispers-price-table');
+    prices?.addEventListener('input', (e) => {
+        const row = e.target.closest('.whispers-price-row');
+        const field = e.target.dataset.field;
+        if (!row || !field) return;
+        const entry = getSettings().priceTable[Number(row.dataset.index)];
+        if (!entry) return;
+        entry[field] = field === 'model' ? e.target.value : (parseFloat(e.target.value) || 0);
+        saveSettings();
+    });
+    prices?.addEventListener('click', (e) => {
+        const row = e.target.closest('.whispers-price-delete')?.closest('.whispers-price-row');
+        if (!row) return;
+        getSettings().priceTable.splice(Number(row.dataset.index), 1);
+        saveSettings();
+        renderPriceTable();
+    });
+}
+
+// ── API Tab: Context Budget ─────────────────────────────────────
+
+function renderBudgetSettings() {
+    const wrap = document.getElementById('whispers-budget-list');
+    if (!wrap) return;
+    const s = getSettings();
+    wrap.innerHTML = API_FEATURES.map(f => `
+        <div class="whispers-budget-row">
+            <div class="whispers-row">
+                <label style="flex:1;"><i class="fa-solid ${f.icon}"></i> ${f.label}</label>
+                <input type="number" class="whispers-inline-number" data-budget-feature="${f.key}" min="256" max="1000000" step="256" value="${getTokenBudget(f.key)}">
+            </div>
+            <div class="whispers-budget-report" data-budget-report="${f.key}"></div>
+        </div>`).join('');
+    wrap.querySelectorAll('input[data-budget-feature]').forEach(input => {
+        input.addEventListener('input', (e) => {
+            const settings = getSettings();
+            if (!settings.tokenBudgets) settings.tokenBudgets = structuredClone(defaultSettings.tokenBudgets);
+            settings.tokenBudgets[input.dataset.budgetFeature] = parseInt(e.target.value, 10) || defaultSettings.tokenBudgets[input.dataset.budgetFeature];
+            saveSettings();
+        });
+    });
+    renderBudgetReports();
+}
+
+function renderBudgetReports() {
+    document.querySelectorAll('[data-budget-report]').forEach(el => {
+        const report = budgetReports[el.dataset.budgetReport];
+        if (!report) { el.innerHTML = '<span class="whispers-budget-empty">Not used yet</span>'; return; }
+        const scale = Math.max(report.budget, report.used) || 1;
+        const bar = report.parts.map((p, i) => p.tokens
+            ? `<span class="whispers-budget-seg whispers-budget-seg-${i % 4}" style="width:${(p.tokens / scale * 100).toFixed(1)}%" title="${escapeHtml(p.label)}: ${p.tokens}"></span>`
+            : '').join('');
+        const legend = report.parts.map(p => {
+            const msgs = p.kept !== undefined ? ` (${p.kept} msgs${p.dropped ? `, ${p.dropped} dropped` : ''})` : '';
+            return `${escapeHtml(p.label)} ${p.tokens}${msgs}`;
+        }).join(' · ');
+        el.innerHTML = `
+            <div class="whispers-budget-bar">${bar}</div>
+            <div class="whispers-budget-legend">${legend} — <strong>${report.used} / ${report.budget}</strong></div>`;
+    });
+}
+
+// ── API Tab: Context Filters ────────────────────────────────────
+
+function renderContextFilters() {
+    const filters = getContextFilters();
+    document.querySelectorAll('[data-ctx-filter]').forEach(input => { input.checked = !!filters[input.dataset.ctxFilter]; });
+    const el = (id) => document.getElementById(id);
+    if (el('whispers-ctx-patterns')) el('whispers-ctx-patterns').value = filters.patterns;
+    if (el('whispers-ctx-max-chars')) el('whispers-ctx-max-chars').value = filters.maxChars;
+    if (el('whispers-ctx-range')) el('whispers-ctx-range').value = filters.range;
+    if (el('whispers-ctx-scene-marker')) el('whispers-ctx-scene-marker').value = filters.sceneMarker;
+    if (el('whispers-ctx-scene-row')) el('whispers-ctx-scene-row').style.display = filters.range === 'scene' ? '' : 'none';
+}
+
+function bindContextFilterEvents() {
+    const update = (changes) => {
+        const settings = getSettings();
+        settings.contextFilters = { ...getContextFilters(), ...changes };
+        saveSettings();
+    };
+    const el = (id) => document.getElementById(id);
+    document.querySelectorAll('[data-ctx-filter]').forEach(input => {
+        input.addEventListener('change', () => update({ [input.dataset.ctxFilter]: input.checked }));
+    });
+    el('whispers-ctx-patterns')?.addEventListener('change', (e) => {
+        update({ patterns: e.target.value });
+        // Bad patterns are skipped at use; say so now rather than silently
+        const lines = e.target.value.split('\n').filter(l => l.trim()).length;
+        const valid = parseFilterPatterns(e.target.value).length;
+        if (valid < lines) toastr.warning(`${lines - valid} pattern(s) are not valid regular expressions and will be ignored`);
+    });
+    el('whispers-ctx-max-chars')?.addEventListener('input', (e) => {
+        update({ maxChars: Math.max(0, parseInt(e.target.value, 10) || 0) });
+    });
+    el('whispers-ctx-range')?.addEventListener('change', (e) => {
+        update({ range: e.target.value });
+        renderContextFilters();
+    });
+    el('whispers-ctx-scene-marker')?.addEventListener('change', (e) => {
+        update({ sceneMarker: e.target.value.trim() });
+        if (e.target.value.trim() && !parseFilterPatterns(e.target.value).length) toastr.warning('The scene marker is not a valid regular expression');
+    });
+}
+
+// ── API Tab: Profiles & Routing ─────────────────────────────────
+
+function renderProfileEditor() {
+    const s = getSettings();
+    const el = (id) => document.getElementById(id);
+    const select = el('whispers-profile-select');
+    if (select) {
+        select.innerHTML = s.apiProfiles.length
+            ? s.apiProfiles.map(p => `<option value="${escapeHtml(p.id)}" ${p.id === editingProfileId ? 'selected' : ''}>${escapeHtml(p.name || 'Unnamed')}</option>`).join('')
+            : '<option value="">No profiles yet</option>';
+        select.disabled = s.apiProfiles.length === 0;
+    }
+    const profile = getApiProfile(editingProfileId);
+    toggleApiSection(!!profile);
+    if (el('whispers-btn-delete-profile')) el('whispers-btn-delete-profile').disabled = !profile;
+    if (!profile) return;
+
+    if (el('whispers-profile-name')) el('whispers-profile-name').value = profile.name || '';
+    if (el('whispers-profile-type')) el('whispers-profile-type').value = API_ADAPTERS[profile.type] ? profile.type : 'openai';
+    if (el('whispers-api-url')) {
+        el('whispers-api-url').value = profile.url || '';
+        el('whispers-api-url').placeholder = getApiAdapter(profile).placeholder;
+    }
+    if (el('whispers-api-key')) el('whispers-api-key').value = profile.key || '';
+
+    const modelSelect = el('whispers-model-select');
+    if (modelSelect) {
+        modelSelect.innerHTML = '<option value="">Default</option>';
+        if (profile.model) {
+            const opt = document.createElement('option');
+            opt.value = profile.model;
+            opt.textContent = profile.model;
+            opt.selected = true;
+            modelSelect.appendChild(opt);
+        }
+    }
+}
+
+function renderFeatureRouting() {
+    const s = getSettings();
+    const fallback = document.getElementById('whispers-fallback-profile');
+    if (fallback) fallback.innerHTML = buildProfileOptions(s.fallbackProfileId || '', 'None');
+
+    const wrap = document.getElementById('whispers-feature-routing');
+    if (!wrap) return;
+    wrap.innerHTML = API_FEATURES.map(f => `
+        <div class="whispers-field-group whispers-route-row">
+            <label><i class="fa-solid ${f.icon}"></i> ${f.label}</label>
+            <select data-feature="${f.key}">${buildProfileOptions(s.featureProfiles?.[f.key] || 'st')}</select>
+        </div>`).join('');
+    wrap.querySelectorAll('select[data-feature]').forEach(select => {
+        select.addEventListener('change', (e) => {
+            const settings = getSettings();
+            if (!settings.featureProfiles) settings.featureProfiles = structuredClone(defaultSettings.featureProfiles);
+            settings.featureProfiles[select.dataset.feature] = e.target.value;
+            saveSettings();
+        });
+    });
+}
+
+// Profiles that are deleted fall back to SillyTavern wherever they were used
+function deleteApiProfile(id) {
+    const s = getSettings();
+    s.apiProfiles = s.apiProfiles.filter(p => p.id !== id);
+    for (const key of Object.keys(s.featureProfiles || {})) {
+        if (s.featureProfiles[key] === id) s.featureProfiles[key] = 'st';
+    }
+    for (const owner of [...s.assistants, ...(s.npcAssistants || [])]) {
+        if (owner.apiProfileId === id) owner.apiProfileId = '';
+    }
+    if (s.fallbackProfileId === id) s.fallbackProfileId = '';
+    saveSettings();
+}
+
 // ── Event Binding ───────────────────────────────────────────────
 
 function bindEvents() {
@@ -2735,13 +6695,69 @@ function bindEvents() {
     el('whispers-chat-btn')?.addEventListener('click', openChat);
     el('whispers-chat-close')?.addEventListener('click', closeChat);
     el('whispers-overlay')?.addEventListener('click', (e) => { if (e.target === e.currentTarget) closeChat(); });
-    el('whispers-send')?.addEventListener('click', sendMessage);
-    el('whispers-input')?.addEventListener('keydown', (e) => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); sendMessage(); } });
-    el('whispers-input')?.addEventListener('input', autoResize);
+    el('whispers-send')?.addEventListener('click', () => {
+        if (isGenerating || isRequestActive('proactive')) {
+            cancelRequest('chat');
+            cancelRequest('proactive');
+        } else sendMessage();
+    });
+    el('whispers-input')?.addEventListener('keydown', (e) => {
+        const mentionList = el('whispers-mention-list');
+        if (e.key === 'Tab' && mentionList?.style.display !== 'none') {
+            const first = mentionList.querySelector('[data-assistant]');
+            if (first) { e.preventDefault(); insertMention(first.dataset.assistant); return; }
+        }
+        if (e.key === 'Escape' && mentionList) mentionList.style.display = 'none';
+        if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); if (mentionList) mentionList.style.display = 'none'; sendMessage(); }
+    });
+    el('whispers-input')?.addEventListener('input', () => { autoResize(); renderMentionList(); });
+    // mousedown keeps the caret in the input so the @query is still there on click
+    el('whispers-mention-list')?.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('[data-assistant]');
+        if (!item) return;
+        e.preventDefault();
+        insertMention(item.dataset.assistant);
+    });
+    el('whispers-chat-avatar')?.addEventListener('click', toggleAssistantPicker);
+    el('whispers-chat-header-info')?.addEventListener('click', toggleAssistantPicker);
+    if (el('whispers-assistant-picker')) bindAssistantPickerEvents(el('whispers-assistant-picker'));
+    el('whispers-chat-log')?.addEventListener('click', showGenerationLogPopup);
+    el('whispers-chat-memory')?.addEventListener('click', showMemoryPopup);
+    el('whispers-chat-notebook')?.addEventListener('click', () => {
+        const assistant = getActiveAssistant();
+        if (!assistant) { toastr.warning('No assistant configured.'); return; }
+        showNotebookPopup(assistant);
+    });
+
+    el('whispers-chat-threads')?.addEventListener('click', () => {
+        const panel = el('whispers-thread-panel');
+        if (!panel) return;
+        panel.style.display = panel.style.display === 'none' ? '' : 'none';
+        renamingThreadId = null;
+        renderThreadPanel();
+    });
+    if (el('whispers-thread-panel')) bindThreadPanelEvents(el('whispers-thread-panel'));
+
+    el('whispers-chat-queue')?.addEventListener('click', () => {
+        const panel = el('whispers-queue-panel');
+        if (!panel) return;
+        panel.style.display = panel.style.display === 'none' ? '' : 'none';
+        renderQueuePanel();
+    });
+
+    el('whispers-queue-panel')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('.whispers-queue-drop');
+        if (btn) dropPendingJob(Number(btn.dataset.job));
+    });
+
     el('whispers-chat-clear')?.addEventListener('click', async () => {
-        const meta = getChatMeta();
-        if (meta) { meta.whispers_history = []; await saveChatMeta(); }
+        const thread = getActiveThread();
+        if (!thread || isWhisperBusy()) return;
+        thread.history = [];
+        thread.summary = null;
+        await saveChatMeta();
         renderChatMessages();
+        renderThreadPanel();
     });
 
     // New assistant
@@ -2821,36 +6837,89 @@ function bindEvents() {
         e.target.value = '';
     });
 
-    // API settings
-    el('whispers-use-extra-api')?.addEventListener('change', (e) => {
+    bindUsageEvents();
+    bindPromptEvents();
+    bindContextFilterEvents();
+    bindMarkdownEvents();
+    bindAskEvents();
+
+    // API profiles
+    el('whispers-profile-select')?.addEventListener('change', (e) => {
+        editingProfileId = e.target.value || null;
+        renderProfileEditor();
+    });
+
+    el('whispers-btn-new-profile')?.addEventListener('click', () => {
         const s = getSettings();
-        s.useExtraApi = e.target.checked;
+        const profile = { id: generateId(), name: `Profile ${s.apiProfiles.length + 1}`, type: 'openai', url: '', key: '', model: '' };
+        s.apiProfiles.push(profile);
+        saveSettings();
+        editingProfileId = profile.id;
+        renderProfileEditor();
+        renderFeatureRouting();
+    });
+
+    el('whispers-btn-delete-profile')?.addEventListener('click', () => {
+        const profile = getApiProfile(editingProfileId);
+        if (!profile) return;
+        showConfirmationPopup(`Delete connection profile "${profile.name}"?`, () => {
+            deleteApiProfile(profile.id);
+            editingProfileId = getSettings().apiProfiles[0]?.id || null;
+            renderProfileEditor();
+            renderFeatureRouting();
+            toastr.success('Profile deleted');
+        });
+    });
+
+    el('whispers-profile-name')?.addEventListener('input', (e) => {
+        const profile = getApiProfile(editingProfileId);
+        if (!profile) return;
+        profile.name = e.target.value;
         saveSettings();
-        toggleApiSection(e.target.checked);
+        const opt = el('whispers-profile-select')?.querySelector(`option[value="${profile.id}"]`);
+        if (opt) opt.textContent = profile.name || 'Unnamed';
+        renderFeatureRouting();
+    });
+
+    el('whispers-profile-type')?.addEventListener('change', (e) => {
+        const profile = getApiProfile(editingProfileId);
+        if (!profile) return;
+        profile.type = e.target.value;
+        // Model names do not carry over between backends
+        profile.model = '';
+        saveSettings();
+        renderProfileEditor();
     });
 
     el('whispers-api-url')?.addEventListener('input', (e) => {
-        getSettings().extraApiUrl = e.target.value;
+        const profile = getApiProfile(editingProfileId);
+        if (!profile) return;
+        profile.url = e.target.value;
         saveSettings();
     });
 
     el('whispers-api-key')?.addEventListener('input', (e) => {
-        getSettings().extraApiKey = e.target.value;
+        const profile = getApiProfile(editingProfileId);
+        if (!profile) return;
+        profile.key = e.target.value;
         saveSettings();
     });
 
     el('whispers-model-select')?.addEventListener('change', (e) => {
-        getSettings().extraApiModel = e.target.value;
+        const profile = getApiProfile(editingProfileId);
+        if (!profile) return;
+        profile.model = e.target.value;
         saveSettings();
     });
 
     el('whispers-btn-refresh-models')?.addEventListener('click', async () => {
         const btn = el('whispers-btn-refresh-models');
+        const profile = getApiProfile(editingProfileId);
         if (btn) btn.disabled = true;
-        const models = await fetchModels();
+        const models = await fetchModels(profile);
         const select = el('whispers-model-select');
         if (select) {
-            const current = getSettings().extraApiModel;
+            const current = profile?.model;
             select.innerHTML = '<option value="">Default</option>';
             for (const m of models) {
                 const opt = document.createElement('option');
@@ -2863,8 +6932,47 @@ function bindEvents() {
         if (models.length > 0) toastr.success(`Found ${models.length} model(s)`);
     });
 
-    el('whispers-msg-limit')?.addEventListener('input', (e) => {
-        getSettings().messageLimit = parseInt(e.target.value, 10) || 20;
+    el('whispers-retry-count')?.addEventListener('input', (e) => {
+        const n = parseInt(e.target.value, 10);
+        getSettings().retryCount = Number.isFinite(n) ? Math.max(0, n) : 2;
+        saveSettings();
+    });
+
+    el('whispers-retry-delay')?.addEventListener('input', (e) => {
+        getSettings().retryBaseDelay = Math.max(100, parseInt(e.target.value, 10) || 1000);
+        saveSettings();
+    });
+
+    el('whispers-fallback-profile')?.addEventListener('change', (e) => {
+        getSettings().fallbackProfileId = e.target.value;
+        saveSettings();
+    });
+
+    el('whispers-queue-concurrency')?.addEventListener('input', (e) => {
+        getSettings().queueConcurrency = Math.max(1, parseInt(e.target.value, 10) || 1);
+        saveSettings();
+        pumpGenerationQueue();
+    });
+
+    el('whispers-wi-scan-depth')?.addEventListener('input', (e) => {
+        const depth = parseInt(e.target.value, 10);
+        getSettings().worldInfoScanDepth = Number.isNaN(depth) ? defaultSettings.worldInfoScanDepth : Math.max(0, depth);
+        saveSettings();
+    });
+
+    el('whispers-summary-enabled')?.addEventListener('change', (e) => {
+        getSettings().summaryEnabled = e.target.checked;
+        saveSettings();
+        maybeUpdateChatSummary();
+    });
+
+    el('whispers-summary-keep')?.addEventListener('input', (e) => {
+        getSettings().summaryKeepRecent = Math.max(2, parseInt(e.target.value, 10) || defaultSettings.summaryKeepRecent);
+        saveSettings();
+    });
+
+    el('whispers-summary-interval')?.addEventListener('input', (e) => {
+        getSettings().summaryInterval = Math.max(1, parseInt(e.target.value, 10) || defaultSettings.summaryInterval);
         saveSettings();
     });
 
@@ -2956,7 +7064,7 @@ function bindEvents() {
     });
 
     // ── Twitter refresh ─────────────────────────────────────────
-    el('whispers-tweet-refresh')?.addEventListener('click', generateTwitterPosts);
+    el('whispers-tweet-refresh')?.addEventListener('click', () => generateTwitterPosts('user'));
 
     // ── Settings tab: Theme selector ──────────────────────────────
     document.querySelectorAll('input[name="whispers-overlay-theme"]').forEach(radio => {
@@ -3057,7 +7165,10 @@ function bindEvents() {
     });
 
     // ── Chirp generate btn ────────────────────────────────────
-    document.getElementById('chirp-gen-btn')?.addEventListener('click', chirpGenerateFeed);
+    document.getElementById('chirp-gen-btn')?.addEventListener('click', () => {
+        if (chirpGenerating) cancelRequest('feed');
+        else chirpGenerateFeed();
+    });
 
     // ── Chirp compose avatar → profile ───────────────────────
     document.getElementById('chirp-compose-av-el')?.addEventListener('click', () => {
@@ -3103,14 +7214,24 @@ function bindEvents() {
         }
     }
 
+    // A chat may already be open when the extension loads
+    prepareThreads();
+    addAskButtons();
     bindEvents();
     loadSettingsUI();
     checkForUpdate();
     updateOverlayPanels();
 
-    eventSource.on(event_types.CHAT_CHANGED, () => {
+    eventSource.on(event_types.CHAT_CHANGED, async () => {
+        cancelAllRequests();
+        dropBackgroundJobs();
+        sessionAssistantId = null;
+        clearReference();
+        await prepareThreads();
         updateChatHeader();
         renderChatMessages();
+        renderThreadPanel();
+        renderAssistantPicker();
         renderItemList();
         renderNpcList();
         renderTwitterFeed();
@@ -3270,43 +7391,143 @@ function chirpHeartsHtml(affection, size = 'sm') {
 }
 
 // ── API wrapper ───────────────────────────────────────────────────
-async function chirpCallApi(messages) { return await callApi(messages); }
+async function chirpCallApi(messages, opts = {}) { return await callApi(messages, opts); }
+
+// ── Structured feed output ────────────────────────────────────────
+const CHIRP_FEED_ROUNDS = 3;
+
+function chirpFeedSchema(npcs) {
+    return {
+        name: 'deerly_feed',
+        schema: {
+            type: 'object',
+            properties: {
+                posts: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            npcId: { type: 'string', enum: npcs.map(n => n.id) },
+                            content: { type: 'string' },
+                            replyTo: { type: ['integer', 'null'] },
+                        },
+                        required: ['npcId', 'content', 'replyTo'],
+                    },
+                },
+            },
+            required: ['posts'],
+        },
+    };
+}
+
+// Models that mix up ids usually still get the name or handle right
+function chirpResolveFeedNpc(item, npcs) {
+    const byId = npcs.find(n => n.id === item.npcId);
+    if (byId) return byId;
+    const keys = [item.npcId, item.name, item.username, item.handle]
+        .filter(Boolean).map(k => String(k).replace(/^@/, '').toLowerCase());
+    return npcs.find(n => keys.includes(n.name.toLowerCase()) || keys.includes(n.username.toLowerCase())) || null;
+}
+
+// Appends the usable items to `kept`. Indices below kept.length refer to posts
+// already accepted; new items continue the numbering, as the prompt asks.
+function chirpValidateFeedItems(items, npcs, kept) {
+    const posts = [...kept];
+    const issues = [];
+    const indexMap = new Map(kept.map((_, i) => [i, i]));
+    items.forEach((item, i) => {
+        const index = kept.length + i;
+        if (!item || typeof item !== 'object') { issues.push(`#${index}: not an object`); return; }
+        const npc = chirpResolveFeedNpc(item, npcs);
+        if (!npc) { issues.push(`#${index}: unknown npcId "${item.npcId}"`); return; }
+        const content = String(item.content ?? item.text ?? '').trim();
+        if (!content) { issues.push(`#${index}: empty content`); return; }
+        let replyTo = null;
+        if (item.replyTo !== null && item.replyTo !== undefined && item.replyTo !== '') {
+            const target = Number(item.replyTo);
+            if (Number.isInteger(target) && target < index && indexMap.has(target)) replyTo = indexMap.get(target);
+            else issues.push(`#${index}: bad replyTo ${JSON.stringify(item.replyTo)}, posted standalone`);
+        }
+        indexMap.set(index, posts.length);
+        posts.push({ npcId: npc.id, content, replyTo });
+    });
+    return { posts, issues };
+}
+
+// Requests feed posts, then asks again only for the ones that were missing or invalid
+async function chirpRequestFeedPosts(messages, npcs, count, opts) {
+    const schema = chirpFeedSchema(npcs);
+    let posts = [];
+    const issues = [];
+    let request = messages;
+    for (let round = 1; round <= CHIRP_FEED_ROUNDS && posts.length < count; round++) {
+        const log = {};
+        const raw = await chirpCallApi(request, { ...opts, schema, log });
+        const data = extractJson(raw);
+        const items = Array.isArray(data) ? data : (Array.isArray(data?.posts) ? data.posts : null);
+        if (items) {
+            const result = chirpValidateFeedItems(items, npcs, posts);
+            noteGenerationParse(log, { accepted: result.posts.length - posts.length, issues: result.issues });
+            posts = result.posts;
+            issues.push(...result.issues);
+        } else {
+            noteGenerationParse(log, 'No JSON array found in the reply');
+            issues.push(`round ${round}: no JSON array found`);
+        }
+
+        const missing = count - posts.length;
+        if (missing <= 0) break;
+        const done = posts.map((p, i) => `[${i}] ${p.npcId}: ${p.content}`).join('\n');
+        request = [...messages, {
+            role: 'user',
+            content: `${done ? `These posts are already done:\n${done}\n\n` : ''}Write ${missing} more post(s) in the same JSON format. New posts continue the numbering from ${posts.length}, so "replyTo" may point at any earlier number. Valid npcId values: ${npcs.map(n => n.id).join(', ')}.`,
+        }];
+    }
+    if (issues.length) console.warn('[Chirp] Feed output issues:', issues);
+    return { posts, issues };
+}
 
 // ── Generate feed ─────────────────────────────────────────────────
+function chirpFeedTemplateValues(npcs) {
+    const s = getSettings();
+    return {
+        npc_cards: npcs.map(n => `ID: ${n.id}\nName: ${n.name}\nHandle: @${n.username}\nPersonality: ${n.character || 'Friendly'}\nPost style: ${n.postExample || 'Casual'}`).join('\n\n'),
+        post_count: s.chirpPostCount || 4,
+        user_handle: s.chirpUserProfile?.username || 'player',
+        card: buildCardContext(npcs),
+    };
+}
+
 async function chirpGenerateFeed() {
     if (chirpGenerating) return;
     const npcs = chirpGetActiveNpcs();
     if (!npcs.length) { toastr.warning('No active NPC Assistants. Add some in Settings → Assistants → NPC Assistants.'); return; }
     chirpGenerating = true;
     const genBtn = chirpEl('chirp-gen-btn');
-    if (genBtn) { genBtn.disabled = true; genBtn.innerHTML = '<div class="chirp-spin"></div> Generating…'; }
+    if (genBtn) { genBtn.classList.add('chirp-gen-btn-stop'); genBtn.title = 'Stop'; genBtn.innerHTML = '<div class="chirp-spin"></div> Stop'; }
+    const controller = beginRequest('feed');
     try {
-        const s = getSettings();
-        const npcCards = npcs.map(n => `ID: ${n.id}\nName: ${n.name}\nHandle: @${n.username}\nPersonality: ${n.character || 'Friendly'}\nPost style: ${n.postExample || 'Casual'}`).join('\n\n');
-        const context = gatherContext();
-        const count = s.chirpPostCount || 4;
-        const _userHandle = s.chirpUserProfile?.username || 'player';
-        let prompt = (s.chirpFeedPrompt || chirpDefaults.chirpFeedPrompt)
-            .replace(/\{\{npc_cards\}\}/g, npcCards)
-            .replace(/\{\{context\}\}/g, context)
-            .replace(/\{\{post_count\}\}/g, count)
-            .replace(/\{\{user_handle\}\}/g, _userHandle);
-        const raw = await chirpCallApi([
-            { role: 'system', content: 'Output ONLY valid JSON arrays. No markdown fences, no explanations.' },
+        const values = chirpFeedTemplateValues(npcs);
+        const count = values.post_count;
+        const { context, lore } = await buildBudgetedContext('feed', {
+            fixed: [
+                { label: 'Template', text: renderPrompt('chirpFeedPrompt', { ...values, npc_cards: '', context: '' }) },
+                { label: 'NPC cards', text: values.npc_cards },
+            ],
+            lore: await gatherWorldInfo(npcs),
+        });
+        const prompt = renderPrompt('chirpFeedPrompt', { ...values, lore, context });
+        const { posts: parsed } = await chirpRequestFeedPosts([
+            { role: 'system', content: 'Output ONLY valid JSON. No markdown fences, no explanations.' },
             { role: 'user', content: prompt }
-        ]);
-        let parsed;
-        try { parsed = JSON.parse(raw.replace(/```json|```/g, '').trim()); }
-        catch { toastr.error('Failed to parse feed posts. Try again.'); return; }
+        ], npcs, count, { feature: 'feed', priority: 'user', signal: controller.signal });
+        if (!parsed.length) { toastr.error('Failed to parse feed posts. Try again.'); return; }
         const posts = chirpGetPosts();
         const now = Date.now();
         const batch = [];
         for (let i = 0; i < parsed.length; i++) {
             const p = parsed[i];
-            if (!p.npcId || !p.content) continue;
-            const npc = npcs.find(n => n.id === p.npcId) || npcs[i % npcs.length];
-            if (!npc) continue;
-            const post = { id: generateId(), authorId: npc.id, content: String(p.content).slice(0, 280), timestamp: now - (parsed.length - i) * 11000, likes: [], retweets: [], replies: [], replyToId: null };
+            const post = { id: generateId(), authorId: p.npcId, content: p.content.slice(0, 280), timestamp: now - (parsed.length - i) * 11000, likes: [], retweets: [], replies: [], replyToId: null };
             if (p.replyTo != null && batch[p.replyTo]) {
                 post.replyToId = batch[p.replyTo].id;
                 batch[p.replyTo].replies.push(post.id);
@@ -3321,11 +7542,14 @@ async function chirpGenerateFeed() {
         toastr.success(`${batch.length} posts generated!`);
         setTimeout(() => chirpGenerateOrganicReactions(batch), 900);
     } catch (err) {
+        // A chat switch stops the feed quietly; only the Stop button deserves a toast
+        if (isAbortError(err)) { if (!isStaleRequest(controller)) toastr.info('Generation stopped'); return; }
         console.error('[Chirp] Generate error:', err);
         toastr.error('Generation failed: ' + err.message);
     } finally {
+        endRequest('feed', controller);
         chirpGenerating = false;
-        if (genBtn) { genBtn.disabled = false; genBtn.innerHTML = '<i class="fa-solid fa-wand-magic-sparkles"></i> Generate'; }
+        if (genBtn) { genBtn.classList.remove('chirp-gen-btn-stop'); genBtn.title = ''; genBtn.innerHTML = '<i class="fa-solid fa-wand-magic-sparkles"></i> Generate'; }
     }
 }
 
@@ -3341,19 +7565,6 @@ async function chirpPostUserTweet(text, quotedPostId = null) {
 }
 
 
-// ── Text formatting (markdown-lite + @mention) ───────────────────
-function chirpFormatContent(text) {
-    let h = String(text)
-        .replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
-    h = h.replace(/\*\*\*((?:.)*?)\*\*\*/g,'<strong><em>$1</em></strong>');
-    h = h.replace(/\*\*((?:.)*?)\*\*/g,'<strong>$1</strong>');
-    h = h.replace(/\*((?:.)*?)\*/g,'<em>$1</em>');
-    h = h.replace(/~~((?:.)*?)~~/g,'<del>$1</del>');
-    h = h.replace(/@(\w+)/g,'<span class="chirp-mention" data-mention="$1">@$1</span>');
-    h = h.replace(/\n/g,'<br>');
-    return h;
-}
-
 // ── Growth reactions (token-free) ────────────────────────────────
 function chirpApplyGrowthReactions(postId) {
     const posts = chirpGetPosts();
@@ -3406,15 +7617,20 @@ function chirpGenerateOrganicReactions(batch) {
 }
 
 // ── NPC auto-reply to a post ──────────────────────────────────────
+// Shared by chirpReplyPrompt and chirpReactPrompt
+function chirpReplyTemplateValues(npc, post) {
+    return { npc_name: npc.name, npc_username: npc.username, personality: npc.character || 'Friendly', author_username: chirpGetAuthor(post.authorId).username, post_content: post.content };
+}
+
 async function chirpNpcAutoReplyTo(replyPostId, npc) {
     const posts = chirpGetPosts();
     const post = posts.find(p => p.id === replyPostId);
     if (!post) return;
+    const requestKey = `chirp-reply:${replyPostId}`;
+    const controller = beginRequest(requestKey);
     try {
-        const u = getSettings().chirpUserProfile;
-        const pAuthor = chirpGetAuthor(post.authorId);
-        const sys = `You are ${npc.name} (@${npc.username}) on Deerly. Personality: ${npc.character || 'Friendly'}.\n@${pAuthor.username} wrote: "${post.content}"\nWrite a short reply (max 200 chars). Plain text only.`;
-        const raw = await chirpCallApi([{ role:'system', content:sys },{ role:'user', content:'Reply:' }]);
+        const sys = await renderNpcReplyPrompt('chirpReplyPrompt', chirpReplyTemplateValues(npc, post), npc, [post.content]);
+        const raw = await chirpCallApi([{ role:'system', content:sys },{ role:'user', content:'Reply:' }], { feature: 'npcReply', owner: npc, signal: controller.signal });
         if (raw?.trim()) {
             const freshPosts = chirpGetPosts();
             const freshPost = freshPosts.find(p => p.id === replyPostId);
@@ -3429,7 +7645,8 @@ async function chirpNpcAutoReplyTo(replyPostId, npc) {
             chirpUpdateBadges();
             if (chirpActiveSubPanel === 'home') chirpRenderFeed();
         }
-    } catch (err) { console.error('[Deerly] NPC auto-reply:', err); }
+    } catch (err) { if (!isAbortError(err)) console.error('[Deerly] NPC auto-reply:', err); }
+    finally { endRequest(requestKey, controller); }
 }
 
 // ── Feed prompt update: user_handle placeholder ───────────────────
@@ -3448,7 +7665,7 @@ function chirpBuildCard(post, opts = {}) {
         const qp = chirpGetPosts().find(p => p.id === post.quotedPostId);
         if (qp) {
             const qa = chirpGetAuthor(qp.authorId);
-            quoteHtml = `<div class="chirp-quote-block"><div class="chirp-quote-head"><b>${chirpEsc(qa.name)}</b> <span style="opacity:0.5">@${chirpEsc(qa.username)}</span></div><div class="chirp-quote-txt">${chirpFormatContent(qp.content)}</div></div>`;
+            quoteHtml = `<div class="chirp-quote-block"><div class="chirp-quote-head"><b>${chirpEsc(qa.name)}</b> <span style="opacity:0.5">@${chirpEsc(qa.username)}</span></div><div class="chirp-quote-txt">${renderMarkdownInline(qp.content, { mentions: true })}</div></div>`;
         }
     }
 
@@ -3466,7 +7683,7 @@ function chirpBuildCard(post, opts = {}) {
         <span class="chirp-tweet-ts">${chirpRelTime(post.timestamp)}</span>
         <button class="chirp-more-btn" data-pid="${post.id}"><i class="fa-solid fa-ellipsis"></i></button>
       </div>
-      <div class="chirp-tweet-txt chirp-open-thread" data-pid="${post.id}">${chirpFormatContent(post.content)}</div>
+      <div class="chirp-tweet-txt chirp-open-thread whispers-md" data-pid="${post.id}">${renderMarkdown(post.content, { mentions: true })}</div>
       ${quoteHtml}
       <div class="chirp-tweet-actions-row">
         <button class="chirp-act-btn chirp-reply-act" data-pid="${post.id}"><i class="fa-regular fa-comment"></i><span>${post.replies.length||''}</span></button>
@@ -3700,15 +7917,14 @@ async function chirpNpcReact(pid) {
     const btn = document.querySelector(`.chirp-npc-react-act[data-pid="${pid}"]`);
     if (btn) { btn.disabled = true; btn.innerHTML = '<div class="chirp-spin"></div>'; }
     try {
-        const pAuthor = chirpGetAuthor(post.authorId);
-        const sys = `You are ${npc.name} (@${npc.username}) on Deerly. ${npc.character || 'Friendly'}\nReply to this post in max 220 chars. Just plain text:\n"${post.content}" — by @${pAuthor.username}`;
-        const raw = await chirpCallApi([{ role: 'system', content: sys }, { role: 'user', content: 'Write your reply:' }]);
+        const sys = await renderNpcReplyPrompt('chirpReactPrompt', chirpReplyTemplateValues(npc, post), npc, [post.content]);
+        const raw = await chirpCallApi([{ role: 'system', content: sys }, { role: 'user', content: 'Write your reply:' }], { feature: 'npcReply', owner: npc, priority: 'user' });
         if (raw?.trim()) {
             const replyPost = { id: generateId(), authorId: npc.id, content: raw.trim().slice(0, 240), timestamp: Date.now(), likes: [], retweets: [], replies: [], replyToId: pid };
             post.replies.push(replyPost.id); posts.unshift(replyPost);
             chirpSavePosts(posts); await saveChatMeta(); chirpRenderFeed();
         }
-    } catch (err) { toastr.error('NPC react failed: ' + err.message); }
+    } catch (err) { if (!isAbortError(err)) toastr.error('NPC react failed: ' + err.message); }
     finally { if (btn) { btn.disabled = false; btn.innerHTML = '<i class="fa-solid fa-robot"></i>'; } }
 }
 
@@ -3732,7 +7948,7 @@ function chirpShowCtxMenu(pid, evt) {
     menu.addEventListener('click', e => {
         const a = e.target.closest('[data-a]')?.dataset.a;
         if (a === 'open') chirpOpenThread(pid, false);
-        if (a === 'copy') { navigator.clipboard?.writeText(post.content); toastr.success('Copied!'); }
+        if (a === 'copy') copyToClipboard(post.content);
         if (a === 'quote') chirpOpenQuoteCompose(pid);
         if (a === 'npc') chirpNpcReact(pid);
         if (a === 'bm') chirpToggleBookmark(pid);
@@ -3844,7 +8060,7 @@ function chirpRenderDmChat(npcId) {
             return `<div class="chirp-dm-msg ${isUser?'me':'them'}">
               <div class="chirp-dm-msg-av">${avHtml}</div>
               <div>
-                <div class="chirp-dm-bubble">${chirpFormatContent(m.content)}
+                <div class="chirp-dm-bubble whispers-md">${renderMarkdown(m.content, { mentions: true })}
                   <span class="chirp-dm-bubble-ts">${chirpRelTime(m.timestamp)}</span>
                 </div>
               </div>
@@ -3892,14 +8108,18 @@ function chirpRenderDmChat(npcId) {
     const send = chirpEl(`chirp-dm-send-${npcId}`);
     if (field && send) {
         field.addEventListener('input', () => {
-            send.disabled = !field.value.trim();
+            send.disabled = !field.value.trim() && !isRequestActive(`dm:${npcId}`);
             field.style.height = 'auto';
             const sh = field.scrollHeight;
             field.style.height = Math.min(sh, 90) + 'px';
             field.style.overflowY = sh > 90 ? 'auto' : 'hidden';
         });
         field.addEventListener('keydown', e => { if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); if (!send.disabled) chirpSendDm(npcId); } });
-        send.addEventListener('click', () => chirpSendDm(npcId));
+        send.addEventListener('click', () => {
+            if (isRequestActive(`dm:${npcId}`)) cancelRequest(`dm:${npcId}`);
+            else chirpSendDm(npcId);
+        });
+        chirpSyncDmSendBtn(npcId);
     }
 
     // Scroll to bottom
@@ -3909,11 +8129,35 @@ function chirpRenderDmChat(npcId) {
     });
 }
 
+// The DM send button turns into Stop while that NPC's reply is generating
+function chirpSyncDmSendBtn(npcId) {
+    const send = chirpEl(`chirp-dm-send-${npcId}`);
+    if (!send) return;
+    const busy = isRequestActive(`dm:${npcId}`);
+    send.classList.toggle('chirp-dm-send-stop', busy);
+    send.title = busy ? 'Стоп' : 'Отправить';
+    send.innerHTML = busy ? '<i class="fa-solid fa-stop"></i>' : '<i class="fa-solid fa-paper-plane"></i>';
+    send.disabled = !busy && !chirpEl(`chirp-dm-field-${npcId}`)?.value.trim();
+}
+
+function chirpDmTemplateValues(npc) {
+    const u = getSettings().chirpUserProfile;
+    return {
+        npc_name: npc.name,
+        npc_username: npc.username,
+        personality: npc.character || 'Friendly',
+        post_style: npc.postExample ? `Style: ${npc.postExample}` : 'Casual',
+        user_name: u.name || 'Player',
+        user_username: u.username || 'player',
+        card: buildCardContext([npc]),
+    };
+}
+
 async function chirpSendDm(npcId) {
     const field = chirpEl(`chirp-dm-field-${npcId}`);
     if (!field) return;
     const text = field.value.trim();
-    if (!text) return;
+    if (!text || isRequestActive(`dm:${npcId}`)) return;
 
     // Clear input immediately
     field.value = '';
@@ -3930,6 +8174,9 @@ async function chirpSendDm(npcId) {
     chirpSaveDMs(dmsObj);
     await saveChatMeta();
 
+    const requestKey = `dm:${npcId}`;
+    const controller = beginRequest(requestKey);
+
     // Re-render to show user message immediately
     chirpRenderDmChat(npcId);
     chirpRenderDmSidebar();
@@ -3945,38 +8192,38 @@ async function chirpSendDm(npcId) {
         msgs.scrollTop = msgs.scrollHeight;
     }
 
+    const npc = chirpGetNpcById(npcId);
+    let partial = '';
     try {
-        const npc = chirpGetNpcById(npcId);
-        const s = getSettings();
-        const u = s.chirpUserProfile;
-        let prompt = (s.chirpDmPrompt || chirpDefaults.chirpDmPrompt)
-            .replace(/\{\{npc_name\}\}/g, npc.name)
-            .replace(/\{\{npc_username\}\}/g, npc.username)
-            .replace(/\{\{personality\}\}/g, npc.character || 'Friendly')
-            .replace(/\{\{post_style\}\}/g, npc.postExample ? `Style: ${npc.postExample}` : 'Casual')
-            .replace(/\{\{user_name\}\}/g, u.name || 'Player')
-            .replace(/\{\{user_username\}\}/g, u.username || 'player')
-            .replace(/\{\{context\}\}/g, gatherContext());
+        const values = chirpDmTemplateValues(npc);
         const freshDms = chirpGetDMs();
         const conv = Array.isArray(freshDms[npcId]) ? freshDms[npcId] : [];
-        const history = conv.slice(-8).map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.content }));
-        const reply = await chirpCallApi([{ role: 'system', content: prompt }, ...history]);
-        if (reply?.trim()) {
-            const npcMsg = { role: 'npc', content: reply.trim(), timestamp: Date.now(), read: false };
-            const dmsObj2 = chirpGetDMs();
-            if (!Array.isArray(dmsObj2[npcId])) dmsObj2[npcId] = [];
-            dmsObj2[npcId].push(npcMsg);
-            chirpSaveDMs(dmsObj2);
-            await saveChatMeta();
-            // Increase affection with reason
-            const _dmsCount = (chirpGetDMs()[npcId] || []).length;
-            chirpAddAffectionReason(npcId, _dmsCount <= 2 ? 'dm_first' : 'dm_reply');
-            chirpAddNotif({ type: 'dm', actorId: npcId, actorName: npc.name, actorAvatar: npc.avatar, message: 'replied to your message', quote: reply.trim().slice(0, 70) });
-        }
+        const budgeted = await buildBudgetedContext('dm', {
+            fixed: [{ label: 'DM prompt', text: renderPrompt('chirpDmPrompt', { ...values, context: '' }) }],
+            history: conv,
+            historyLabel: 'DM history',
+            lore: await gatherWorldInfo([npc], conv.map(m => m.content)),
+        });
+        const prompt = renderPrompt('chirpDmPrompt', { ...values, lore: budgeted.lore, context: budgeted.context });
+        const history = budgeted.history.map(m => ({ role: m.role === 'user' ? 'user' : 'assistant', content: m.content }));
+        const reply = await chirpCallApi([{ role: 'system', content: prompt }, ...history], {
+            feature: 'dm',
+            owner: npc,
+            priority: 'user',
+            signal: controller.signal,
+            onToken: (t) => { partial = t; chirpUpdateDmStream(npcId, t); },
+        });
+        if (reply?.trim()) await chirpSaveNpcDm(npc, reply.trim());
     } catch (err) {
-        console.error('[Chirp] DM error:', err);
-        toastr.error('DM failed: ' + err.message);
+        if (isAbortError(err)) {
+            // Stopped mid-stream: keep what the NPC had already written
+            if (partial.trim() && !isStaleRequest(controller)) await chirpSaveNpcDm(npc, partial.trim());
+        } else {
+            console.error('[Chirp] DM error:', err);
+            toastr.error('DM failed: ' + err.message);
+        }
     } finally {
+        endRequest(requestKey, controller);
         chirpEl(`chirp-typing-${npcId}`)?.remove();
         chirpRenderDmChat(npcId);
         chirpRenderDmSidebar();
@@ -3984,6 +8231,36 @@ async function chirpSendDm(npcId) {
     }
 }
 
+async function chirpSaveNpcDm(npc, content) {
+    const npcMsg = { role: 'npc', content, timestamp: Date.now(), read: false };
+    const dmsObj = chirpGetDMs();
+    if (!Array.isArray(dmsObj[npc.id])) dmsObj[npc.id] = [];
+    dmsObj[npc.id].push(npcMsg);
+    chirpSaveDMs(dmsObj);
+    await saveChatMeta();
+    // Increase affection with reason
+    const _dmsCount = (chirpGetDMs()[npc.id] || []).length;
+    chirpAddAffectionReason(npc.id, _dmsCount <= 2 ? 'dm_first' : 'dm_reply');
+    chirpAddNotif({ type: 'dm', actorId: npc.id, actorName: npc.name, actorAvatar: npc.avatar, message: 'replied to your message', quote: content.slice(0, 70) });
+}
+
+// Turns the DM typing indicator into a live bubble while the reply streams
+function chirpUpdateDmStream(npcId, text) {
+    const typingEl = chirpEl(`chirp-typing-${npcId}`);
+    if (!typingEl) return;
+    let bubble = typingEl.querySelector('.chirp-dm-bubble');
+    if (!bubble) {
+        typingEl.querySelector('.chirp-dm-typing-wrap')?.remove();
+        const wrap = document.createElement('div');
+        wrap.innerHTML = '<div class="chirp-dm-bubble whispers-md"></div>';
+        typingEl.appendChild(wrap);
+        bubble = wrap.firstElementChild;
+    }
+    bubble.innerHTML = renderMarkdown(text, { mentions: true });
+    const msgs = chirpEl(`chirp-dm-msgs-${npcId}`);
+    if (msgs) msgs.scrollTop = msgs.scrollHeight;
+}
+
 // ── Notifications ─────────────────────────────────────────────────
 function chirpRenderNotifications() {
     const scroll = chirpEl('chirp-notifs-scroll'); if (!scroll) return;
@@ -4004,7 +8281,7 @@ function chirpRenderNotifications() {
         const avHtml = n.actorAvatar ? `<img src="${chirpEsc(n.actorAvatar)}" alt="">` : chirpEsc((n.actorName||'?')[0]);
         const item = document.createElement('div');
         item.className = 'chirp-notif-item' + (n.read ? '' : ' unread');
-        item.innerHTML = `<div class="chirp-notif-icon ${cls}"><i class="fa-solid ${icon}"></i></div><div class="chirp-notif-av">${avHtml}</div><div class="chirp-notif-body"><span class="chirp-notif-actor">${chirpEsc(n.actorName||'?')}</span> <span class="chirp-notif-txt">${chirpEsc(n.message)}</span>${n.quote ? `<div class="chirp-notif-quote">${chirpFormatContent(n.quote)}</div>` : ''}</div><span class="chirp-notif-time">${chirpRelTime(n.timestamp)}</span>`;
+        item.innerHTML = `<div class="chirp-notif-icon ${cls}"><i class="fa-solid ${icon}"></i></div><div class="chirp-notif-av">${avHtml}</div><div class="chirp-notif-body"><span class="chirp-notif-actor">${chirpEsc(n.actorName||'?')}</span> <span class="chirp-notif-txt">${chirpEsc(n.message)}</span>${n.quote ? `<div class="chirp-notif-quote">${renderMarkdownInline(n.quote, { mentions: true })}</div>` : ''}</div><span class="chirp-notif-time">${chirpRelTime(n.timestamp)}</span>`;
         item.addEventListener('click', () => {
             n.read = true; saveChatMeta(); chirpUpdateBadges();
             if (n.postId) { chirpSwitchSubPanel('home'); setTimeout(() => chirpOpenThread(n.postId, false), 100); }
@@ -4204,8 +8481,6 @@ function chirpLoadSocialSettings() {
     if (el('chirp-st-handle')) el('chirp-st-handle').value = u.username || '';
     if (el('chirp-st-bio')) el('chirp-st-bio').value = u.bio || '';
     if (el('chirp-st-count')) el('chirp-st-count').value = s.chirpPostCount || 4;
-    if (el('chirp-st-feed-prompt')) el('chirp-st-feed-prompt').value = s.chirpFeedPrompt || chirpDefaults.chirpFeedPrompt;
-    if (el('chirp-st-dm-prompt')) el('chirp-st-dm-prompt').value = s.chirpDmPrompt || chirpDefaults.chirpDmPrompt;
     if (el('chirp-st-av')) el('chirp-st-av').innerHTML = u.avatar ? `<img src="${chirpEsc(u.avatar)}" alt="" style="width:100%;height:100%;object-fit:cover;border-radius:50%;">` : '<i class="fa-solid fa-user"></i>';
 }
 
@@ -4223,8 +8498,6 @@ function chirpBindSocialSettingsEvents() {
     chirpEl('chirp-st-handle')?.addEventListener('input', saveProfile);
     chirpEl('chirp-st-bio')?.addEventListener('input', saveProfile);
     chirpEl('chirp-st-count')?.addEventListener('change', saveProfile);
-    chirpEl('chirp-st-feed-prompt')?.addEventListener('input', debounce(700, () => { const s = getSettings(); s.chirpFeedPrompt = chirpEl('chirp-st-feed-prompt')?.value || ''; saveSettings(); }));
-    chirpEl('chirp-st-dm-prompt')?.addEventListener('input', debounce(700, () => { const s = getSettings(); s.chirpDmPrompt = chirpEl('chirp-st-dm-prompt')?.value || ''; saveSettings(); }));
     chirpEl('chirp-st-av')?.addEventListener('click', () => {
         const inp = document.createElement('input'); inp.type = 'file'; inp.accept = 'image/*';
         inp.onchange = e => chirpReadImg(e.target.files[0], url => {
@@ -4234,13 +8507,7 @@ function chirpBindSocialSettingsEvents() {
         });
         inp.click();
     });
-    chirpEl('chirp-st-reset-prompts')?.addEventListener('click', () => {
-        const s = getSettings();
-        s.chirpFeedPrompt = chirpDefaults.chirpFeedPrompt;
-        s.chirpDmPrompt = chirpDefaults.chirpDmPrompt;
-        saveSettings(); chirpLoadSocialSettings();
-        toastr.success('Prompts reset to default');
-    });
+    chirpEl('chirp-st-edit-prompts')?.addEventListener('click', () => openPromptEditor('chirpFeedPrompt'));
 }
 
 function chirpReadImg(file, cb) { if (!file) return; const r = new FileReader(); r.onload = e => cb(e.target.result); r.readAsDataURL(file); }
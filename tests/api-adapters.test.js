@@ -0,0 +1,374 @@
+// Runs every provider adapter against a local mock server: request shape,
+// whole and streamed replies, model lists and error reporting.
+
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { API_ADAPTERS, fetchModelList, parseRetryAfter, requestExtraApiOnce } from '../api-adapters.js';
+
+// ── Mock server ─────────────────────────────────────────────────
+// Each test sets mock.handler(req, res, body); mock.requests keeps what arrived.
+
+const mock = { requests: [], handler: null, url: '' };
+let server;
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : null;
+            mock.requests.push({ method: req.method, path: req.url, headers: req.headers, body });
+            mock.handler(req, res, body);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    mock.url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    mock.requests = [];
+    mock.handler = (req, res) => json(res, 500, { error: 'no handler' });
+});
+
+function json(res, status, data, headers = {}) {
+    res.writeHead(status, { 'content-type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+function sse(res, events) {
+    res.writeHead(200, { 'content-type': 'text/event-stream' });
+    for (const e of events) res.write(`data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`);
+    res.end();
+}
+
+function ndjson(res, lines) {
+    res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+    for (const line of lines) res.write(JSON.stringify(line) + '\n');
+    res.end();
+}
+
+const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'How are you?' },
+];
+
+// Streams the request and returns the final text plus every delta seen
+async function streamed(profile, params = {}) {
+    const deltas = [];
+    const usage = {};
+    const text = await requestExtraApiOnce(messages, profile, params, { onToken: (full, delta) => deltas.push(delta), usage });
+    return { text, deltas, usage };
+}
+
+async function rejects(promise) {
+    try {
+        await promise;
+    } catch (err) {
+        return err;
+    }
+    assert.fail('expected the request to fail');
+}
+
+// ── OpenAI-compatible ───────────────────────────────────────────
+
+describe('openai adapter', () => {
+    const profile = () => ({ type: 'openai', url: mock.url, key: 'sk-test', model: 'gpt-test' });
+
+    test('sends chat messages and reads the reply and usage', async () => {
+        mock.handler = (req, res) => json(res, 200, {
+            choices: [{ message: { content: 'Fine, thanks.' } }],
+            usage: { prompt_tokens: 12, completion_tokens: 3 },
+        });
+        const usage = {};
+        const text = await requestExtraApiOnce(messages, profile(), { temperature: 0.5, top_k: 40 }, { usage });
+
+        assert.equal(text, 'Fine, thanks.');
+        assert.deepEqual(usage, { prompt: 12, completion: 3 });
+        const [req] = mock.requests;
+        assert.equal(req.path, '/v1/chat/completions');
+        assert.equal(req.headers.authorization, 'Bearer sk-test');
+        assert.deepEqual(req.body, { messages, temperature: 0.5, top_k: 40, model: 'gpt-test' });
+    });
+
+    test('accepts the full endpoint as the URL', async () => {
+        mock.handler = (req, res) => json(res, 200, { choices: [{ message: { content: 'ok' } }] });
+        await requestExtraApiOnce(messages, { ...profile(), url: `${mock.url}/v1/chat/completions` }, {});
+        assert.equal(mock.requests[0].path, '/v1/chat/completions');
+    });
+
+    test('streams SSE deltas', async () => {
+        mock.handler = (req, res) => sse(res, [
+            { choices: [{ delta: { content: 'Fine' } }] },
+            { choices: [{ delta: { content: ', thanks.' } }] },
+            { choices: [], usage: { prompt_tokens: 12, completion_tokens: 3 } },
+            '[DONE]',
+        ]);
+        const { text, deltas, usage } = await streamed(profile());
+
+        assert.equal(text, 'Fine, thanks.');
+        assert.deepEqual(deltas, ['Fine', ', thanks.']);
+        assert.deepEqual(usage, { prompt: 12, completion: 3 });
+        assert.equal(mock.requests[0].body.stream, true);
+        assert.deepEqual(mock.requests[0].body.stream_options, { include_usage: true });
+    });
+
+    test('adds a JSON schema as response_format', async () => {
+        mock.handler = (req, res) => json(res, 200, { choices: [{ message: { content: '{}' } }] });
+        const schema = { type: 'object' };
+        await requestExtraApiOnce(messages, profile(), {}, { schema: { name: 'feed', schema } });
+        assert.deepEqual(mock.requests[0].body.response_format, { type: 'json_schema', json_schema: { name: 'feed', schema, strict: false } });
+    });
+
+    test('lists models', async () => {
+        mock.handler = (req, res) => json(res, 200, { data: [{ id: 'gpt-a' }, { id: 'gpt-b' }] });
+        assert.deepEqual(await fetchModelList(profile()), ['gpt-a', 'gpt-b']);
+        assert.equal(mock.requests[0].path, '/v1/models');
+    });
+
+    test('reports errors with status and retryability', async () => {
+        mock.handler = (req, res) => json(res, 401, { error: { message: 'Invalid API key' } });
+        const auth = await rejects(requestExtraApiOnce(messages, profile(), {}));
+        assert.match(auth.message, /OpenAI-compatible error 401: Invalid API key/);
+        assert.equal(auth.status, 401);
+        assert.equal(auth.retryable, false);
+
+        mock.handler = (req, res) => json(res, 429, { error: { message: 'Slow down' } }, { 'retry-after': '2' });
+        const limited = await rejects(requestExtraApiOnce(messages, profile(), {}));
+        assert.equal(limited.retryable, true);
+        assert.equal(limited.retryAfter, 2000);
+
+        mock.handler = (req, res) => { res.writeHead(502); res.end('Bad gateway'); };
+        const gateway = await rejects(requestExtraApiOnce(messages, profile(), {}));
+        assert.match(gateway.message, /502: Bad gateway/);
+        assert.equal(gateway.retryable, true);
+    });
+
+    test('surfaces an error sent inside the stream', async () => {
+        mock.handler = (req, res) => sse(res, [{ error: { message: 'Context too long' } }]);
+        const err = await rejects(streamed(profile()));
+        assert.match(err.message, /Context too long/);
+    });
+
+    test('treats an unreachable server as retryable', async () => {
+        const closed = http.createServer();
+        await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+        const url = `http://127.0.0.1:${closed.address().port}`;
+        await new Promise(resolve => closed.close(resolve));
+
+        const err = await rejects(requestExtraApiOnce(messages, { ...profile(), url }, {}));
+        assert.match(err.message, /could not reach/);
+        assert.equal(err.retryable, true);
+    });
+});
+
+// ── text-generation-webui ───────────────────────────────────────
+
+describe('textgen adapter', () => {
+    const profile = () => ({ type: 'textgen', url: mock.url, model: '' });
+
+    test('uses the OpenAI-compatible chat endpoint', async () => {
+        mock.handler = (req, res) => json(res, 200, { choices: [{ message: { content: 'Sure.' } }] });
+        assert.equal(await requestExtraApiOnce(messages, profile(), { max_tokens: 64 }), 'Sure.');
+        const [req] = mock.requests;
+        assert.equal(req.path, '/v1/chat/completions');
+        assert.equal(req.headers.authorization, undefined);
+        assert.deepEqual(req.body, { messages, max_tokens: 64 });
+    });
+
+    test('lists models from the internal endpoint', async () => {
+        mock.handler = (req, res) => json(res, 200, { model_names: ['llama-3-8b', 'mistral-7b'] });
+        assert.deepEqual(await fetchModelList(profile()), ['llama-3-8b', 'mistral-7b']);
+        assert.equal(mock.requests[0].path, '/v1/internal/model/list');
+    });
+
+    test('reports errors', async () => {
+        mock.handler = (req, res) => json(res, 500, { detail: 'No model is loaded' });
+        const err = await rejects(requestExtraApiOnce(messages, profile(), {}));
+        assert.match(err.message, /text-generation-webui error 500: No model is loaded/);
+        assert.equal(err.retryable, true);
+    });
+});
+
+// ── KoboldCpp ───────────────────────────────────────────────────
+
+describe('kobold adapter', () => {
+    const profile = () => ({ type: 'kobold', url: `${mock.url}/api`, model: '' });
+
+    test('flattens the chat into a prompt', async () => {
+        mock.handler = (req, res) => json(res, 200, { results: [{ text: ' Fine, thanks.' }] });
+        const text = await requestExtraApiOnce(messages, profile(), { temperature: 0.7, max_tokens: 100, stop: ['###'], rep_pen: 1.1 });
+
+        assert.equal(text, ' Fine, thanks.');
+        const [req] = mock.requests;
+        assert.equal(req.path, '/api/v1/generate');
+        assert.deepEqual(req.body, {
+            prompt: 'Be brief.\n\nUser: Hi\nAssistant: Hello!\nUser: How are you?\nAssistant:',
+            max_length: 100,
+            stop_sequence: ['###', '\nUser:'],
+            temperature: 0.7,
+            rep_pen: 1.1,
+        });
+    });
+
+    test('streams tokens from the extra endpoint', async () => {
+        mock.handler = (req, res) => sse(res, [{ token: 'Fine' }, { token: ', thanks.' }]);
+        const { text, deltas } = await streamed(profile());
+
+        assert.equal(text, 'Fine, thanks.');
+        assert.deepEqual(deltas, ['Fine', ', thanks.']);
+        assert.equal(mock.requests[0].path, '/api/extra/generate/stream');
+    });
+
+    test('lists the loaded model', async () => {
+        mock.handler = (req, res) => json(res, 200, { result: 'koboldcpp/mythomax' });
+        assert.deepEqual(await fetchModelList(profile()), ['koboldcpp/mythomax']);
+        assert.equal(mock.requests[0].path, '/api/v1/model');
+    });
+
+    test('reports errors', async () => {
+        mock.handler = (req, res) => json(res, 422, { detail: { msg: 'max_length too large' } });
+        const err = await rejects(requestExtraApiOnce(messages, profile(), {}));
+        assert.match(err.message, /KoboldCpp \/ KoboldAI error 422: max_length too large/);
+        assert.equal(err.retryable, false);
+    });
+});
+
+// ── Ollama ──────────────────────────────────────────────────────
+
+describe('ollama adapter', () => {
+    const profile = () => ({ type: 'ollama', url: mock.url, model: 'llama3' });
+
+    test('moves sampling into options', async () => {
+        mock.handler = (req, res) => json(res, 200, { message: { content: 'Fine.' }, done: true, prompt_eval_count: 20, eval_count: 2 });
+        const usage = {};
+        const text = await requestExtraApiOnce(messages, profile(), { temperature: 0.6, max_tokens: 50, stop: ['\n'], keep_alive: '5m' }, { usage });
+
+        assert.equal(text, 'Fine.');
+        assert.deepEqual(usage, { prompt: 20, completion: 2 });
+        const [req] = mock.requests;
+        assert.equal(req.path, '/api/chat');
+        assert.deepEqual(req.body, {
+            model: 'llama3',
+            messages,
+            stream: false,
+            options: { temperature: 0.6, num_predict: 50, stop: ['\n'] },
+            keep_alive: '5m',
+        });
+    });
+
+    test('streams NDJSON lines', async () => {
+        mock.handler = (req, res) => ndjson(res, [
+            { message: { content: 'Fine' }, done: false },
+            { message: { content: ', thanks.' }, done: false },
+            { message: { content: '' }, done: true, prompt_eval_count: 20, eval_count: 4 },
+        ]);
+        const { text, deltas, usage } = await streamed(profile());
+
+        assert.equal(text, 'Fine, thanks.');
+        assert.deepEqual(deltas, ['Fine', ', thanks.']);
+        assert.deepEqual(usage, { prompt: 20, completion: 4 });
+        assert.equal(mock.requests[0].body.stream, true);
+    });
+
+    test('passes a JSON schema as format', async () => {
+        mock.handler = (req, res) => json(res, 200, { message: { content: '{}' }, done: true });
+        const schema = { type: 'object' };
+        await requestExtraApiOnce(messages, profile(), {}, { schema: { name: 'feed', schema } });
+        assert.deepEqual(mock.requests[0].body.format, schema);
+    });
+
+    test('lists models from tags', async () => {
+        mock.handler = (req, res) => json(res, 200, { models: [{ name: 'llama3:latest' }, { model: 'qwen2:7b' }] });
+        assert.deepEqual(await fetchModelList(profile()), ['llama3:latest', 'qwen2:7b']);
+        assert.equal(mock.requests[0].path, '/api/tags');
+    });
+
+    test('reports errors', async () => {
+        mock.handler = (req, res) => json(res, 404, { error: 'model "llama3" not found' });
+        const err = await rejects(requestExtraApiOnce(messages, profile(), {}));
+        assert.match(err.message, /Ollama error 404: model "llama3" not found/);
+        assert.equal(err.retryable, false);
+    });
+});
+
+// ── Anthropic ───────────────────────────────────────────────────
+
+describe('anthropic adapter', () => {
+    const profile = () => ({ type: 'anthropic', url: mock.url, key: 'ant-key', model: 'claude-test' });
+
+    test('splits out the system prompt and sends alternating turns', async () => {
+        mock.handler = (req, res) => json(res, 200, {
+            content: [{ type: 'text', text: 'Fine, ' }, { type: 'text', text: 'thanks.' }],
+            usage: { input_tokens: 15, output_tokens: 4 },
+        });
+        const usage = {};
+        const history = [{ role: 'system', content: 'Be brief.' }, { role: 'assistant', content: 'Hey.' }, { role: 'user', content: 'Hi' }, { role: 'user', content: 'Anyone?' }];
+        const text = await requestExtraApiOnce(history, profile(), { max_tokens: 200, stop: ['END'] }, { usage });
+
+        assert.equal(text, 'Fine, thanks.');
+        assert.deepEqual(usage, { prompt: 15, completion: 4 });
+        const [req] = mock.requests;
+        assert.equal(req.path, '/v1/messages');
+        assert.equal(req.headers['x-api-key'], 'ant-key');
+        assert.equal(req.headers['anthropic-version'], '2023-06-01');
+        assert.deepEqual(req.body, {
+            model: 'claude-test',
+            max_tokens: 200,
+            system: 'Be brief.',
+            stop_sequences: ['END'],
+            messages: [
+                { role: 'user', content: '(continue)' },
+                { role: 'assistant', content: 'Hey.' },
+                { role: 'user', content: 'Hi\n\nAnyone?' },
+            ],
+        });
+    });
+
+    test('streams content deltas and usage events', async () => {
+        mock.handler = (req, res) => sse(res, [
+            { type: 'message_start', message: { usage: { input_tokens: 15, output_tokens: 1 } } },
+            { type: 'content_block_start', content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Fine' } },
+            { type: 'content_block_delta', delta: { type: 'text_delta', text: ', thanks.' } },
+            { type: 'message_delta', usage: { output_tokens: 4 } },
+            { type: 'message_stop' },
+        ]);
+        const { text, deltas, usage } = await streamed(profile());
+
+        assert.equal(text, 'Fine, thanks.');
+        assert.deepEqual(deltas, ['Fine', ', thanks.']);
+        assert.deepEqual(usage, { prompt: 15, completion: 4 });
+    });
+
+    test('lists models', async () => {
+        mock.handler = (req, res) => json(res, 200, { data: [{ id: 'claude-a' }, { id: 'claude-b' }] });
+        assert.deepEqual(await fetchModelList(profile()), ['claude-a', 'claude-b']);
+        assert.equal(mock.requests[0].path, '/v1/models');
+    });
+
+    test('reports errors', async () => {
+        mock.handler = (req, res) => json(res, 529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } });
+        const err = await rejects(requestExtraApiOnce(messages, profile(), {}));
+        assert.match(err.message, /Anthropic Messages error 529: Overloaded/);
+        assert.equal(err.retryable, true);
+    });
+});
+
+// ── Helpers ─────────────────────────────────────────────────────
+
+test('every adapter is covered here', () => {
+    assert.deepEqual(Object.keys(API_ADAPTERS).sort(), ['anthropic', 'kobold', 'ollama', 'openai', 'textgen']);
+});
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('3'), 3000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('9999'), 60000);
+    const inTwoSeconds = new Date(Date.now() + 2000).toUTCString();
+    assert.ok(parseRetryAfter(inTwoSeconds) <= 2000);
+});